@@ -5,16 +5,41 @@
 // Elementos principales
 const formularioEcuacion = document.getElementById('formulario-ecuacion');
 const inputEcuacion = document.getElementById('input-ecuacion');
+const selectModoBalance = document.getElementById('select-modo-balance');
+const resaltadoEcuacion = document.getElementById('resaltado-ecuacion');
 const botonValidar = document.getElementById('boton-validar');
 const seccionReactivos = document.getElementById('seccion-reactivos');
 const contenedorReactivos = document.getElementById('contenedor-reactivos');
 const seccionResultados = document.getElementById('seccion-resultados');
 const contenedorResultados = document.getElementById('contenedor-resultados');
 const mensajeEstado = document.getElementById('mensaje-estado');
+const selectFormatoNumeros = document.getElementById('select-formato-numeros');
+
+// Calculadora de fórmula empírica y molecular
+const selectTipoDatosFormula = document.getElementById('tipo-datos-formula');
+const filasElementosFormula = document.getElementById('filas-elementos-formula');
+const mensajeFormula = document.getElementById('mensaje-formula');
+const resultadosFormula = document.getElementById('resultados-formula');
+const inputFormulaComposicion = document.getElementById('input-formula-composicion');
+const mensajeComposicion = document.getElementById('mensaje-composicion');
+const resultadosComposicion = document.getElementById('resultados-composicion');
+const inputFormulaIsotopos = document.getElementById('input-formula-isotopos');
+const mensajeIsotopos = document.getElementById('mensaje-isotopos');
+const resultadosIsotopos = document.getElementById('resultados-isotopos');
+
+// Tabla de masas atómicas
+const selectTablaMasas = document.getElementById('select-tabla-masas');
+const campoTablaPersonalizada = document.getElementById('campo-tabla-personalizada');
+const inputTablaMasas = document.getElementById('input-tabla-masas');
+const mensajeTablaMasas = document.getElementById('mensaje-tabla-masas');
 
 // Estado de la aplicación
 let ecuacionActual = null;
 let ecuacionParseada = null;
+let redibujarResultados = null;
+const unidadesColumnas = {};
+let temperaturaTermoquimica = TEMPERATURA_ESTANDAR;
+let avanceReaccion = null;
 
 // ============================================================
 // SECCIÓN 2: VALIDACIÓN DE LA ECUACIÓN
@@ -25,16 +50,17 @@ let ecuacionParseada = null;
  * 
  * @param {string} mensaje - El mensaje a mostrar
  * @param {string} tipo - Tipo de mensaje: 'exito', 'error', 'info'
+ * @param {HTMLElement} destino - Contenedor del mensaje (por defecto, el de la ecuación)
  */
-function mostrarMensaje(mensaje, tipo = 'info') {
-    mensajeEstado.textContent = mensaje;
-    mensajeEstado.className = `mensaje-estado ${tipo}`;
-    mensajeEstado.style.display = 'block';
+function mostrarMensaje(mensaje, tipo = 'info', destino = mensajeEstado) {
+    destino.textContent = mensaje;
+    destino.className = `mensaje-estado ${tipo}`;
+    destino.style.display = 'block';
 
     // Ocultar después de 5 segundos si es éxito o info
     if (tipo !== 'error') {
         setTimeout(() => {
-            mensajeEstado.style.display = 'none';
+            destino.style.display = 'none';
         }, 5000);
     }
 }
@@ -50,26 +76,46 @@ function ocultarMensaje() {
  * Valida la ecuación ingresada y genera el formulario de reactivos.
  */
 function validarEcuacionIngresada() {
-    const ecuacion = inputEcuacion.value.trim();
+    let ecuacion = inputEcuacion.value.trim();
 
     if (!ecuacion) {
         mostrarMensaje('Por favor, ingresa una ecuación química.', 'error');
         return;
     }
 
+    // Los compuestos escritos por nombre se reemplazan por su fórmula
+    const conversion = convertirNombresEnEcuacion(ecuacion);
+    if (conversion.cambios.length > 0) {
+        ecuacion = conversion.ecuacion;
+        inputEcuacion.value = ecuacion;
+    }
+
     // Primero validar sintaxis y elementos
     const validacion = validarEcuacion(ecuacion);
     if (!validacion.valida) {
         mostrarMensaje(validacion.error, 'error');
+        resaltarErrorEcuacion(inputEcuacion.value, validacion.detalle);
         ocultarSeccionReactivos();
         ocultarSeccionResultados();
         return;
     }
+    limpiarResaltadoEcuacion();
+
+    // En modo redox se balancea siempre con el método del ion-electrón
+    if (selectModoBalance.value !== 'estandar') {
+        ocultarSeccionReactivos();
+        mostrarBalanceRedox(ecuacion, selectModoBalance.value);
+        return;
+    }
 
     // Luego verificar el balance
     const balance = verificarBalance(ecuacion);
     if (!balance.balanceada) {
-        let mensajeBalance = 'La ecuación NO está balanceada. Por favor, balancéala antes de continuar.\n\nDetalles:\n';
+        const propuesta = balancearEcuacion(ecuacion);
+
+        let mensajeBalance = propuesta.balanceable
+            ? 'La ecuación NO está balanceada. Revisa el balance propuesto más abajo.\n\nDetalles:\n'
+            : 'La ecuación NO está balanceada y no fue posible balancearla automáticamente.\n\nDetalles:\n';
 
         for (const elemento in balance.detalles) {
             const detalle = balance.detalles[elemento];
@@ -78,8 +124,25 @@ function validarEcuacionIngresada() {
             }
         }
 
+        if (!balance.carga.balanceado) {
+            mensajeBalance += `• Carga neta: ${balance.carga.reactivos} en reactivos, ${balance.carga.productos} en productos\n`;
+        }
+
         mostrarMensaje(mensajeBalance, 'error');
-        mostrarDetallesBalance(balance.detalles);
+        ocultarSeccionReactivos();
+        mostrarDetallesBalance(balance.detalles, balance.ionica ? balance.carga : null);
+        mostrarPropuestaBalance(propuesta);
+        return;
+    }
+
+    // Una semirreacción no admite cálculos de masa: el electrón (e-) no tiene masa molar
+    const parseada = parsearEcuacion(ecuacion);
+    if ([...parseada.reactivos, ...parseada.productos].some(c => Object.keys(c.elementos).length === 0)) {
+        mostrarMensaje(
+            'La semirreacción está balanceada, pero los electrones (e-) no tienen masa: ' +
+            'no se calcula su estequiometría. Para obtener la reacción completa, usa el balanceo redox.',
+            'info'
+        );
         ocultarSeccionReactivos();
         ocultarSeccionResultados();
         return;
@@ -87,18 +150,114 @@ function validarEcuacionIngresada() {
 
     // La ecuación es válida y está balanceada
     ecuacionActual = ecuacion;
-    ecuacionParseada = parsearEcuacion(ecuacion);
-
-    mostrarMensaje('¡Ecuación válida y balanceada! Ingresa los datos de los reactivos.', 'exito');
+    ecuacionParseada = parseada;
+
+    const nombresConvertidos = conversion.cambios.map(c => `${c.nombre} → ${c.formula}`).join(', ');
+    mostrarMensaje(
+        '¡Ecuación válida y balanceada! Ingresa los datos de los reactivos.' +
+        (nombresConvertidos ? `\n\nNombres convertidos: ${nombresConvertidos}` : ''),
+        'exito'
+    );
     generarFormularioReactivos();
     mostrarSeccionReactivos();
     ocultarSeccionResultados();
 }
 
+/**
+ * Escapa un texto para insertarlo como HTML.
+ * 
+ * @param {string} texto - Texto ingresado por el usuario
+ * @returns {string} - Texto seguro para innerHTML
+ */
+function escaparHtml(texto) {
+    return texto
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Genera los botones para copiar una ecuación como texto Unicode o como LaTeX (mhchem).
+ * 
+ * @param {string} ecuacion - La ecuación química
+ * @returns {string} - HTML de los botones
+ */
+function generarBotonesCopiar(ecuacion) {
+    return `
+        <div class="botones-copiar">
+            <button type="button" class="boton-copiar" data-copiar="${escaparHtml(renderizarEcuacion(ecuacion, 'unicode'))}">📋 Copiar texto</button>
+            <button type="button" class="boton-copiar" data-copiar="${escaparHtml(renderizarEcuacion(ecuacion, 'latex'))}">📋 Copiar LaTeX</button>
+        </div>
+    `;
+}
+
+/**
+ * Copia al portapapeles el texto guardado en el botón y lo confirma en el propio botón.
+ * 
+ * @param {HTMLElement} boton - Botón con el atributo data-copiar
+ */
+function copiarEcuacion(boton) {
+    const etiqueta = boton.textContent;
+    const confirmar = (texto) => {
+        boton.textContent = texto;
+        setTimeout(() => { boton.textContent = etiqueta; }, 1500);
+    };
+
+    if (!navigator.clipboard) {
+        confirmar('No disponible');
+        return;
+    }
+    navigator.clipboard.writeText(boton.dataset.copiar)
+        .then(() => confirmar('✓ Copiado'))
+        .catch(() => confirmar('No se pudo copiar'));
+}
+
+/**
+ * Resalta bajo el campo de la ecuación el fragmento exacto que causó el error
+ * y selecciona ese mismo fragmento en el campo.
+ * 
+ * @param {string} texto - El texto del campo tal como lo escribió el usuario
+ * @param {Object|null} detalle - Posición, token y sugerencia del error
+ */
+function resaltarErrorEcuacion(texto, detalle) {
+    if (!detalle) {
+        limpiarResaltadoEcuacion();
+        return;
+    }
+
+    // Las posiciones son relativas a la ecuación sin espacios iniciales
+    const desplazamiento = texto.length - texto.trimStart().length;
+    const inicio = detalle.posicion + desplazamiento;
+    const fin = detalle.fin + desplazamiento;
+    const marcado = texto.slice(inicio, fin) || ' ';
+
+    resaltadoEcuacion.innerHTML = `
+        <span class="texto-resaltado">${escaparHtml(texto.slice(0, inicio))}<mark>${escaparHtml(marcado)}</mark>${escaparHtml(texto.slice(fin))}</span>
+        ${detalle.sugerencia ? `<span class="sugerencia-error">💡 ${escaparHtml(detalle.sugerencia)}</span>` : ''}
+    `;
+    resaltadoEcuacion.style.display = 'flex';
+    inputEcuacion.classList.add('con-error');
+    inputEcuacion.focus();
+    inputEcuacion.setSelectionRange(inicio, Math.min(fin, texto.length));
+}
+
+/**
+ * Quita el resaltado de error del campo de la ecuación.
+ */
+function limpiarResaltadoEcuacion() {
+    resaltadoEcuacion.style.display = 'none';
+    resaltadoEcuacion.innerHTML = '';
+    inputEcuacion.classList.remove('con-error');
+}
+
 /**
  * Muestra los detalles del balance en una tabla visual.
+ * 
+ * @param {Object} detalles - Conteo de átomos por elemento
+ * @param {Object|null} carga - Balance de carga neta (solo si hay iones)
  */
-function mostrarDetallesBalance(detalles) {
+function mostrarDetallesBalance(detalles, carga = null) {
     let html = `
         <div class="tabla-balance">
             <h4>Análisis del Balance</h4>
@@ -129,10 +288,149 @@ function mostrarDetallesBalance(detalles) {
         `;
     }
 
+    // Fila propia para la carga neta en ecuaciones iónicas
+    if (carga) {
+        const clase = carga.balanceado ? 'balanceado' : 'no-balanceado';
+        const icono = carga.balanceado ? '✓' : '✗';
+
+        html += `
+            <tr class="${clase} fila-carga">
+                <td><strong>Carga neta</strong></td>
+                <td>${carga.reactivos}</td>
+                <td>${carga.productos}</td>
+                <td>${icono}</td>
+            </tr>
+        `;
+    }
+
     html += '</tbody></table></div>';
 
+    // La propuesta reemplaza los resultados anteriores: ya no hay nada que redibujar
+    redibujarResultados = null;
+    contenedorResultados.innerHTML = html;
+    seccionResultados.style.display = 'block';
+}
+
+/**
+ * Muestra la ecuación balanceada automáticamente bajo la tabla de balance,
+ * con un botón para continuar el cálculo con ella.
+ * 
+ * @param {Object} propuesta - Resultado de balancearEcuacion
+ */
+function mostrarPropuestaBalance(propuesta) {
+    const tarjeta = document.createElement('div');
+    tarjeta.className = propuesta.balanceable ? 'propuesta-balance' : 'propuesta-balance sin-solucion';
+
+    if (!propuesta.balanceable) {
+        tarjeta.innerHTML = `
+            <h4>⚖️ Balanceo Automático</h4>
+            <p>${propuesta.mensaje}</p>
+        `;
+        contenedorResultados.appendChild(tarjeta);
+        return;
+    }
+
+    let html = `
+        <h4>⚖️ Ecuación Balanceada</h4>
+        <p class="ecuacion-propuesta formula">${ecuacionAHtml(propuesta.ecuacion)}</p>
+        ${generarBotonesCopiar(propuesta.ecuacion)}
+        <p class="descripcion-propuesta">${propuesta.mensaje}</p>
+    `;
+
+    if (propuesta.dimension > 1) {
+        html += `
+        <p class="descripcion-propuesta">Reacciones independientes:</p>
+        <ul class="lista-independientes">
+            ${propuesta.solucionesIndependientes.map(r =>
+            `<li class="formula">${ecuacionAHtml(r)}</li>`
+        ).join('')}
+        </ul>
+        `;
+    }
+
+    html += `
+        <button type="button" class="boton-primario" id="boton-usar-balance">
+            ✓ Usar la ecuación balanceada
+        </button>
+    `;
+
+    tarjeta.innerHTML = html;
+    contenedorResultados.appendChild(tarjeta);
+
+    tarjeta.querySelector('#boton-usar-balance').addEventListener('click', () => {
+        usarEcuacionBalanceada(propuesta.ecuacion);
+    });
+}
+
+/**
+ * Balancea la ecuación por el método del ion-electrón y muestra
+ * las semirreacciones de oxidación y reducción.
+ * 
+ * @param {string} ecuacion - La ecuación redox sin balancear
+ * @param {string} medio - 'acido' o 'basico'
+ */
+function mostrarBalanceRedox(ecuacion, medio) {
+    let redox;
+    try {
+        redox = balancearRedox(ecuacion, medio);
+    } catch (error) {
+        mostrarMensaje(error.message, 'error');
+        ocultarSeccionResultados();
+        return;
+    }
+
+    const nombreMedio = medio === 'acido' ? 'Ácido' : 'Básico';
+    let html = `
+        <div class="propuesta-balance redox">
+            <h4>⚡ Balanceo Redox en Medio ${nombreMedio}</h4>
+    `;
+
+    for (const semi of [redox.oxidacion, redox.reduccion]) {
+        const titulo = semi.tipo === 'oxidacion' ? 'Oxidación' : 'Reducción';
+        html += `
+            <div class="semirreaccion ${semi.tipo}">
+                <span class="resumen-label">${titulo} (${semi.electrones} e<sup>-</sup>, × ${semi.factor})</span>
+                <p class="ecuacion-propuesta formula">${ecuacionAHtml(semi.ecuacion)}</p>
+                <ol class="pasos-semirreaccion">
+                    ${semi.pasos.map(paso => `<li>${paso}</li>`).join('')}
+                </ol>
+            </div>
+        `;
+    }
+
+    html += `
+            <p class="descripcion-propuesta">
+                Se transfieren ${redox.electronesTransferidos} electrones. Sumando ambas semirreacciones:
+            </p>
+            <p class="ecuacion-propuesta formula">${ecuacionAHtml(redox.ecuacion)}</p>
+            ${generarBotonesCopiar(redox.ecuacion)}
+            <button type="button" class="boton-primario" id="boton-usar-balance">
+                ✓ Usar la ecuación balanceada
+            </button>
+        </div>
+    `;
+
+    redibujarResultados = null;
     contenedorResultados.innerHTML = html;
     seccionResultados.style.display = 'block';
+    mostrarMensaje('Ecuación redox balanceada por el método del ion-electrón.', 'exito');
+
+    document.getElementById('boton-usar-balance').addEventListener('click', () => {
+        selectModoBalance.value = 'estandar';
+        usarEcuacionBalanceada(redox.ecuacion);
+    });
+}
+
+/**
+ * Reemplaza la ecuación ingresada por la balanceada y continúa
+ * directamente al formulario de reactivos.
+ * 
+ * @param {string} ecuacion - La ecuación balanceada
+ */
+function usarEcuacionBalanceada(ecuacion) {
+    inputEcuacion.value = ecuacion;
+    ocultarMensaje();
+    validarEcuacionIngresada();
 }
 
 // ============================================================
@@ -145,38 +443,179 @@ function mostrarDetallesBalance(detalles) {
 function generarFormularioReactivos() {
     contenedorReactivos.innerHTML = '';
 
+    // Selector entre el cálculo directo (reactivos → productos) y el inverso
+    const selectorModo = document.createElement('div');
+    selectorModo.className = 'selector-modo-calculo';
+    selectorModo.innerHTML = `
+        <label for="modo-calculo">Modo de cálculo:</label>
+        <select id="modo-calculo">
+            <option value="directo">Directo: productos a partir de los reactivos</option>
+            <option value="inverso">Inverso: reactivos necesarios para una cantidad de producto</option>
+            ${ecuacionParseada.flecha.reversible
+        ? '<option value="equilibrio">Equilibrio: tabla ICE a partir de Kc o Kp</option>'
+        : ''}
+        </select>
+    `;
+    contenedorReactivos.appendChild(selectorModo);
+
+    const formularioDirecto = document.createElement('div');
+    formularioDirecto.id = 'formulario-directo';
+    contenedorReactivos.appendChild(formularioDirecto);
+
+    const formularioInverso = generarFormularioInverso();
+    formularioInverso.style.display = 'none';
+    contenedorReactivos.appendChild(formularioInverso);
+
+    // Solo las ecuaciones con flecha de equilibrio admiten el cálculo con Kc o Kp
+    const formularioEquilibrio = ecuacionParseada.flecha.reversible ? generarFormularioEquilibrio() : null;
+    if (formularioEquilibrio) {
+        formularioEquilibrio.style.display = 'none';
+        contenedorReactivos.appendChild(formularioEquilibrio);
+    }
+
+    selectorModo.querySelector('select').addEventListener('change', (e) => {
+        const modo = e.target.value;
+        formularioDirecto.style.display = modo === 'directo' ? '' : 'none';
+        formularioInverso.style.display = modo === 'inverso' ? '' : 'none';
+        if (formularioEquilibrio) {
+            formularioEquilibrio.style.display = modo === 'equilibrio' ? '' : 'none';
+        }
+    });
+
     // Crear un campo para cada reactivo
     ecuacionParseada.reactivos.forEach((reactivo, indice) => {
         const masaMolar = calcularMasaMolar(reactivo.formula);
-        const formulaHtml = formulaAHtml(reactivo.formula);
 
         const tarjeta = document.createElement('div');
         tarjeta.className = 'tarjeta-reactivo';
         tarjeta.innerHTML = `
             <div class="encabezado-reactivo">
-                <h4>Reactivo ${indice + 1}: <span class="formula">${formulaHtml}</span></h4>
-                <span class="masa-molar">Masa molar: ${masaMolar.toFixed(3)} g/mol</span>
+                <h4>Reactivo ${indice + 1}: <span class="formula">${formulaAHtml(reactivo.formula, reactivo.estado)}</span>${nombreCompuestoHtml(reactivo.formula)}</h4>
+                <span class="masa-molar" data-formula="${escaparHtml(reactivo.formula)}">Masa molar: ${masaMolar.toFixed(3)} g/mol</span>
             </div>
             
+            ${generarComposicionHtml(reactivo.formula)}
+            
             <div class="campos-reactivo">
                 <div class="grupo-campo">
                     <label for="tipo-cantidad-${indice}">Tipo de cantidad:</label>
                     <select id="tipo-cantidad-${indice}" class="tipo-cantidad" data-indice="${indice}">
-                        <option value="masa">Masa (gramos)</option>
+                        <option value="masa">Masa</option>
                         <option value="moles">Moles</option>
+                        <option value="disolucion">Disolución (molaridad)</option>
+                        <option value="porcentaje">Sólido en disolución (%)</option>
+                        <option value="gas">Gas (P, V, T)</option>
                     </select>
                 </div>
                 
-                <div class="grupo-campo">
-                    <label for="cantidad-${indice}" id="label-cantidad-${indice}">Masa (g):</label>
-                    <input type="number" 
-                           id="cantidad-${indice}" 
-                           class="cantidad-reactivo"
-                           data-formula="${reactivo.formula}"
-                           step="any" 
-                           min="0" 
-                           placeholder="Ej: 10.5"
-                           required>
+                <div class="grupo-campo" data-tipos="masa moles">
+                    <label for="cantidad-${indice}" id="label-cantidad-${indice}">Masa:</label>
+                    <div class="campo-con-unidad">
+                        <input type="number" 
+                               id="cantidad-${indice}" 
+                               class="cantidad-reactivo"
+                               data-formula="${reactivo.formula}"
+                               step="any" 
+                               min="0" 
+                               placeholder="Ej: 10.5"
+                               required>
+                        <select id="unidad-cantidad-${indice}" data-magnitud="masa">
+                            ${opcionesDeUnidades(['masa'])}
+                        </select>
+                    </div>
+                </div>
+
+                <div class="grupo-campo" data-tipos="masa moles">
+                    <label for="incertidumbre-${indice}">Incertidumbre (±, misma unidad, opcional):</label>
+                    <input type="number" id="incertidumbre-${indice}" step="any" min="0" placeholder="Ej: 0.01">
+                </div>
+
+                <div class="grupo-campo" data-tipos="disolucion" style="display: none;">
+                    <label for="molaridad-${indice}">Molaridad (mol/L):</label>
+                    <input type="number" id="molaridad-${indice}" step="any" min="0" placeholder="Ej: 0.5">
+                </div>
+
+                <div class="grupo-campo" data-tipos="disolucion" style="display: none;">
+                    <label for="incertidumbre-molaridad-${indice}">Incertidumbre de la molaridad (±, mol/L, opcional):</label>
+                    <input type="number" id="incertidumbre-molaridad-${indice}" step="any" min="0" placeholder="Ej: 0.01">
+                </div>
+
+                <div class="grupo-campo" data-tipos="porcentaje" style="display: none;">
+                    <label for="tipo-porcentaje-${indice}">Concentración:</label>
+                    <select id="tipo-porcentaje-${indice}">
+                        <option value="pv">% p/v (g/100 mL)</option>
+                        <option value="pp">% p/p (g/100 g)</option>
+                    </select>
+                </div>
+
+                <div class="grupo-campo" data-tipos="porcentaje" style="display: none;">
+                    <label for="porcentaje-${indice}">Porcentaje (%):</label>
+                    <input type="number" id="porcentaje-${indice}" step="any" min="0" max="100" placeholder="Ej: 36">
+                </div>
+
+                <div class="grupo-campo" data-tipos="porcentaje" style="display: none;">
+                    <label for="incertidumbre-porcentaje-${indice}">Incertidumbre del porcentaje (±%, opcional):</label>
+                    <input type="number" id="incertidumbre-porcentaje-${indice}" step="any" min="0" placeholder="Ej: 0.5">
+                </div>
+
+                <div class="grupo-campo" data-tipos="disolucion porcentaje" style="display: none;">
+                    <label for="volumen-${indice}">Volumen de disolución:</label>
+                    <div class="campo-con-unidad">
+                        <input type="number" id="volumen-${indice}" step="any" min="0" placeholder="Ej: 250">
+                        <select id="unidad-volumen-${indice}">
+                            ${opcionesDeUnidades(['volumen'], 'mL')}
+                        </select>
+                    </div>
+                </div>
+
+                <div class="grupo-campo" data-tipos="disolucion porcentaje" style="display: none;">
+                    <label for="incertidumbre-volumen-${indice}">Incertidumbre del volumen (±, misma unidad, opcional):</label>
+                    <input type="number" id="incertidumbre-volumen-${indice}" step="any" min="0" placeholder="Ej: 0.5">
+                </div>
+
+                <div class="grupo-campo" data-tipos="porcentaje" data-solo-pp="true" style="display: none;">
+                    <label for="densidad-${indice}">Densidad (g/mL):</label>
+                    <input type="number" id="densidad-${indice}" step="any" min="0" placeholder="Ej: 1.18">
+                </div>
+
+                <div class="grupo-campo" data-tipos="porcentaje" data-solo-pp="true" style="display: none;">
+                    <label for="incertidumbre-densidad-${indice}">Incertidumbre de la densidad (±, g/mL, opcional):</label>
+                    <input type="number" id="incertidumbre-densidad-${indice}" step="any" min="0" placeholder="Ej: 0.01">
+                </div>
+
+                <div class="grupo-campo" data-tipos="gas" style="display: none;">
+                    <label for="volumen-gas-${indice}">Volumen del gas:</label>
+                    <div class="campo-con-unidad">
+                        <input type="number" id="volumen-gas-${indice}" step="any" min="0" placeholder="Ej: 5.6">
+                        <select id="unidad-volumen-gas-${indice}">
+                            ${opcionesDeUnidades(['volumen'])}
+                        </select>
+                    </div>
+                </div>
+
+                <div class="grupo-campo" data-tipos="gas" style="display: none;">
+                    <label for="incertidumbre-volumen-gas-${indice}">Incertidumbre del volumen (±, misma unidad, opcional):</label>
+                    <input type="number" id="incertidumbre-volumen-gas-${indice}" step="any" min="0" placeholder="Ej: 0.1">
+                </div>
+
+                <div class="grupo-campo" data-tipos="gas" style="display: none;">
+                    <label for="presion-${indice}">Presión:</label>
+                    ${generarCampoPresion(`presion-${indice}`)}
+                </div>
+
+                <div class="grupo-campo" data-tipos="gas" style="display: none;">
+                    <label for="incertidumbre-presion-${indice}">Incertidumbre de la presión (±, misma unidad, opcional):</label>
+                    <input type="number" id="incertidumbre-presion-${indice}" step="any" min="0" placeholder="Ej: 0.01">
+                </div>
+
+                <div class="grupo-campo" data-tipos="gas" style="display: none;">
+                    <label for="temperatura-${indice}">Temperatura:</label>
+                    ${generarCampoTemperatura(`temperatura-${indice}`)}
+                </div>
+
+                <div class="grupo-campo" data-tipos="gas" style="display: none;">
+                    <label for="incertidumbre-temperatura-${indice}">Incertidumbre de la temperatura (±, °C o K, opcional):</label>
+                    <input type="number" id="incertidumbre-temperatura-${indice}" step="any" min="0" placeholder="Ej: 0.5">
                 </div>
                 
                 <div class="grupo-campo">
@@ -190,56 +629,110 @@ function generarFormularioReactivos() {
                            max="100"
                            placeholder="100">
                 </div>
+
+                <div class="grupo-campo">
+                    <label for="incertidumbre-pureza-${indice}">Incertidumbre de pureza (±%, opcional):</label>
+                    <input type="number" id="incertidumbre-pureza-${indice}" step="any" min="0" placeholder="Ej: 0.5">
+                </div>
             </div>
         `;
 
-        contenedorReactivos.appendChild(tarjeta);
+        formularioDirecto.appendChild(tarjeta);
 
-        // Evento para cambiar el label según el tipo seleccionado
+        // Eventos para mostrar solo los campos del tipo de cantidad seleccionado
         const selectTipo = tarjeta.querySelector(`#tipo-cantidad-${indice}`);
-        selectTipo.addEventListener('change', (e) => {
-            const label = tarjeta.querySelector(`#label-cantidad-${indice}`);
-            label.textContent = e.target.value === 'masa' ? 'Masa (g):' : 'Moles:';
-        });
+        selectTipo.addEventListener('change', () => actualizarCamposReactivo(tarjeta, indice));
+        tarjeta.querySelector(`#tipo-porcentaje-${indice}`)
+            .addEventListener('change', () => actualizarCamposReactivo(tarjeta, indice));
     });
 
-    // Sección de producto real (opcional)
+    // Volumen final de los productos en disolución (opcional)
+    const seccionDisolucion = document.createElement('div');
+    seccionDisolucion.className = 'seccion-producto-real';
+    seccionDisolucion.innerHTML = `
+        <h4>💧 Productos en Disolución (Opcional)</h4>
+        <p class="descripcion-producto">Si un producto queda en disolución acuosa, indica el volumen final para calcular su concentración.</p>
+        
+        <div class="campos-producto">
+            ${ecuacionParseada.productos.map((p, i) => `
+            <div class="grupo-campo">
+                <label for="volumen-final-${i}">Volumen final de <span class="formula">${formulaAHtml(p.formula)}</span>:</label>
+                <div class="campo-con-unidad">
+                    <input type="number" id="volumen-final-${i}" step="any" min="0" placeholder="Dejar vacío si no aplica">
+                    <select id="unidad-volumen-final-${i}">
+                        ${opcionesDeUnidades(['volumen'], 'mL')}
+                    </select>
+                </div>
+            </div>
+            `).join('')}
+        </div>
+    `;
+
+    formularioDirecto.appendChild(seccionDisolucion);
+
+    // Productos gaseosos: volumen teórico a las condiciones indicadas y en CNPT/CEAT
+    const seccionGases = document.createElement('div');
+    seccionGases.className = 'seccion-producto-real';
+    seccionGases.innerHTML = `
+        <h4>🎈 Productos Gaseosos (Opcional)</h4>
+        <p class="descripcion-producto">Marca los productos gaseosos para calcular su volumen teórico a las condiciones indicadas, en CNPT y en CEAT.</p>
+        
+        <div class="lista-gases">
+            ${ecuacionParseada.productos.map((p, i) => `
+            <label class="opcion-gas">
+                <input type="checkbox" id="es-gas-${i}" ${esGaseoso(p) ? 'checked' : ''}>
+                <span class="formula">${formulaAHtml(p.formula)}</span>
+            </label>
+            `).join('')}
+        </div>
+        
+        <div class="campos-producto">
+            <div class="grupo-campo">
+                <label for="presion-productos">Presión:</label>
+                ${generarCampoPresion('presion-productos')}
+            </div>
+            
+            <div class="grupo-campo">
+                <label for="temperatura-productos">Temperatura:</label>
+                ${generarCampoTemperatura('temperatura-productos')}
+            </div>
+        </div>
+    `;
+
+    formularioDirecto.appendChild(seccionGases);
+
+    // Rendimiento real de cada producto (opcional)
     const seccionProducto = document.createElement('div');
     seccionProducto.className = 'seccion-producto-real';
     seccionProducto.innerHTML = `
         <h4>📊 Rendimiento Real (Opcional)</h4>
-        <p class="descripcion-producto">Si conoces la cantidad real de producto obtenida, ingrésala aquí para calcular el porcentaje de rendimiento.</p>
+        <p class="descripcion-producto">Si conoces la cantidad real obtenida de algún producto, ingrésala para calcular su porcentaje de rendimiento.</p>
         
+        ${ecuacionParseada.productos.map((p, i) => `
         <div class="campos-producto">
             <div class="grupo-campo">
-                <label for="select-producto">Producto:</label>
-                <select id="select-producto">
-                    ${ecuacionParseada.productos.map((p, i) =>
-        `<option value="${p.formula}">${formulaAHtml(p.formula)}</option>`
-    ).join('')}
-                </select>
-            </div>
-            
-            <div class="grupo-campo">
-                <label for="tipo-producto">Tipo:</label>
-                <select id="tipo-producto">
-                    <option value="masa">Masa (g)</option>
-                    <option value="moles">Moles</option>
-                </select>
+                <label for="cantidad-producto-real-${i}">Cantidad real de <span class="formula">${formulaAHtml(p.formula)}</span>:</label>
+                <div class="campo-con-unidad">
+                    <input type="number" 
+                           id="cantidad-producto-real-${i}" 
+                           step="any" 
+                           min="0" 
+                           placeholder="Dejar vacío si no aplica">
+                    <select id="unidad-producto-real-${i}">
+                        ${opcionesDeUnidades(['masa', 'cantidad'])}
+                    </select>
+                </div>
             </div>
             
             <div class="grupo-campo">
-                <label for="cantidad-producto-real">Cantidad real:</label>
-                <input type="number" 
-                       id="cantidad-producto-real" 
-                       step="any" 
-                       min="0" 
-                       placeholder="Dejar vacío si no aplica">
+                <label for="incertidumbre-producto-real-${i}">Incertidumbre (±, opcional):</label>
+                <input type="number" id="incertidumbre-producto-real-${i}" step="any" min="0" placeholder="Ej: 0.01">
             </div>
         </div>
+        `).join('')}
     `;
 
-    contenedorReactivos.appendChild(seccionProducto);
+    formularioDirecto.appendChild(seccionProducto);
 
     // Botón de calcular
     const botonCalcular = document.createElement('button');
@@ -252,144 +745,1851 @@ function generarFormularioReactivos() {
 }
 
 /**
- * Muestra la sección de reactivos.
- */
-function mostrarSeccionReactivos() {
-    seccionReactivos.style.display = 'block';
-}
-
-/**
- * Oculta la sección de reactivos.
+ * Genera el formulario del modo inverso: producto deseado, rendimiento esperado
+ * y pureza y exceso de cada reactivo.
+ * 
+ * @returns {HTMLElement} - Contenedor del formulario inverso
  */
-function ocultarSeccionReactivos() {
-    seccionReactivos.style.display = 'none';
-}
+function generarFormularioInverso() {
+    const formulario = document.createElement('div');
+    formulario.id = 'formulario-inverso';
+    formulario.innerHTML = `
+        <div class="seccion-producto-real">
+            <h4>🎯 Producto Deseado</h4>
+            <p class="descripcion-producto">Indica cuánto producto necesitas obtener y el rendimiento que esperas de la reacción.</p>
+            
+            <div class="campos-producto">
+                <div class="grupo-campo">
+                    <label for="producto-objetivo">Producto:</label>
+                    <select id="producto-objetivo">
+                        ${ecuacionParseada.productos.map(p =>
+        `<option value="${p.formula}">${p.formula}</option>`
+    ).join('')}
+                    </select>
+                </div>
+                
+                <div class="grupo-campo">
+                    <label for="cantidad-objetivo">Cantidad deseada:</label>
+                    <div class="campo-con-unidad">
+                        <input type="number" id="cantidad-objetivo" step="any" min="0" placeholder="Ej: 50">
+                        <select id="unidad-objetivo">
+                            ${opcionesDeUnidades(['masa', 'cantidad'])}
+                        </select>
+                    </div>
+                </div>
+                
+                <div class="grupo-campo">
+                    <label for="rendimiento-esperado">Rendimiento esperado (%):</label>
+                    <input type="number" id="rendimiento-esperado" value="100" step="any" min="0" max="100">
+                </div>
+            </div>
+        </div>
+        
+        ${ecuacionParseada.reactivos.map((reactivo, indice) => `
+        <div class="tarjeta-reactivo">
+            <div class="encabezado-reactivo">
+                <h4>Reactivo ${indice + 1}: <span class="formula">${formulaAHtml(reactivo.formula, reactivo.estado)}</span>${nombreCompuestoHtml(reactivo.formula)}</h4>
+                <span class="masa-molar" data-formula="${escaparHtml(reactivo.formula)}">Masa molar: ${calcularMasaMolar(reactivo.formula).toFixed(3)} g/mol</span>
+            </div>
+            
+            <div class="campos-reactivo">
+                <div class="grupo-campo">
+                    <label for="pureza-inversa-${indice}">Pureza (%):</label>
+                    <input type="number" id="pureza-inversa-${indice}" value="100" step="any" min="0" max="100">
+                </div>
+                
+                <div class="grupo-campo">
+                    <label for="exceso-${indice}">Exceso (%):</label>
+                    <input type="number" id="exceso-${indice}" value="0" step="any" min="0" placeholder="0">
+                </div>
+            </div>
+        </div>
+        `).join('')}
+    `;
 
-/**
- * Oculta la sección de resultados.
- */
-function ocultarSeccionResultados() {
-    seccionResultados.style.display = 'none';
+    return formulario;
 }
 
-// ============================================================
-// SECCIÓN 4: CÁLCULOS Y RESULTADOS
-// ============================================================
-
 /**
- * Recopila los datos ingresados y realiza los cálculos.
+ * Genera el formulario del modo equilibrio: tipo y valor de la constante y la
+ * cantidad inicial de cada especie, con las mismas tarjetas que los reactivos.
+ * 
+ * @returns {HTMLElement} - Contenedor del formulario
  */
-function realizarCalculos() {
-    try {
-        // Recopilar datos de reactivos
-        const datosReactivos = [];
-
+function generarFormularioEquilibrio() {
+    const especies = [
+        ...ecuacionParseada.reactivos.map((c, i) => ({ ...c, titulo: `Reactivo ${i + 1}` })),
+        ...ecuacionParseada.productos.map((c, i) => ({ ...c, titulo: `Producto ${i + 1}` }))
+    ];
+
+    const formulario = document.createElement('div');
+    formulario.id = 'formulario-equilibrio';
+    formulario.innerHTML = `
+        <div class="seccion-producto-real">
+            <h4>⚖️ Constante de Equilibrio</h4>
+            <p class="descripcion-producto">Indica la constante a la temperatura de trabajo y las cantidades iniciales. Se construye la tabla ICE (inicial, cambio, equilibrio) y se resuelve sin la aproximación de x pequeña.</p>
+            
+            <div class="campos-producto">
+                <div class="grupo-campo">
+                    <label for="tipo-constante">Constante:</label>
+                    <select id="tipo-constante">
+                        <option value="Kc">Kc (concentraciones)</option>
+                        <option value="Kp">Kp (presiones parciales)</option>
+                    </select>
+                </div>
+                
+                <div class="grupo-campo">
+                    <label for="valor-constante">Valor:</label>
+                    <input type="number" id="valor-constante" step="any" min="0" placeholder="Ej: 50">
+                </div>
+                
+                <div class="grupo-campo">
+                    <label for="temperatura-equilibrio">Temperatura (para convertir entre Kc y Kp):</label>
+                    ${generarCampoTemperatura('temperatura-equilibrio')}
+                </div>
+            </div>
+        </div>
+        
+        ${especies.map((especie, indice) => {
+        const condensada = especie.estado === 's' || especie.estado === 'l';
+        return `
+        <div class="tarjeta-reactivo">
+            <div class="encabezado-reactivo">
+                <h4>${especie.titulo}: <span class="formula">${formulaAHtml(especie.formula, especie.estado)}</span>${nombreCompuestoHtml(especie.formula)}</h4>
+                <span class="masa-molar">Coeficiente: ${especie.coeficiente}</span>
+            </div>
+            
+            <div class="campos-reactivo">
+                ${condensada
+            ? '<p class="descripcion-producto">Sólido o líquido puro: su actividad es 1 y no aparece en la expresión de K.</p>'
+            : `
+                <div class="grupo-campo">
+                    <label for="inicial-equilibrio-${indice}" class="etiqueta-inicial">Concentración inicial (mol/L):</label>
+                    <input type="number" id="inicial-equilibrio-${indice}" class="inicial-equilibrio" data-formula="${escaparHtml(especie.formula)}" value="0" step="any" min="0">
+                </div>`}
+            </div>
+        </div>
+        `;
+    }).join('')}
+    `;
+
+    formulario.querySelector('#tipo-constante').addEventListener('change', (e) => {
+        const texto = e.target.value === 'Kp' ? 'Presión parcial inicial (atm):' : 'Concentración inicial (mol/L):';
+        formulario.querySelectorAll('.etiqueta-inicial').forEach(etiqueta => {
+            etiqueta.textContent = texto;
+        });
+    });
+
+    return formulario;
+}
+
+/**
+ * Genera un campo de presión con selector de unidad.
+ * 
+ * @param {string} id - ID del input; el selector usa "unidad-" + id
+ * @returns {string} - HTML del campo
+ */
+function generarCampoPresion(id) {
+    return `
+        <div class="campo-con-unidad">
+            <input type="number" id="${id}" step="any" min="0" value="1.00">
+            <select id="unidad-${id}">
+                <option value="atm">atm</option>
+                <option value="kPa">kPa</option>
+                <option value="mmHg">mmHg</option>
+            </select>
+        </div>
+    `;
+}
+
+/**
+ * Genera un campo de temperatura con selector de unidad.
+ * 
+ * @param {string} id - ID del input; el selector usa "unidad-" + id
+ * @returns {string} - HTML del campo
+ */
+function generarCampoTemperatura(id) {
+    return `
+        <div class="campo-con-unidad">
+            <input type="number" id="${id}" step="any" value="25.0">
+            <select id="unidad-${id}">
+                <option value="°C">°C</option>
+                <option value="K">K</option>
+            </select>
+        </div>
+    `;
+}
+
+/**
+ * Lee presión y temperatura de los campos generados y las convierte a atm y K.
+ * 
+ * @param {string} idPresion - ID del campo de presión
+ * @param {string} idTemperatura - ID del campo de temperatura
+ * @param {string} descripcion - Texto para los mensajes de error
+ * @returns {Object} - { presion (atm), temperatura (K), cifras }
+ */
+function leerCondicionesGas(idPresion, idTemperatura, descripcion) {
+    const presion = parseFloat(document.getElementById(idPresion).value);
+    const temperatura = parseFloat(document.getElementById(idTemperatura).value);
+
+    if (isNaN(presion) || presion <= 0) {
+        throw new Error(`Por favor, ingresa una presión válida para ${descripcion}`);
+    }
+    if (isNaN(temperatura)) {
+        throw new Error(`Por favor, ingresa una temperatura válida para ${descripcion}`);
+    }
+
+    const kelvin = temperaturaAKelvin(temperatura, document.getElementById(`unidad-${idTemperatura}`).value);
+
+    return {
+        presion: presionAAtm(presion, document.getElementById(`unidad-${idPresion}`).value),
+        temperatura: kelvin,
+        cifras: {
+            presion: contarCifrasSignificativas(document.getElementById(idPresion).value),
+            // Pasar de °C a K suma 273.15 (exacto): se conserva la posición decimal del dato
+            temperatura: cifrasDeSuma(kelvin, [{
+                valor: temperatura,
+                cifras: contarCifrasSignificativas(document.getElementById(idTemperatura).value)
+            }])
+        }
+    };
+}
+
+/**
+ * Muestra solo los campos que corresponden al tipo de cantidad elegido
+ * en una tarjeta de reactivo.
+ * 
+ * @param {HTMLElement} tarjeta - La tarjeta del reactivo
+ * @param {number} indice - Índice del reactivo
+ */
+function actualizarCamposReactivo(tarjeta, indice) {
+    const tipo = tarjeta.querySelector(`#tipo-cantidad-${indice}`).value;
+    const tipoPorcentaje = tarjeta.querySelector(`#tipo-porcentaje-${indice}`).value;
+
+    tarjeta.querySelectorAll('[data-tipos]').forEach(grupo => {
+        const visible = grupo.dataset.tipos.split(' ').includes(tipo) &&
+            (!grupo.dataset.soloPp || tipoPorcentaje === 'pp');
+        grupo.style.display = visible ? '' : 'none';
+    });
+
+    const label = tarjeta.querySelector(`#label-cantidad-${indice}`);
+    label.textContent = tipo === 'moles' ? 'Moles:' : 'Masa:';
+
+    // Las unidades del campo de cantidad dependen de si se ingresa masa o moles
+    const selectUnidad = tarjeta.querySelector(`#unidad-cantidad-${indice}`);
+    const magnitud = tipo === 'moles' ? 'cantidad' : 'masa';
+    if (selectUnidad.dataset.magnitud !== magnitud) {
+        selectUnidad.innerHTML = opcionesDeUnidades([magnitud]);
+        selectUnidad.dataset.magnitud = magnitud;
+    }
+}
+
+/**
+ * Genera las opciones de un selector de unidades, agrupadas por magnitud
+ * cuando se ofrece más de una.
+ * 
+ * @param {Array} magnitudes - Magnitudes de UNIDADES a incluir
+ * @param {string} seleccionada - Unidad elegida (por defecto, la base de la primera magnitud)
+ * @returns {string} - HTML de las opciones
+ */
+function opcionesDeUnidades(magnitudes, seleccionada = null) {
+    const elegida = seleccionada || UNIDADES_BASE[magnitudes[0]];
+    const nombres = { masa: 'Masa', cantidad: 'Cantidad de sustancia', volumen: 'Volumen', concentracion: 'Concentración' };
+
+    const opciones = magnitud => Object.keys(UNIDADES[magnitud]).map(unidad =>
+        `<option value="${unidad}" ${unidad === elegida ? 'selected' : ''}>${unidad}</option>`
+    ).join('');
+
+    if (magnitudes.length === 1) {
+        return opciones(magnitudes[0]);
+    }
+    return magnitudes.map(m => `<optgroup label="${nombres[m]}">${opciones(m)}</optgroup>`).join('');
+}
+
+/**
+ * Lee los campos de una tarjeta de reactivo según su tipo de cantidad.
+ * 
+ * @param {Object} reactivo - El reactivo parseado
+ * @param {number} indice - Índice del reactivo
+ * @returns {Object} - Datos de cantidad para calcularEstequiometria
+ */
+function leerCantidadReactivo(reactivo, indice) {
+    const tipoCantidad = document.getElementById(`tipo-cantidad-${indice}`).value;
+    const cifras = {};
+    const dato = { cifras: cifras };
+
+    // Cada valor leído guarda sus cifras significativas tal como se escribió
+    const leer = (id, campo = id) => {
+        const texto = document.getElementById(`${id}-${indice}`).value;
+        cifras[campo] = contarCifrasSignificativas(texto);
+        return parseFloat(texto);
+    };
+    // Las incertidumbres opcionales se guardan por campo, en la unidad base de cada uno
+    const incertidumbre = {};
+    dato.incertidumbre = incertidumbre;
+    const leerIncertidumbre = (id, campo, convertir = valor => valor) => {
+        incertidumbre[campo] = convertir(parseFloat(document.getElementById(`incertidumbre-${id}-${indice}`).value) || 0);
+    };
+
+    if (tipoCantidad === 'masa' || tipoCantidad === 'moles') {
+        const cantidad = leer('cantidad', tipoCantidad);
+        if (isNaN(cantidad) || cantidad <= 0) {
+            throw new Error(`Por favor, ingresa una cantidad válida para ${reactivo.formula}`);
+        }
+
+        // La cantidad y su incertidumbre se pasan a g o mol
+        const unidad = document.getElementById(`unidad-cantidad-${indice}`).value;
+        const magnitud = tipoCantidad === 'masa' ? 'masa' : 'cantidad';
+        dato[tipoCantidad] = aUnidadBase(cantidad, magnitud, unidad);
+        if (unidad !== UNIDADES_BASE[magnitud]) {
+            dato.cantidadOriginal = { valor: cantidad, unidad: unidad };
+        }
+
+        const incertidumbreCantidad = parseFloat(document.getElementById(`incertidumbre-${indice}`).value) || 0;
+        incertidumbre.cantidad = aUnidadBase(incertidumbreCantidad, magnitud, unidad);
+        return dato;
+    }
+
+    if (tipoCantidad === 'gas') {
+        const volumenGas = leer('volumen-gas', 'volumen');
+        if (isNaN(volumenGas) || volumenGas <= 0) {
+            throw new Error(`Por favor, ingresa el volumen de ${reactivo.formula}`);
+        }
+        const unidadVolumenGas = document.getElementById(`unidad-volumen-gas-${indice}`).value;
+        dato.volumen = aUnidadBase(volumenGas, 'volumen', unidadVolumenGas);
+        leerIncertidumbre('volumen-gas', 'volumen', u => aUnidadBase(u, 'volumen', unidadVolumenGas));
+
+        const condiciones = leerCondicionesGas(`presion-${indice}`, `temperatura-${indice}`, reactivo.formula);
+        dato.presion = condiciones.presion;
+        dato.temperatura = condiciones.temperatura;
+        Object.assign(cifras, condiciones.cifras);
+        // Un intervalo de temperatura mide lo mismo en °C que en K
+        leerIncertidumbre('presion', 'presion', u => presionAAtm(u, document.getElementById(`unidad-presion-${indice}`).value));
+        leerIncertidumbre('temperatura', 'temperatura');
+        return dato;
+    }
+
+    const volumen = leer('volumen');
+    if (isNaN(volumen) || volumen <= 0) {
+        throw new Error(`Por favor, ingresa el volumen de disolución de ${reactivo.formula}`);
+    }
+    const unidadVolumen = document.getElementById(`unidad-volumen-${indice}`).value;
+    dato.volumen = aUnidadBase(volumen, 'volumen', unidadVolumen);
+    leerIncertidumbre('volumen', 'volumen', u => aUnidadBase(u, 'volumen', unidadVolumen));
+
+    if (tipoCantidad === 'disolucion') {
+        const molaridad = leer('molaridad');
+        if (isNaN(molaridad) || molaridad <= 0) {
+            throw new Error(`Por favor, ingresa una molaridad válida para ${reactivo.formula}`);
+        }
+        dato.molaridad = molaridad;
+        leerIncertidumbre('molaridad', 'molaridad');
+        return dato;
+    }
+
+    const porcentaje = leer('porcentaje');
+    if (isNaN(porcentaje) || porcentaje <= 0 || porcentaje > 100) {
+        throw new Error(`El porcentaje de ${reactivo.formula} debe estar entre 0 y 100%`);
+    }
+    dato.porcentaje = porcentaje;
+    leerIncertidumbre('porcentaje', 'porcentaje');
+    dato.tipoPorcentaje = document.getElementById(`tipo-porcentaje-${indice}`).value;
+
+    if (dato.tipoPorcentaje === 'pp') {
+        const densidad = leer('densidad');
+        if (isNaN(densidad) || densidad <= 0) {
+            throw new Error(`Por favor, ingresa la densidad de la disolución de ${reactivo.formula}`);
+        }
+        dato.densidad = densidad;
+        leerIncertidumbre('densidad', 'densidad');
+    }
+
+    return dato;
+}
+
+/**
+ * Muestra la sección de reactivos.
+ */
+function mostrarSeccionReactivos() {
+    seccionReactivos.style.display = 'block';
+}
+
+/**
+ * Oculta la sección de reactivos.
+ */
+function ocultarSeccionReactivos() {
+    seccionReactivos.style.display = 'none';
+}
+
+/**
+ * Oculta la sección de resultados.
+ */
+function ocultarSeccionResultados() {
+    seccionResultados.style.display = 'none';
+    redibujarResultados = null;
+}
+
+// ============================================================
+// SECCIÓN 4: CÁLCULOS Y RESULTADOS
+// ============================================================
+
+/**
+ * Recopila los datos ingresados y realiza los cálculos.
+ */
+function realizarCalculos() {
+    const modo = document.getElementById('modo-calculo').value;
+    if (modo === 'inverso') {
+        realizarCalculoInverso();
+        return;
+    }
+    if (modo === 'equilibrio') {
+        realizarCalculoEquilibrio();
+        return;
+    }
+
+    try {
+        // Recopilar datos de reactivos
+        const datosReactivos = [];
+
         ecuacionParseada.reactivos.forEach((reactivo, indice) => {
-            const tipoCantidad = document.getElementById(`tipo-cantidad-${indice}`).value;
-            const cantidad = parseFloat(document.getElementById(`cantidad-${indice}`).value);
             const pureza = parseFloat(document.getElementById(`pureza-${indice}`).value) || 100;
 
-            if (isNaN(cantidad) || cantidad <= 0) {
-                throw new Error(`Por favor, ingresa una cantidad válida para ${reactivo.formula}`);
-            }
-
             if (pureza < 0 || pureza > 100) {
                 throw new Error(`La pureza debe estar entre 0 y 100% para ${reactivo.formula}`);
             }
 
             const dato = {
                 formula: reactivo.formula,
-                pureza: pureza
+                pureza: pureza,
+                ...leerCantidadReactivo(reactivo, indice)
+            };
+
+            // Incertidumbres opcionales de la cantidad medida y de la pureza
+            dato.incertidumbre = {
+                ...dato.incertidumbre,
+                pureza: parseFloat(document.getElementById(`incertidumbre-pureza-${indice}`).value) || 0
+            };
+
+            // El 100% por defecto es exacto; una pureza medida limita las cifras
+            dato.cifras.pureza = pureza === 100
+                ? CIFRAS_EXACTAS
+                : contarCifrasSignificativas(document.getElementById(`pureza-${indice}`).value);
+
+            datosReactivos.push(dato);
+        });
+
+        // Volumen final de los productos en disolución y condiciones de los gaseosos (opcional)
+        const hayGases = ecuacionParseada.productos.some((p, i) => document.getElementById(`es-gas-${i}`).checked);
+        const condicionesGas = hayGases
+            ? leerCondicionesGas('presion-productos', 'temperatura-productos', 'los productos gaseosos')
+            : null;
+
+        const datosProductos = ecuacionParseada.productos.map((producto, i) => {
+            const textoVolumen = document.getElementById(`volumen-final-${i}`).value;
+            const volumen = parseFloat(textoVolumen);
+            const unidad = document.getElementById(`unidad-volumen-final-${i}`).value;
+            const dato = {
+                formula: producto.formula,
+                volumenFinal: volumen > 0 ? aUnidadBase(volumen, 'volumen', unidad) : null,
+                gas: document.getElementById(`es-gas-${i}`).checked ? condicionesGas : null,
+                cifras: { volumenFinal: contarCifrasSignificativas(textoVolumen) }
+            };
+
+            // Cantidad real obtenida (opcional)
+            const textoReal = document.getElementById(`cantidad-producto-real-${i}`).value;
+            const cantidadReal = parseFloat(textoReal);
+            if (cantidadReal > 0) {
+                const unidadReal = document.getElementById(`unidad-producto-real-${i}`).value;
+                const magnitud = magnitudDeUnidad(unidadReal);
+                const campo = magnitud === 'masa' ? 'masaReal' : 'molesReales';
+                const incertidumbreReal = parseFloat(document.getElementById(`incertidumbre-producto-real-${i}`).value) || 0;
+
+                dato[campo] = aUnidadBase(cantidadReal, magnitud, unidadReal);
+                dato.cifras[campo] = contarCifrasSignificativas(textoReal);
+                dato.incertidumbreReal = aUnidadBase(incertidumbreReal, magnitud, unidadReal);
+            }
+
+            return dato;
+        });
+
+        // Realizar cálculos
+        const resultados = calcularEstequiometria(
+            ecuacionActual,
+            datosReactivos,
+            datosProductos
+        );
+
+        // Mostrar resultados
+        redibujarResultados = () => mostrarResultados(resultados, datosReactivos);
+        redibujarResultados();
+
+    } catch (error) {
+        mostrarMensaje(error.message, 'error');
+    }
+}
+
+/**
+ * Recopila los datos del modo inverso y calcula los reactivos a pesar.
+ */
+function realizarCalculoInverso() {
+    try {
+        const cantidad = parseFloat(document.getElementById('cantidad-objetivo').value);
+        if (isNaN(cantidad) || cantidad <= 0) {
+            throw new Error('Por favor, ingresa una cantidad válida de producto deseado');
+        }
+
+        const textoRendimiento = document.getElementById('rendimiento-esperado').value;
+        const objetivo = {
+            formula: document.getElementById('producto-objetivo').value,
+            rendimiento: parseFloat(textoRendimiento) || 100,
+            cifras: {
+                cantidad: contarCifrasSignificativas(document.getElementById('cantidad-objetivo').value),
+                rendimiento: parseFloat(textoRendimiento) === 100
+                    ? CIFRAS_EXACTAS
+                    : contarCifrasSignificativas(textoRendimiento)
+            }
+        };
+        const unidadObjetivo = document.getElementById('unidad-objetivo').value;
+        const magnitudObjetivo = magnitudDeUnidad(unidadObjetivo);
+        objetivo[magnitudObjetivo === 'masa' ? 'masa' : 'moles'] = aUnidadBase(cantidad, magnitudObjetivo, unidadObjetivo);
+
+        const datosReactivos = ecuacionParseada.reactivos.map((reactivo, indice) => {
+            const pureza = parseFloat(document.getElementById(`pureza-inversa-${indice}`).value) || 100;
+            const exceso = parseFloat(document.getElementById(`exceso-${indice}`).value) || 0;
+
+            if (pureza <= 0 || pureza > 100) {
+                throw new Error(`La pureza debe estar entre 0 y 100% para ${reactivo.formula}`);
+            }
+            if (exceso < 0) {
+                throw new Error(`El exceso de ${reactivo.formula} no puede ser negativo`);
+            }
+
+            return {
+                formula: reactivo.formula,
+                pureza: pureza,
+                exceso: exceso,
+                cifras: {
+                    pureza: pureza === 100
+                        ? CIFRAS_EXACTAS
+                        : contarCifrasSignificativas(document.getElementById(`pureza-inversa-${indice}`).value),
+                    exceso: contarCifrasSignificativas(document.getElementById(`exceso-${indice}`).value)
+                }
             };
+        });
+
+        const resultados = calcularReactivosNecesarios(ecuacionActual, objetivo, datosReactivos);
+        redibujarResultados = () => mostrarResultadosInversos(resultados);
+        redibujarResultados();
+
+    } catch (error) {
+        mostrarMensaje(error.message, 'error');
+    }
+}
+
+/**
+ * Recopila la constante y las cantidades iniciales del modo equilibrio y
+ * resuelve la composición en el equilibrio.
+ */
+function realizarCalculoEquilibrio() {
+    try {
+        const textoConstante = document.getElementById('valor-constante').value;
+        const constante = parseFloat(textoConstante);
+        if (isNaN(constante) || constante <= 0) {
+            throw new Error('Por favor, ingresa un valor positivo para la constante de equilibrio');
+        }
+
+        const iniciales = {};
+        document.querySelectorAll('.inicial-equilibrio').forEach(campo => {
+            const valor = parseFloat(campo.value) || 0;
+            // Una especie que aparece en ambos lados acumula sus cantidades
+            iniciales[campo.dataset.formula] = (iniciales[campo.dataset.formula] || 0) + valor;
+        });
+
+        const temperatura = parseFloat(document.getElementById('temperatura-equilibrio').value);
+        const resultado = calcularEquilibrio(ecuacionActual, {
+            tipo: document.getElementById('tipo-constante').value,
+            constante: constante,
+            iniciales: iniciales,
+            temperatura: isNaN(temperatura)
+                ? null
+                : temperaturaAKelvin(temperatura, document.getElementById('unidad-temperatura-equilibrio').value)
+        });
+
+        const cifras = contarCifrasSignificativas(textoConstante);
+        redibujarResultados = () => mostrarResultadosEquilibrio(resultado, cifras);
+        redibujarResultados();
+
+    } catch (error) {
+        mostrarMensaje(error.message, 'error');
+    }
+}
+
+/**
+ * Muestra la tabla ICE, el cociente de reacción inicial y el sentido del desplazamiento.
+ * 
+ * @param {Object} resultado - Resultado de calcularEquilibrio
+ * @param {number} cifras - Cifras significativas de la constante ingresada
+ */
+function mostrarResultadosEquilibrio(resultado, cifras) {
+    seccionResultados.style.display = 'block';
+
+    const simbolo = resultado.tipo === 'Kc' ? (f) => `[${f}]` : (f) => `P<sub>${f}</sub>`;
+    const termino = (e) => {
+        const base = simbolo(formulaAHtml(e.formula));
+        const exponente = Math.abs(e.coeficiente);
+        return exponente === 1 ? base : `${base}<sup>${exponente}</sup>`;
+    };
+    const productos = resultado.especies.filter(e => e.coeficiente > 0).map(termino);
+    const reactivos = resultado.especies.filter(e => e.coeficiente < 0).map(termino);
+    let expresion = productos.join(' · ') || '1';
+    if (reactivos.length > 0) {
+        expresion += ` / ${reactivos.length > 1 ? `(${reactivos.join(' · ')})` : reactivos[0]}`;
+    }
+
+    const textoCociente = isFinite(resultado.cociente) ? formatearValor(resultado.cociente, cifras) : '∞';
+    const sentidos = {
+        productos: { comparacion: 'Q < K', texto: 'Hacia los productos (→)' },
+        reactivos: { comparacion: 'Q > K', texto: 'Hacia los reactivos (←)' },
+        equilibrio: { comparacion: 'Q = K', texto: 'Ya está en equilibrio' }
+    };
+    const sentido = sentidos[resultado.sentido];
+    const formatear = (valor) => formatearValor(valor, cifras);
+
+    let html = `
+        <div class="resultados-container">
+            <div class="tarjeta-resultado destacada">
+                <h3>⚖️ Equilibrio Químico</h3>
+                <p class="ecuacion-propuesta formula">${ecuacionAHtml(ecuacionActual)}</p>
+                <div class="resumen-grid">
+                    <div class="resumen-item">
+                        <span class="resumen-label">Expresión de ${resultado.tipo}</span>
+                        <span class="resumen-valor">${expresion}</span>
+                    </div>
+                    <div class="resumen-item">
+                        <span class="resumen-label">${resultado.tipo}</span>
+                        <span class="resumen-valor">${formatear(resultado.constante)}</span>
+                    </div>
+                    <div class="resumen-item">
+                        <span class="resumen-label">Cociente de reacción inicial (Q)</span>
+                        <span class="resumen-valor">${textoCociente} (${sentido.comparacion})</span>
+                    </div>
+                    <div class="resumen-item ${resultado.sentido === 'reactivos' ? 'exceso' : 'limitante'}">
+                        <span class="resumen-label">Desplazamiento</span>
+                        <span class="resumen-valor">${sentido.texto}</span>
+                    </div>
+                    <div class="resumen-item">
+                        <span class="resumen-label">Avance (x)</span>
+                        <span class="resumen-valor">${formatear(resultado.avance)} ${resultado.unidad}</span>
+                    </div>
+                    ${resultado.equivalente ? `
+                    <div class="resumen-item">
+                        <span class="resumen-label">${resultado.equivalente.tipo} a ${resultado.equivalente.temperatura.toFixed(2)} K (Δn = ${resultado.deltaN})</span>
+                        <span class="resumen-valor">${formatear(resultado.equivalente.valor)}</span>
+                    </div>` : ''}
+                </div>
+            </div>
+
+            <div class="tarjeta-resultado">
+                <h3>📋 Tabla ICE (${resultado.unidad})</h3>
+                <div class="tabla-responsive">
+                    <table class="tabla-resultados">
+                        <thead>
+                            <tr>
+                                <th></th>
+                                ${resultado.especies.map(e => `<th class="formula">${formulaAHtml(e.formula, e.estado)}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            <tr>
+                                <td><strong>Inicial</strong></td>
+                                ${resultado.especies.map(e => `<td>${formatear(e.inicial)}</td>`).join('')}
+                            </tr>
+                            <tr>
+                                <td><strong>Cambio</strong></td>
+                                ${resultado.especies.map(e => {
+        const coeficiente = Math.abs(e.coeficiente) === 1 ? '' : Math.abs(e.coeficiente);
+        return `<td>${e.coeficiente > 0 ? '+' : '−'}${coeficiente}x = ${e.cambio >= 0 ? '+' : '−'}${formatear(Math.abs(e.cambio))}</td>`;
+    }).join('')}
+                            </tr>
+                            <tr>
+                                <td><strong>Equilibrio</strong></td>
+                                ${resultado.especies.map(e => `<td><strong>${formatear(e.equilibrio)}</strong></td>`).join('')}
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+                <p class="nota-gases">Resuelto numéricamente (bisección sobre ln Q(x) = ln K), sin suponer x pequeña. Comprobación: Q en el equilibrio = ${formatear(resultado.cocienteFinal)}.</p>
+                ${resultado.excluidas.length > 0
+        ? `<p class="nota-gases">No intervienen en la expresión (sólidos o líquidos puros): ${resultado.excluidas.map(c => formulaAHtml(c.formula, c.estado)).join(', ')}.</p>`
+        : ''}
+            </div>
+        </div>
+    `;
+
+    contenedorResultados.innerHTML = html;
+}
+
+/**
+ * Muestra las cantidades de reactivo que hay que pesar en el modo inverso.
+ * 
+ * @param {Object} resultados - Resultado de calcularReactivosNecesarios
+ */
+function mostrarResultadosInversos(resultados) {
+    seccionResultados.style.display = 'block';
+    const producto = resultados.producto;
+
+    let html = `
+        <div class="resultados-container">
+            <div class="tarjeta-resultado destacada">
+                <h3>🎯 Objetivo</h3>
+                <div class="resumen-grid">
+                    <div class="resumen-item">
+                        <span class="resumen-label">Producto deseado</span>
+                        <span class="resumen-valor">${formatearValor(producto.masaDeseada, producto.cifras.masaDeseada)} g de <span class="formula">${formulaAHtml(producto.formula)}</span></span>
+                    </div>
+                    <div class="resumen-item">
+                        <span class="resumen-label">Rendimiento esperado</span>
+                        <span class="resumen-valor">${producto.rendimiento.toFixed(2)}%</span>
+                    </div>
+                    <div class="resumen-item">
+                        <span class="resumen-label">Producto teórico necesario</span>
+                        <span class="resumen-valor">${formatearValor(producto.masaTeorica, producto.cifras.masaTeorica)} g (${formatearValor(producto.molesTeoricos, producto.cifras.molesTeoricos)} mol)</span>
+                    </div>
+                </div>
+            </div>
+
+            <div class="tarjeta-resultado">
+                <h3>⚖️ Reactivos a Pesar</h3>
+                <div class="tabla-responsive">
+                    <table class="tabla-resultados">
+                        <thead>
+                            <tr>
+                                <th>Reactivo</th>
+                                <th>Moles Estequiométricos ${selectorUnidad('molesEstequiometricos', 'cantidad')}</th>
+                                <th>Exceso</th>
+                                <th>Moles Necesarios ${selectorUnidad('molesNecesarios', 'cantidad')}</th>
+                                <th>Masa Pura ${selectorUnidad('masaPura', 'masa')}</th>
+                                <th>Pureza</th>
+                                <th>Masa a Pesar ${selectorUnidad('masaAPesar', 'masa')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+    `;
+
+    for (const r of resultados.reactivos) {
+        html += `
+                            <tr>
+                                <td class="formula">${formulaAHtml(r.formula)}${nombreCompuestoHtml(r.formula)}</td>
+                                <td>${formatearEnUnidad(r.molesEstequiometricos, 'molesEstequiometricos', 'cantidad', r.cifras.molesEstequiometricos)}</td>
+                                <td>${r.exceso > 0 ? `${r.exceso}%` : '-'}</td>
+                                <td>${formatearEnUnidad(r.moles, 'molesNecesarios', 'cantidad', r.cifras.moles)}</td>
+                                <td>${formatearEnUnidad(r.masaPura, 'masaPura', 'masa', r.cifras.masaPura)}</td>
+                                <td>${r.pureza}%</td>
+                                <td><strong>${formatearEnUnidad(r.masaAPesar, 'masaAPesar', 'masa', r.cifras.masaAPesar)}</strong></td>
+                            </tr>
+        `;
+    }
+
+    html += `
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    `;
+
+    contenedorResultados.innerHTML = html;
+}
+
+/**
+ * Muestra los resultados de los cálculos en una interfaz visual.
+ */
+function mostrarResultados(resultados, datosReactivos) {
+    seccionResultados.style.display = 'block';
+
+    // Encontrar el reactivo en exceso para el resumen
+    const nombreLimitante = ELEMENTOS[Object.keys(parsearFormula(resultados.reactivoLimitante.formula))[0]]?.nombre || resultados.reactivoLimitante.formula;
+
+    let html = `
+        <div class="resultados-container">
+            <!-- Resumen Principal -->
+            <div class="tarjeta-resultado destacada">
+                <h3>📌 Resumen de la Reacción</h3>
+                <p class="ecuacion-propuesta formula">${ecuacionAHtml(ecuacionActual)}</p>
+                ${generarBotonesCopiar(ecuacionActual)}
+                <div class="resumen-grid">
+                    <div class="resumen-item limitante">
+                        <span class="resumen-label">Reactivo Limitante</span>
+                        <span class="resumen-valor formula">${formulaAHtml(resultados.reactivoLimitante.formula)}</span>
+                    </div>
+    `;
+
+    // Mostrar reactivos en exceso
+    if (resultados.reactivosEnExceso.length > 0) {
+        html += `
+                    <div class="resumen-item exceso">
+                        <span class="resumen-label">Reactivo(s) en Exceso</span>
+                        <span class="resumen-valor">
+                            ${resultados.reactivosEnExceso.map(e =>
+            `<span class="formula">${formulaAHtml(e.formula)}</span>`
+        ).join(', ')}
+                        </span>
+                    </div>
+        `;
+    }
+
+    // Advertir si el limitante podría ser otro dentro de la incertidumbre
+    if (resultados.reactivoLimitante.limitantesPosibles.length > 0) {
+        html += `
+                    <div class="resumen-item advertencia">
+                        <span class="resumen-label">⚠️ Limitante incierto</span>
+                        <span class="resumen-valor">
+                            Dentro de la incertidumbre, también podría limitar: ${resultados.reactivoLimitante.limitantesPosibles.map(f =>
+            `<span class="formula">${formulaAHtml(f)}</span>`
+        ).join(', ')}
+                        </span>
+                    </div>
+        `;
+    }
+
+    // Mostrar el rendimiento de cada producto medido
+    for (const producto of resultados.productos.filter(p => p.porcentajeRendimiento !== null)) {
+        const esRendimientoInvalido = producto.porcentajeRendimiento > 100;
+        html += `
+                    <div class="resumen-item rendimiento">
+                        <span class="resumen-label">Rendimiento de <span class="formula">${formulaAHtml(producto.formula)}</span></span>
+                        <span class="resumen-valor">${formatearConIncertidumbre(producto.porcentajeRendimiento, producto.cifras.porcentajeRendimiento, producto.incertidumbre.porcentajeRendimiento, 2)}%</span>
+                        ${esRendimientoInvalido ? `
+                        <span class="advertencia-rendimiento">⚠️ El rendimiento no puede ser mayor a 100%. Revisa los datos ingresados.</span>
+                        ` : ''}
+                    </div>
+        `;
+    }
+
+    html += `
+                </div>
+            </div>
+            
+            <!-- Tabla de Reactivos -->
+            <div class="tarjeta-resultado">
+                <h3>⚗️ Análisis de Reactivos</h3>
+                <div class="tabla-responsive">
+                    <table class="tabla-resultados">
+                        <thead>
+                            <tr>
+                                <th>Reactivo</th>
+                                <th>Masa Molar (g/mol)</th>
+                                <th>Cantidad Inicial ${selectorUnidad('cantidadInicial', 'masa')}</th>
+                                <th>Moles Efectivos ${selectorUnidad('molesEfectivos', 'cantidad')}</th>
+                                <th>Rol</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+    `;
+
+    // Fila del reactivo limitante
+    const datoLimitante = resultados.reactivos.find(r => r.formula === resultados.reactivoLimitante.formula);
+    const masaInicialLimitante = datoLimitante.masaInicial;
+
+    html += `
+                            <tr class="fila-limitante">
+                                <td class="formula">${formulaAHtml(resultados.reactivoLimitante.formula)}${nombreCompuestoHtml(resultados.reactivoLimitante.formula)}</td>
+                                <td>${resultados.reactivoLimitante.masaMolar.toFixed(3)}</td>
+                                <td>${formatearEnUnidad(masaInicialLimitante, 'cantidadInicial', 'masa', datoLimitante.cifras.masaInicial, datoLimitante.incertidumbre.masaInicial)}</td>
+                                <td>${formatearEnUnidad(resultados.reactivoLimitante.molesUsados, 'molesEfectivos', 'cantidad', resultados.reactivoLimitante.cifras.molesUsados, resultados.reactivoLimitante.incertidumbre.molesUsados)}</td>
+                                <td><span class="etiqueta limitante">LIMITANTE</span></td>
+                            </tr>
+    `;
+
+    // Filas de reactivos en exceso
+    for (const exceso of resultados.reactivosEnExceso) {
+        const datoExceso = resultados.reactivos.find(r => r.formula === exceso.formula);
+        const masaInicialExceso = datoExceso.masaInicial;
+
+        html += `
+                            <tr class="fila-exceso">
+                                <td class="formula">${formulaAHtml(exceso.formula)}${nombreCompuestoHtml(exceso.formula)}</td>
+                                <td>${exceso.masaMolar.toFixed(3)}</td>
+                                <td>${formatearEnUnidad(masaInicialExceso, 'cantidadInicial', 'masa', datoExceso.cifras.masaInicial, datoExceso.incertidumbre.masaInicial)}</td>
+                                <td>${formatearEnUnidad(exceso.molesIniciales, 'molesEfectivos', 'cantidad', exceso.cifras.molesIniciales, exceso.incertidumbre.molesIniciales)}</td>
+                                <td><span class="etiqueta exceso">EN EXCESO</span></td>
+                            </tr>
+        `;
+    }
+
+    html += `
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+    `;
+
+    // Tabla de reactivos en exceso con detalles
+    if (resultados.reactivosEnExceso.length > 0) {
+        html += `
+            <div class="tarjeta-resultado">
+                <h3>📊 Detalle de Reactivos en Exceso</h3>
+                <div class="tabla-responsive">
+                    <table class="tabla-resultados">
+                        <thead>
+                            <tr>
+                                <th>Reactivo</th>
+                                <th>Moles Usados ${selectorUnidad('molesUsados', 'cantidad')}</th>
+                                <th>Moles Sobrantes ${selectorUnidad('molesSobrantes', 'cantidad')}</th>
+                                <th>Masa Sobrante ${selectorUnidad('masaSobrante', 'masa')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+        `;
+
+        for (const exceso of resultados.reactivosEnExceso) {
+            html += `
+                            <tr>
+                                <td class="formula">${formulaAHtml(exceso.formula)}${nombreCompuestoHtml(exceso.formula)}</td>
+                                <td>${formatearEnUnidad(exceso.molesUsados, 'molesUsados', 'cantidad', exceso.cifras.molesUsados, exceso.incertidumbre.molesUsados)}</td>
+                                <td>${formatearEnUnidad(exceso.molesSobrantes, 'molesSobrantes', 'cantidad', exceso.cifras.molesSobrantes, exceso.incertidumbre.molesSobrantes)}</td>
+                                <td>${formatearEnUnidad(exceso.masaSobrante, 'masaSobrante', 'masa', exceso.cifras.masaSobrante, exceso.incertidumbre.masaSobrante)}</td>
+                            </tr>
+            `;
+        }
+
+        html += `
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    // Tabla de productos
+    const hayConcentraciones = resultados.productos.some(p => p.concentracion !== null);
+    const hayRendimientos = resultados.productos.some(p => p.porcentajeRendimiento !== null);
+    html += `
+            <div class="tarjeta-resultado">
+                <h3>🧪 Productos (Rendimiento Teórico)</h3>
+                <div class="tabla-responsive">
+                    <table class="tabla-resultados">
+                        <thead>
+                            <tr>
+                                <th>Producto</th>
+                                <th>Masa Molar (g/mol)</th>
+                                <th>Moles Teóricos ${selectorUnidad('molesTeoricos', 'cantidad')}</th>
+                                <th>Masa Teórica ${selectorUnidad('masaTeorica', 'masa')}</th>
+                                ${hayConcentraciones ? `<th>Concentración ${selectorUnidad('concentracion', 'concentracion')}</th>` : ''}
+                                ${hayRendimientos ? `<th>Masa Real ${selectorUnidad('masaReal', 'masa')}</th><th>Rendimiento</th>` : ''}
+                            </tr>
+                        </thead>
+                        <tbody>
+    `;
+
+    for (const producto of resultados.productos) {
+        html += `
+                            <tr>
+                                <td class="formula">${formulaAHtml(producto.formula)}${nombreCompuestoHtml(producto.formula)}</td>
+                                <td>${producto.masaMolar.toFixed(3)}</td>
+                                <td>${formatearEnUnidad(producto.molesTeoricos, 'molesTeoricos', 'cantidad', producto.cifras.molesTeoricos, producto.incertidumbre.molesTeoricos)}</td>
+                                <td>${formatearEnUnidad(producto.masaTeorica, 'masaTeorica', 'masa', producto.cifras.masaTeorica, producto.incertidumbre.masaTeorica)}</td>
+                                ${hayConcentraciones ? `<td>${producto.concentracion !== null
+                ? formatearEnUnidad(producto.concentracion, 'concentracion', 'concentracion', producto.cifras.concentracion) : '-'}</td>` : ''}
+                                ${hayRendimientos ? (producto.porcentajeRendimiento !== null
+                ? `<td>${formatearEnUnidad(producto.masaReal, 'masaReal', 'masa', producto.cifras.masaReal, producto.incertidumbre.masaReal)}</td><td>${formatearConIncertidumbre(producto.porcentajeRendimiento, producto.cifras.porcentajeRendimiento, producto.incertidumbre.porcentajeRendimiento, 2)}%</td>`
+                : '<td>-</td><td>-</td>') : ''}
+                            </tr>
+        `;
+    }
+
+    html += `
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+    `;
+
+    html += generarTablaGases(resultados.productos);
+
+    html += generarTablaTermoquimica(resultados.reactivoLimitante);
+
+    html += generarAvanceReaccion(resultados);
+
+    html += generarSolucionPasoAPaso(resultados.pasos);
+
+    // Un fallo del análisis redox no debe impedir mostrar la estequiometría
+    try {
+        html += generarTablaOxidacion(analizarEstadosOxidacion(ecuacionActual));
+    } catch (error) {
+        html += `
+            <div class="tarjeta-resultado">
+                <h3>⚡ Estados de Oxidación</h3>
+                <p class="descripcion-producto">No se pudieron determinar los estados de oxidación de esta ecuación.</p>
+            </div>
+        `;
+    }
+
+    // Información de pureza si aplica
+    const reactivosConPurezaMenor100 = resultados.reactivos.filter(r => r.pureza < 100);
+    if (reactivosConPurezaMenor100.length > 0) {
+        html += `
+            <div class="tarjeta-resultado info-pureza">
+                <h3>🔍 Efecto de la Pureza</h3>
+                <p>Los siguientes reactivos tienen pureza menor al 100%, lo cual afecta los cálculos:</p>
+                <ul>
+        `;
+
+        for (const r of reactivosConPurezaMenor100) {
+            const masaInicial = r.masaInicial;
+            const masaEfectiva = masaInicial * (r.pureza / 100);
+            const cifrasEfectiva = cifrasDeMultiplicacion(r.cifras.masaInicial, r.cifras.pureza);
+            // La masa pura tiene la misma incertidumbre relativa que los moles efectivos
+            const incertidumbreEfectiva = r.moles ? masaInicial * r.incertidumbre.molesEfectivos / r.moles : 0;
+            // Se muestran en la unidad elegida para la cantidad inicial en el análisis de reactivos
+            html += `
+                    <li>
+                        <strong class="formula">${formulaAHtml(r.formula)}</strong>: 
+                        Pureza ${r.pureza}% → De ${formatearEnUnidad(masaInicial, 'cantidadInicial', 'masa', r.cifras.masaInicial, r.incertidumbre.masaInicial)}, solo ${formatearEnUnidad(masaEfectiva, 'cantidadInicial', 'masa', cifrasEfectiva, incertidumbreEfectiva)} son reactivo puro.
+                    </li>
+            `;
+        }
+
+        html += `
+                </ul>
+            </div>
+        `;
+    }
+
+    html += '</div>';
+
+    contenedorResultados.innerHTML = html;
+}
+
+/**
+ * Formatea un resultado según el formato elegido: con sus cifras significativas
+ * o con un número fijo de decimales.
+ * 
+ * @param {number} valor - El valor a mostrar
+ * @param {number} cifras - Cifras significativas del valor
+ * @param {number} decimales - Decimales en el formato fijo
+ * @returns {string} - El valor formateado
+ */
+function formatearValor(valor, cifras, decimales = 4) {
+    if (selectFormatoNumeros.value === 'cifras') {
+        return formatearCifras(valor, cifras, decimales);
+    }
+    return formatearNumero(valor, decimales);
+}
+
+/**
+ * Formatea un resultado con su incertidumbre (valor ± u) si la tiene.
+ * 
+ * @param {number} valor - El valor a mostrar
+ * @param {number} cifras - Cifras significativas del valor
+ * @param {number} incertidumbre - Incertidumbre absoluta propagada
+ * @param {number} decimales - Decimales en el formato fijo
+ * @returns {string} - El valor formateado
+ */
+function formatearConIncertidumbre(valor, cifras, incertidumbre, decimales = 4) {
+    if (!incertidumbre) {
+        return formatearValor(valor, cifras, decimales);
+    }
+    return formatearIncertidumbre(valor, incertidumbre, selectFormatoNumeros.value === 'cifras' ? null : decimales);
+}
+
+/**
+ * Unidad elegida para mostrar una columna de resultados, o la unidad base.
+ * 
+ * @param {string} columna - Clave de la columna
+ * @param {string} magnitud - Magnitud de UNIDADES que muestra la columna
+ * @returns {string} - Símbolo de la unidad
+ */
+function unidadDeColumna(columna, magnitud) {
+    return unidadesColumnas[columna] || UNIDADES_BASE[magnitud];
+}
+
+/**
+ * Genera el selector de unidad que va en el encabezado de una columna.
+ * 
+ * @param {string} columna - Clave de la columna
+ * @param {string} magnitud - Magnitud de UNIDADES que muestra la columna
+ * @returns {string} - HTML del selector
+ */
+function selectorUnidad(columna, magnitud) {
+    return `
+        <select class="selector-unidad" data-columna="${columna}" aria-label="Unidad">
+            ${opcionesDeUnidades([magnitud], unidadDeColumna(columna, magnitud))}
+        </select>
+    `;
+}
+
+/**
+ * Formatea un resultado (en unidad base) en la unidad elegida para su columna.
+ * 
+ * @param {number} valor - Valor en la unidad base
+ * @param {string} columna - Clave de la columna
+ * @param {string} magnitud - Magnitud de UNIDADES
+ * @param {number} cifras - Cifras significativas del valor
+ * @param {number} incertidumbre - Incertidumbre absoluta en la unidad base
+ * @param {number} decimales - Decimales en el formato fijo
+ * @returns {string} - Valor formateado con su unidad
+ */
+function formatearEnUnidad(valor, columna, magnitud, cifras, incertidumbre = null, decimales = 4) {
+    const unidad = unidadDeColumna(columna, magnitud);
+    const convertir = v => desdeUnidadBase(v, magnitud, unidad);
+    const texto = formatearConIncertidumbre(convertir(valor), cifras, incertidumbre ? convertir(incertidumbre) : null, decimales);
+    return `${texto} ${unidad}`;
+}
+
+/**
+ * Secciones de la solución paso a paso, en el orden en que se muestran.
+ */
+const SECCIONES_PASOS = [
+    { tipo: 'masaMolar', titulo: 'Masas molares' },
+    { tipo: 'moles', titulo: 'Conversión a moles' },
+    { tipo: 'pureza', titulo: 'Corrección por pureza' },
+    { tipo: 'proporcion', titulo: 'Proporción moles / coeficiente (reactivo limitante)' },
+    { tipo: 'exceso', titulo: 'Reactivos en exceso' },
+    { tipo: 'rendimiento', titulo: 'Rendimiento teórico' },
+    { tipo: 'porcentajeRendimiento', titulo: 'Porcentaje de rendimiento' }
+];
+
+/**
+ * Escribe un paso del cálculo como una línea con fórmula, sustitución y unidades.
+ * 
+ * @param {Object} paso - Paso generado por calcularEstequiometria
+ * @returns {string} - HTML del paso
+ */
+function describirPaso(paso) {
+    const f = formulaAHtml(paso.formula);
+    const n = (valor, decimales = 4) => formatearNumero(valor, decimales);
+    const r = (valor, decimales = 4) => formatearValor(valor, paso.cifras, decimales);
+
+    // Cantidad ingresada en otra unidad: primero se pasa a g o mol
+    const original = paso.cantidadOriginal
+        ? `${paso.cantidadOriginal.valor} ${paso.cantidadOriginal.unidad} = ${paso.origen === 'masa'
+            ? `${n(paso.masa)} g` : `${n(paso.moles)} mol`}; `
+        : '';
+
+    switch (paso.tipo) {
+        case 'masaMolar':
+            return `M(${f}) = ${paso.terminos.map(t =>
+                `${t.cantidad} × ${n(t.masaAtomica, 3)}`).join(' + ')} = <strong>${r(paso.total, 3)} g/mol</strong>`;
+
+        case 'moles':
+            switch (paso.origen) {
+                case 'masa':
+                    return `${original}n(${f}) = m / M = ${n(paso.masa)} g ÷ ${n(paso.masaMolar, 3)} g/mol = <strong>${r(paso.moles)} mol</strong>`;
+                case 'disolucion':
+                    return `n(${f}) = C × V = ${n(paso.molaridad)} mol/L × ${n(paso.volumen)} L = <strong>${r(paso.moles)} mol</strong>`;
+                case 'porcentaje': {
+                    const volumenMl = n(paso.volumen * 1000, 2);
+                    const masa = paso.tipoPorcentaje === 'pv'
+                        ? `m = (% p/v ÷ 100) × V = (${n(paso.porcentaje, 2)} ÷ 100) g/mL × ${volumenMl} mL`
+                        : `m = (% p/p ÷ 100) × V × ρ = (${n(paso.porcentaje, 2)} ÷ 100) × ${volumenMl} mL × ${n(paso.densidad)} g/mL`;
+                    return `${masa} = ${n(paso.masa)} g; n(${f}) = ${n(paso.masa)} g ÷ ${n(paso.masaMolar, 3)} g/mol = <strong>${r(paso.moles)} mol</strong>`;
+                }
+                case 'gas':
+                    return `n(${f}) = PV / RT = (${n(paso.presion)} atm × ${n(paso.volumen)} L) ÷ (${paso.constante} L·atm/(mol·K) × ${n(paso.temperatura, 2)} K) = <strong>${r(paso.moles)} mol</strong>`;
+                default:
+                    return `${original}n(${f}) = <strong>${r(paso.moles)} mol</strong> (dato)`;
+            }
+
+        case 'pureza':
+            return `n efectivos(${f}) = ${n(paso.moles)} mol × ${paso.pureza}% = <strong>${r(paso.molesEfectivos)} mol</strong>`;
+
+        case 'proporcion':
+            return `${f}: ${n(paso.molesEfectivos)} mol ÷ ${paso.coeficiente} = <strong>${r(paso.proporcion)} mol</strong>` +
+                (paso.limitante ? ' ← menor proporción: <strong>reactivo limitante</strong>' : '');
+
+        case 'exceso':
+            return `n usados(${f}) = ${n(paso.proporcionLimitante)} mol × ${paso.coeficiente} = ${n(paso.molesUsados)} mol; ` +
+                `n sobrantes = ${n(paso.molesIniciales)} mol − ${n(paso.molesUsados)} mol = ${n(paso.molesSobrantes)} mol; ` +
+                `m sobrante = ${n(paso.molesSobrantes)} mol × ${n(paso.masaMolar, 3)} g/mol = <strong>${r(paso.masaSobrante)} g</strong>`;
+
+        case 'rendimiento':
+            return `n(${f}) = ${n(paso.proporcionLimitante)} mol × ${paso.coeficiente} = ${n(paso.moles)} mol; ` +
+                `m = ${n(paso.moles)} mol × ${n(paso.masaMolar, 3)} g/mol = <strong>${r(paso.masa)} g</strong>`;
+
+        case 'porcentajeRendimiento':
+            return `% rendimiento(${f}) = (${n(paso.masaReal)} g ÷ ${n(paso.masaTeorica)} g) × 100 = <strong>${r(paso.porcentaje, 2)}%</strong>`;
+
+        default:
+            return '';
+    }
+}
+
+/**
+ * Genera la solución paso a paso desplegable.
+ * 
+ * @param {Array} pasos - Pasos generados por calcularEstequiometria
+ * @returns {string} - HTML de la tarjeta
+ */
+function generarSolucionPasoAPaso(pasos) {
+    let html = `
+            <div class="tarjeta-resultado">
+                <details class="solucion-pasos">
+                    <summary>📝 Solución Paso a Paso</summary>
+    `;
+
+    SECCIONES_PASOS.forEach(seccion => {
+        const pasosSeccion = pasos.filter(p => p.tipo === seccion.tipo);
+        if (pasosSeccion.length === 0) return;
+
+        html += `
+                    <div class="seccion-pasos">
+                        <h4>${seccion.titulo}</h4>
+                        <ul class="lista-pasos">
+                            ${pasosSeccion.map(p => `<li>${describirPaso(p)}</li>`).join('')}
+                        </ul>
+                    </div>
+        `;
+    });
+
+    html += `
+                </details>
+            </div>
+    `;
+
+    return html;
+}
+
+/**
+ * Genera la tabla de volúmenes teóricos de los productos gaseosos.
+ * 
+ * @param {Array} productos - Productos de los resultados
+ * @returns {string} - HTML de la tarjeta, o cadena vacía si no hay gases
+ */
+function generarTablaGases(productos) {
+    const gases = productos.filter(p => p.gas);
+    if (gases.length === 0) {
+        return '';
+    }
+
+    const { presion, temperatura } = gases[0].gas.condiciones;
+    const { STP, SATP } = CONDICIONES_ESTANDAR;
+
+    let html = `
+            <div class="tarjeta-resultado">
+                <h3>🎈 Volumen de Productos Gaseosos</h3>
+                <div class="tabla-responsive">
+                    <table class="tabla-resultados">
+                        <thead>
+                            <tr>
+                                <th>Producto</th>
+                                <th>Volumen (${presion.toFixed(3)} atm, ${temperatura.toFixed(2)} K) ${selectorUnidad('volumenGas', 'volumen')}</th>
+                                <th>Volumen en ${STP.nombre}</th>
+                                <th>Volumen en ${SATP.nombre}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+    `;
+
+    for (const producto of gases) {
+        html += `
+                            <tr>
+                                <td class="formula">${formulaAHtml(producto.formula)}${nombreCompuestoHtml(producto.formula)}</td>
+                                <td>${formatearEnUnidad(producto.gas.volumen, 'volumenGas', 'volumen', producto.cifras.volumenGas)}</td>
+                                <td>${formatearEnUnidad(producto.gas.volumenSTP, 'volumenGas', 'volumen', producto.cifras.volumenGas)}</td>
+                                <td>${formatearEnUnidad(producto.gas.volumenSATP, 'volumenGas', 'volumen', producto.cifras.volumenGas)}</td>
+                            </tr>
+        `;
+    }
+
+    html += `
+                        </tbody>
+                    </table>
+                </div>
+                <p class="nota-gases">Calculado con la ecuación de los gases ideales, PV = nRT (R = ${CONSTANTE_GASES} L·atm/(mol·K)).</p>
+            </div>
+    `;
+
+    return html;
+}
+
+/**
+ * Genera la tarjeta de termoquímica: datos de formación de cada especie, ΔH°, ΔS° y ΔG°
+ * de la reacción y el calor liberado o absorbido según los moles del reactivo limitante.
+ * Las especies sin datos en la tabla tienen campos para ingresarlos.
+ * 
+ * @param {Object} limitante - Reactivo limitante de calcularEstequiometria
+ * @returns {string} - HTML de la tarjeta
+ */
+function generarTablaTermoquimica(limitante) {
+    const termo = calcularTermoquimica(ecuacionActual, temperaturaTermoquimica);
+    const calor = calcularCalorDeReaccion(termo, { formula: limitante.formula, moles: limitante.molesUsados });
+    const campos = [['entalpia', 'ΔH°f (kJ/mol)'], ['entropia', 'S° (J/(mol·K))'], ['energiaLibre', 'ΔG°f (kJ/mol)']];
+
+    // Los valores de la tabla se muestran; los que faltan o ingresó el usuario quedan editables
+    const celda = (especie, indice, campo) => {
+        const datos = especie.datos;
+        if (datos && datos.origen === 'tabla' && datos[campo] !== null) {
+            return `<td>${datos[campo].toFixed(2)}</td>`;
+        }
+        const valor = datos && datos[campo] !== null ? datos[campo] : '';
+        return `<td><input type="number" step="any" class="dato-termodinamico" data-indice="${indice}" data-campo="${campo}" value="${valor}" placeholder="?"></td>`;
+    };
+
+    let html = `
+            <div class="tarjeta-resultado">
+                <h3>🔥 Termoquímica</h3>
+                <div class="tabla-responsive">
+                    <table class="tabla-resultados">
+                        <thead>
+                            <tr>
+                                <th>Especie</th>
+                                <th>Coeficiente</th>
+                                ${campos.map(([, titulo]) => `<th>${titulo}</th>`).join('')}
+                                <th>Fuente</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+    `;
+
+    termo.especies.forEach((especie, i) => {
+        const estado = especie.datos ? especie.datos.estado : especie.estado;
+        html += `
+                            <tr>
+                                <td class="formula">${formulaAHtml(especie.formula, estado)}${especie.datos && especie.datos.estadoSupuesto ? '*' : ''}</td>
+                                <td>${especie.lado === 'reactivos' ? '−' : '+'}${especie.coeficiente}</td>
+                                ${campos.map(([campo]) => celda(especie, i, campo)).join('')}
+                                <td>${!especie.datos ? 'Sin datos' : especie.datos.origen === 'tabla' ? 'Tabla' : 'Ingresado'}</td>
+                            </tr>
+        `;
+    });
+
+    html += `
+                        </tbody>
+                    </table>
+                </div>
+                ${termo.especies.some(e => e.datos && e.datos.estadoSupuesto)
+                    ? '<p class="nota-gases">* Estado no indicado en la ecuación: se usó el habitual a 25 °C. Escribe (s), (l), (g) o (aq) para elegir otro.</p>'
+                    : ''}
+                <div class="campos-producto">
+                    <div class="grupo-campo">
+                        <label for="temperatura-termoquimica">Temperatura (K):</label>
+                        <input type="number" id="temperatura-termoquimica" step="any" min="0" value="${temperaturaTermoquimica}">
+                    </div>
+                </div>
+                <button type="button" class="boton-ejemplo" id="boton-recalcular-termoquimica">↻ Recalcular con estos datos</button>
+    `;
+
+    if (termo.faltantes.length > 0) {
+        html += `
+                <p class="descripcion-producto">
+                    Faltan las entalpías de formación de ${termo.faltantes.map(e => `<span class="formula">${formulaAHtml(e.formula)}</span>`).join(', ')}.
+                    Ingresa los valores en la tabla para calcular el calor de reacción.
+                </p>
+            </div>
+        `;
+        return html;
+    }
+
+    const cifrasCalor = limitante.cifras.molesUsados;
+    const textoEnergiaLibre = termo.energiaLibre === null ? '-' :
+        `${termo.energiaLibre.toFixed(2)} kJ (${termo.espontanea ? 'espontánea' : 'no espontánea'} a ${temperaturaTermoquimica} K` +
+        `${termo.metodoEnergiaLibre === 'gibbs-helmholtz' ? ', calculado como ΔH° − TΔS°' : ''})`;
+
+    html += `
+                <div class="resumen-grid">
+                    <div class="resumen-item">
+                        <span class="resumen-label">ΔH°<sub>rxn</sub></span>
+                        <span class="resumen-valor">${termo.entalpia.toFixed(2)} kJ</span>
+                        <span class="resumen-label">Reacción ${termo.tipo}</span>
+                    </div>
+                    <div class="resumen-item">
+                        <span class="resumen-label">ΔS°<sub>rxn</sub></span>
+                        <span class="resumen-valor">${termo.entropia === null ? '-' : `${termo.entropia.toFixed(2)} J/K`}</span>
+                    </div>
+                    <div class="resumen-item">
+                        <span class="resumen-label">ΔG°<sub>rxn</sub></span>
+                        <span class="resumen-valor">${textoEnergiaLibre}</span>
+                    </div>
+                    <div class="resumen-item ${calor.sentido === 'liberado' ? 'exceso' : 'limitante'}">
+                        <span class="resumen-label">Calor ${calor.sentido}</span>
+                        <span class="resumen-valor">${formatearValor(Math.abs(calor.calor), cifrasCalor, 3)} kJ</span>
+                        <span class="resumen-label">
+                            ξ = ${formatearValor(calor.avance, cifrasCalor)} mol según <span class="formula">${formulaAHtml(limitante.formula)}</span>
+                        </span>
+                    </div>
+                </div>
+            </div>
+    `;
+
+    return html;
+}
+
+/**
+ * Guarda los datos termodinámicos ingresados en la tabla y la temperatura, y vuelve a dibujar los resultados.
+ */
+function recalcularTermoquimica() {
+    const especies = calcularTermoquimica(ecuacionActual, temperaturaTermoquimica).especies;
+    const porEspecie = {};
+
+    contenedorResultados.querySelectorAll('.dato-termodinamico').forEach(input => {
+        const indice = input.dataset.indice;
+        porEspecie[indice] = porEspecie[indice] || {};
+        porEspecie[indice][input.dataset.campo] = input.value.trim() === '' ? null : parseFloat(input.value);
+    });
+
+    for (const indice in porEspecie) {
+        const especie = especies[indice];
+        definirDatosTermodinamicos(especie.formula, especie.datos ? especie.datos.estado : especie.estado, porEspecie[indice]);
+    }
+
+    const temperatura = parseFloat(document.getElementById('temperatura-termoquimica').value);
+    if (!(temperatura > 0)) {
+        mostrarMensaje('La temperatura debe ser mayor que 0 K.', 'error');
+        return;
+    }
+    temperaturaTermoquimica = temperatura;
+
+    if (redibujarResultados) {
+        redibujarResultados();
+    }
+}
+
+// Pasos del deslizador del avance entre ξ = 0 y ξmax
+const PASOS_AVANCE = 1000;
+
+/**
+ * Genera la vista interactiva del avance de reacción: un deslizador de ξ
+ * entre 0 y ξmax y el contenido que depende de él.
+ * 
+ * @param {Object} resultados - Resultados de calcularEstequiometria
+ * @returns {string} - HTML de la tarjeta
+ */
+function generarAvanceReaccion(resultados) {
+    // Al redibujar los mismos resultados se conserva la posición del deslizador
+    if (!avanceReaccion || avanceReaccion.resultados !== resultados) {
+        avanceReaccion = {
+            resultados: resultados,
+            datos: prepararAvanceReaccion(ecuacionActual, resultados.reactivos),
+            cifras: resultados.reactivoLimitante.cifras.molesUsados,
+            posicion: PASOS_AVANCE
+        };
+    }
+    const limitante = avanceReaccion.datos.limitante;
+
+    return `
+            <div class="tarjeta-resultado">
+                <h3>🎚️ Avance de la Reacción</h3>
+                <p class="descripcion-producto">Mueve el deslizador para seguir la mezcla desde el inicio (ξ = 0) hasta que se agota el reactivo limitante, <span class="formula">${formulaAHtml(limitante)}</span> (ξ = ξmax).</p>
+                <div class="grupo-campo">
+                    <label for="deslizador-avance">Avance de reacción (ξ):</label>
+                    <input type="range" id="deslizador-avance" class="deslizador-avance" min="0" max="${PASOS_AVANCE}" step="1" value="${avanceReaccion.posicion}">
+                </div>
+                <div id="contenido-avance">
+                    ${generarContenidoAvance()}
+                </div>
+            </div>
+    `;
+}
+
+/**
+ * Genera la composición de la mezcla en la posición actual del deslizador:
+ * resumen de ξ y masa total, barra apilada de masas y tabla de moles y masas.
+ * 
+ * @returns {string} - HTML del contenido
+ */
+function generarContenidoAvance() {
+    const { datos, cifras, posicion } = avanceReaccion;
+    const estado = composicionEnAvance(datos, datos.avanceMaximo * posicion / PASOS_AVANCE);
+    const color = (i) => COLORES_COMPOSICION[i % COLORES_COMPOSICION.length];
+    // Moles y masas en las unidades elegidas en los encabezados de la tabla
+    const moles = (valor) => formatearEnUnidad(valor, 'molesAvance', 'cantidad', cifras);
+    const masa = (valor) => formatearEnUnidad(valor, 'masaAvance', 'masa', cifras);
+
+    return `
+        <div class="resumen-grid">
+            <div class="resumen-item">
+                <span class="resumen-label">ξ / ξmax</span>
+                <span class="resumen-valor">${formatearValor(desdeUnidadBase(estado.avance, 'cantidad', unidadDeColumna('molesAvance', 'cantidad')), cifras)} / ${moles(datos.avanceMaximo)} (${(estado.fraccion * 100).toFixed(1)}%)</span>
+            </div>
+            <div class="resumen-item">
+                <span class="resumen-label">Moles totales</span>
+                <span class="resumen-valor">${moles(estado.molesTotales)}</span>
+            </div>
+            <div class="resumen-item limitante">
+                <span class="resumen-label">Masa total (se conserva)</span>
+                <span class="resumen-valor">${masa(estado.masaTotal)}</span>
+            </div>
+        </div>
+        <div class="barra-composicion">
+            ${estado.especies.map((e, i) => {
+        const porcentaje = estado.masaTotal > 0 ? e.masa / estado.masaTotal * 100 : 0;
+        return `
+            <span style="width: ${porcentaje}%; background: ${color(i)};" title="${escaparHtml(e.formula)}: ${porcentaje.toFixed(1)}% de la masa">${porcentaje >= 8 ? formulaAHtml(e.formula) : ''}</span>
+            `;
+    }).join('')}
+        </div>
+        <div class="tabla-responsive">
+            <table class="tabla-resultados">
+                <thead>
+                    <tr>
+                        <th>Especie</th>
+                        <th>Coeficiente (ν)</th>
+                        <th>Moles (n₀ + ν·ξ) ${selectorUnidad('molesAvance', 'cantidad')}</th>
+                        <th>Masa ${selectorUnidad('masaAvance', 'masa')}</th>
+                        <th>% en masa</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${estado.especies.map((e, i) => `
+                    <tr>
+                        <td class="formula"><span class="muestra-color" style="background: ${color(i)};"></span>${formulaAHtml(e.formula, e.estado)}${nombreCompuestoHtml(e.formula)}</td>
+                        <td>${e.coeficiente > 0 ? '+' : '−'}${Math.abs(e.coeficiente)}</td>
+                        <td>${moles(e.moles)}</td>
+                        <td>${masa(e.masa)}</td>
+                        <td>${(estado.masaTotal > 0 ? e.masa / estado.masaTotal * 100 : 0).toFixed(1)}%</td>
+                    </tr>
+                    `).join('')}
+                    <tr>
+                        <td><strong>Total</strong></td>
+                        <td></td>
+                        <td><strong>${moles(estado.molesTotales)}</strong></td>
+                        <td><strong>${masa(estado.masaTotal)}</strong></td>
+                        <td><strong>100.0%</strong></td>
+                    </tr>
+                </tbody>
+            </table>
+        </div>
+        <p class="nota-gases">Solo se cuenta la parte pura de cada reactivo; las impurezas no participan en la reacción.</p>
+    `;
+}
+
+/**
+ * Actualiza la composición al mover el deslizador sin redibujar el resto de los resultados.
+ * 
+ * @param {HTMLInputElement} deslizador - El deslizador del avance
+ */
+function actualizarAvanceReaccion(deslizador) {
+    avanceReaccion.posicion = parseInt(deslizador.value, 10);
+    document.getElementById('contenido-avance').innerHTML = generarContenidoAvance();
+}
+
+/**
+ * Genera la tabla de estados de oxidación con el rol redox de cada especie.
+ * 
+ * @param {Object} analisis - Resultado de analizarEstadosOxidacion
+ * @returns {string} - HTML de la tarjeta
+ */
+function generarTablaOxidacion(analisis) {
+    const textoEstados = compuesto => compuesto.indeterminado ? 'No determinado' : Object.keys(compuesto.estados).map(elemento => {
+        const valores = compuesto.valores[elemento] || [compuesto.estados[elemento]];
+        return `${elemento}: ${valores.map(formatearEstadoOxidacion).join(' y ')}`;
+    }).join(', ');
+
+    const textoRol = compuesto => {
+        if (compuesto.lado !== 'reactivos') return '-';
+        const roles = [];
+        if (analisis.oxidados.includes(compuesto.formula)) {
+            roles.push('<span class="etiqueta oxidado">SE OXIDA</span> Agente reductor');
+        }
+        if (analisis.reducidos.includes(compuesto.formula)) {
+            roles.push('<span class="etiqueta reducido">SE REDUCE</span> Agente oxidante');
+        }
+        return roles.length > 0 ? roles.join('<br>') : '-';
+    };
+
+    let html = `
+            <div class="tarjeta-resultado">
+                <h3>⚡ Estados de Oxidación</h3>
+                <div class="tabla-responsive">
+                    <table class="tabla-resultados">
+                        <thead>
+                            <tr>
+                                <th>Especie</th>
+                                <th>Lado</th>
+                                <th>Estados de Oxidación</th>
+                                <th>Rol</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+    `;
+
+    for (const compuesto of analisis.compuestos) {
+        html += `
+                            <tr>
+                                <td class="formula">${formulaAHtml(compuesto.formula)}${nombreCompuestoHtml(compuesto.formula)}</td>
+                                <td>${compuesto.lado === 'reactivos' ? 'Reactivo' : 'Producto'}</td>
+                                <td>${textoEstados(compuesto)}</td>
+                                <td>${textoRol(compuesto)}</td>
+                            </tr>
+        `;
+    }
+
+    html += `
+                        </tbody>
+                    </table>
+                </div>
+    `;
+
+    if (analisis.esRedox) {
+        html += `
+                <ul class="lista-cambios-oxidacion">
+                    ${analisis.cambios.map(c => `
+                    <li>
+                        ${c.tipo === 'oxidacion' ? 'Oxidación' : 'Reducción'} de ${c.elemento}:
+                        ${formatearEstadoOxidacion(c.desde)} → ${formatearEstadoOxidacion(c.hasta)}
+                        (<span class="formula">${formulaAHtml(c.reactivo)}</span> →
+                        <span class="formula">${formulaAHtml(c.producto)}</span>)
+                    </li>`).join('')}
+                </ul>
+        `;
+    } else {
+        html += `
+                <p class="descripcion-producto">Ningún elemento cambia su estado de oxidación: no es una reacción redox.</p>
+        `;
+    }
+
+    html += `
+            </div>
+    `;
+
+    return html;
+}
+
+// ============================================================
+// SECCIÓN 5: EJEMPLOS Y AYUDA
+// ============================================================
+
+/**
+ * Carga un ejemplo en el campo de ecuación.
+ * 
+ * @param {string} ecuacion - La ecuación de ejemplo
+ * @param {string} modo - Modo de balanceo que corresponde al ejemplo
+ */
+function cargarEjemplo(ecuacion, modo = 'estandar') {
+    inputEcuacion.value = ecuacion;
+    selectModoBalance.value = modo;
+    inputEcuacion.focus();
+}
+
+// ============================================================
+// SECCIÓN 6: COMPOSICIÓN, FÓRMULAS E ISÓTOPOS
+// ============================================================
+
+// Colores de las barras de composición, en el orden en que aparecen los elementos
+const COLORES_COMPOSICION = ['#6d8b63', '#c9a66b', '#7a9cb8', '#b87a7a', '#9a86b3', '#d2dcb6', '#8fb5a8', '#c2a0c0'];
+
+/**
+ * Genera la composición porcentual en masa de un compuesto: una barra apilada
+ * y una tabla con los átomos, la masa atómica, el aporte y el porcentaje de cada elemento.
+ * 
+ * @param {string} formula - La fórmula química
+ * @param {boolean} abierta - Si el desplegable se muestra abierto
+ * @returns {string} - HTML del desplegable de composición
+ */
+function generarComposicionHtml(formula, abierta = false) {
+    const composicion = calcularComposicionPorcentual(formula);
+    const color = (i) => COLORES_COMPOSICION[i % COLORES_COMPOSICION.length];
+
+    return `
+        <details class="composicion" data-formula="${escaparHtml(formula)}"${abierta ? ' open' : ''}>
+            <summary>📊 Composición porcentual de <span class="formula">${formulaAHtml(formula)}</span></summary>
+            <div class="barra-composicion">
+                ${composicion.elementos.map((e, i) => `
+                <span style="width: ${e.porcentaje}%; background: ${color(i)};" title="${e.elemento}: ${e.porcentaje.toFixed(2)}%">${e.porcentaje >= 8 ? e.elemento : ''}</span>
+                `).join('')}
+            </div>
+            <div class="tabla-responsive">
+                <table class="tabla-resultados">
+                    <thead>
+                        <tr>
+                            <th>Elemento</th>
+                            <th>Átomos</th>
+                            <th>Masa atómica (g/mol)</th>
+                            <th>Aporte (g/mol)</th>
+                            <th>% en masa</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${composicion.elementos.map((e, i) => `
+                        <tr>
+                            <td><span class="muestra-color" style="background: ${color(i)};"></span>${formulaAHtml(e.elemento)} (${e.nombre})</td>
+                            <td>${e.cantidad}</td>
+                            <td>${e.masaAtomica.toFixed(3)}</td>
+                            <td>${e.masa.toFixed(3)}</td>
+                            <td>${e.porcentaje.toFixed(2)}%</td>
+                        </tr>
+                        `).join('')}
+                        <tr>
+                            <td><strong>Total</strong></td>
+                            <td></td>
+                            <td></td>
+                            <td><strong>${composicion.masaMolar.toFixed(3)}</strong></td>
+                            <td><strong>100.00%</strong></td>
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+        </details>
+    `;
+}
+
+/**
+ * Muestra la composición porcentual del compuesto escrito en la consulta independiente.
+ */
+function consultarComposicion() {
+    const texto = inputFormulaComposicion.value.trim();
+
+    if (!texto) {
+        resultadosComposicion.innerHTML = '';
+        mostrarMensaje('Ingresa una fórmula química o el nombre de un compuesto.', 'error', mensajeComposicion);
+        return;
+    }
 
-            if (tipoCantidad === 'masa') {
-                dato.masa = cantidad;
-            } else {
-                dato.moles = cantidad;
-            }
+    try {
+        resultadosComposicion.innerHTML = generarComposicionHtml(interpretarFormulaONombre(texto), true);
+        mensajeComposicion.style.display = 'none';
+    } catch (error) {
+        resultadosComposicion.innerHTML = '';
+        mostrarMensaje(error.message, 'error', mensajeComposicion);
+    }
+}
 
-            datosReactivos.push(dato);
-        });
+/**
+ * Muestra una calculadora y oculta las demás.
+ * 
+ * @param {string} id - Id del contenedor de la calculadora
+ */
+function cambiarCalculadora(id) {
+    document.querySelectorAll('.calculadora').forEach(c => {
+        c.style.display = c.id === id ? '' : 'none';
+    });
+    document.querySelectorAll('.boton-calculadora').forEach(b => {
+        b.classList.toggle('activo', b.dataset.calculadora === id);
+    });
+}
+
+/**
+ * Agrega una fila para ingresar un elemento y su cantidad.
+ * 
+ * @param {string} simbolo - Símbolo inicial del elemento
+ * @param {string} valor - Cantidad inicial
+ */
+function agregarFilaElemento(simbolo = '', valor = '') {
+    const fila = document.createElement('div');
+    fila.className = 'fila-elemento-formula';
+    fila.innerHTML = `
+        <input type="text" class="simbolo-elemento" placeholder="Ej: C" value="${escaparHtml(simbolo)}" autocomplete="off" spellcheck="false">
+        <input type="number" class="valor-elemento" step="any" min="0" placeholder="${selectTipoDatosFormula.value === 'porcentaje' ? '%' : 'g'}" value="${escaparHtml(valor)}">
+        <button type="button" class="boton-quitar-elemento" title="Quitar elemento">✕</button>
+    `;
+    fila.querySelector('.boton-quitar-elemento').addEventListener('click', () => fila.remove());
+    filasElementosFormula.appendChild(fila);
+}
 
-        // Datos de producto real (opcional)
-        let datosProductoReal = null;
-        const cantidadProductoReal = document.getElementById('cantidad-producto-real').value;
+/**
+ * Muestra los campos que corresponden al tipo de datos elegido.
+ */
+function actualizarCamposFormula() {
+    const tipo = selectTipoDatosFormula.value;
+    document.getElementById('datos-elementos-formula').style.display = tipo === 'combustion' ? 'none' : '';
+    document.getElementById('datos-combustion').style.display = tipo === 'combustion' ? '' : 'none';
+    filasElementosFormula.querySelectorAll('.valor-elemento').forEach(input => {
+        input.placeholder = tipo === 'porcentaje' ? '%' : 'g';
+    });
+}
 
-        if (cantidadProductoReal && parseFloat(cantidadProductoReal) > 0) {
-            const formulaProducto = document.getElementById('select-producto').value;
-            const tipoProducto = document.getElementById('tipo-producto').value;
+/**
+ * Lee un campo numérico opcional de la calculadora de fórmulas.
+ * 
+ * @param {string} id - Id del campo
+ * @returns {number|null} - El valor, o null si está vacío
+ */
+function leerCampoOpcional(id) {
+    const texto = document.getElementById(id).value.trim();
+    return texto === '' ? null : parseFloat(texto);
+}
 
-            datosProductoReal = {
-                formula: formulaProducto
-            };
+/**
+ * Lee los datos ingresados y calcula la fórmula empírica y, si hay masa molar,
+ * la molecular.
+ */
+function calcularFormula() {
+    const tipo = selectTipoDatosFormula.value;
 
-            if (tipoProducto === 'masa') {
-                datosProductoReal.masaReal = parseFloat(cantidadProductoReal);
-            } else {
-                datosProductoReal.molesReales = parseFloat(cantidadProductoReal);
+    try {
+        let empirica;
+
+        if (tipo === 'combustion') {
+            const tipoNitrogeno = document.getElementById('tipo-nitrogeno').value;
+            const tipoAzufre = document.getElementById('tipo-azufre').value;
+            const valorNitrogeno = leerCampoOpcional('valor-nitrogeno');
+            const valorAzufre = leerCampoOpcional('valor-azufre');
+
+            empirica = analizarCombustion({
+                masaMuestra: leerCampoOpcional('masa-muestra'),
+                masaCO2: leerCampoOpcional('masa-co2'),
+                masaH2O: leerCampoOpcional('masa-h2o'),
+                nitrogeno: valorNitrogeno !== null ? { tipo: tipoNitrogeno, valor: valorNitrogeno } : null,
+                azufre: valorAzufre !== null ? { tipo: tipoAzufre, valor: valorAzufre } : null
+            });
+        } else {
+            const datos = [];
+            for (const fila of filasElementosFormula.querySelectorAll('.fila-elemento-formula')) {
+                const simbolo = fila.querySelector('.simbolo-elemento').value.trim();
+                const texto = fila.querySelector('.valor-elemento').value.trim();
+                if (simbolo === '' && texto === '') {
+                    continue;
+                }
+                // Aceptar el símbolo aunque se escriba todo en minúsculas
+                const elemento = simbolo.charAt(0).toUpperCase() + simbolo.slice(1).toLowerCase();
+                datos.push({ elemento: elemento, valor: parseFloat(texto) });
             }
+            empirica = calcularFormulaEmpirica(datos, tipo);
         }
 
-        // Realizar cálculos
-        const resultados = calcularEstequiometria(
-            ecuacionActual,
-            datosReactivos,
-            datosProductoReal
-        );
-
-        // Mostrar resultados
-        mostrarResultados(resultados, datosReactivos);
+        const masaMolar = leerCampoOpcional('masa-molar-formula');
+        if (masaMolar !== null && !(masaMolar > 0)) {
+            throw new Error('La masa molar debe ser mayor que cero.');
+        }
+        const molecular = masaMolar !== null ? calcularFormulaMolecular(empirica, masaMolar) : null;
 
+        mostrarResultadosFormula(empirica, molecular);
+        mensajeFormula.style.display = 'none';
     } catch (error) {
-        mostrarMensaje(error.message, 'error');
+        resultadosFormula.innerHTML = '';
+        mostrarMensaje(error.message, 'error', mensajeFormula);
     }
 }
 
 /**
- * Muestra los resultados de los cálculos en una interfaz visual.
+ * Muestra la fórmula empírica, la molecular y la tabla de moles y razones.
+ * 
+ * @param {Object} empirica - Resultado de calcularFormulaEmpirica o analizarCombustion
+ * @param {Object|null} molecular - Resultado de calcularFormulaMolecular
  */
-function mostrarResultados(resultados, datosReactivos) {
-    seccionResultados.style.display = 'block';
-
-    // Encontrar el reactivo en exceso para el resumen
-    const nombreLimitante = ELEMENTOS[Object.keys(parsearFormula(resultados.reactivoLimitante.formula))[0]]?.nombre || resultados.reactivoLimitante.formula;
+function mostrarResultadosFormula(empirica, molecular) {
+    const advertencias = [empirica.advertencia, molecular?.advertencia].filter(Boolean);
 
     let html = `
         <div class="resultados-container">
-            <!-- Resumen Principal -->
             <div class="tarjeta-resultado destacada">
-                <h3>📌 Resumen de la Reacción</h3>
+                <h3>📌 Resultado</h3>
                 <div class="resumen-grid">
-                    <div class="resumen-item limitante">
-                        <span class="resumen-label">Reactivo Limitante</span>
-                        <span class="resumen-valor formula">${formulaAHtml(resultados.reactivoLimitante.formula)}</span>
+                    <div class="resumen-item">
+                        <span class="resumen-label">Fórmula empírica</span>
+                        <span class="resumen-valor formula">${formulaAHtml(empirica.formula)}</span>
+                    </div>
+                    <div class="resumen-item">
+                        <span class="resumen-label">Masa de la fórmula empírica</span>
+                        <span class="resumen-valor">${empirica.masaFormula.toFixed(3)} g/mol</span>
                     </div>
     `;
 
-    // Mostrar reactivos en exceso
-    if (resultados.reactivosEnExceso.length > 0) {
+    if (molecular) {
         html += `
-                    <div class="resumen-item exceso">
-                        <span class="resumen-label">Reactivo(s) en Exceso</span>
-                        <span class="resumen-valor">
-                            ${resultados.reactivosEnExceso.map(e =>
-            `<span class="formula">${formulaAHtml(e.formula)}</span>`
-        ).join(', ')}
-                        </span>
+                    <div class="resumen-item">
+                        <span class="resumen-label">Fórmula molecular (n = ${molecular.n})</span>
+                        <span class="resumen-valor formula">${formulaAHtml(molecular.formula)}</span>
                     </div>
         `;
     }
 
-    // Mostrar rendimiento si está disponible
-    if (resultados.porcentajeRendimiento !== null) {
-        const esRendimientoInvalido = resultados.porcentajeRendimiento > 100;
+    for (const advertencia of advertencias) {
         html += `
-                    <div class="resumen-item rendimiento">
-                        <span class="resumen-label">Porcentaje de Rendimiento</span>
-                        <span class="resumen-valor">${resultados.porcentajeRendimiento.toFixed(2)}%</span>
-                        ${esRendimientoInvalido ? `
-                        <span class="advertencia-rendimiento">⚠️ El rendimiento no puede ser mayor a 100%. Revisa los datos ingresados.</span>
-                        ` : ''}
+                    <div class="resumen-item advertencia">
+                        <span class="resumen-label">⚠️ Revisa los datos</span>
+                        <span class="resumen-valor">${advertencia}</span>
                     </div>
         `;
     }
@@ -397,184 +2597,352 @@ function mostrarResultados(resultados, datosReactivos) {
     html += `
                 </div>
             </div>
-            
-            <!-- Tabla de Reactivos -->
+    `;
+
+    // En el análisis de combustión, indicar de dónde sale la masa de cada elemento
+    if (empirica.tipo === 'combustion') {
+        const ORIGENES = {
+            'CO2': 'a partir del CO<sub>2</sub>',
+            'H2O': 'a partir del H<sub>2</sub>O',
+            'N2': 'a partir del N<sub>2</sub>',
+            'NH3': 'a partir del NH<sub>3</sub>',
+            'SO2': 'a partir del SO<sub>2</sub>',
+            '%': 'porcentaje de la muestra',
+            'diferencia': 'por diferencia con la masa de la muestra'
+        };
+        html += `
             <div class="tarjeta-resultado">
-                <h3>⚗️ Análisis de Reactivos</h3>
+                <h3>🔥 Masa de cada elemento en la muestra</h3>
                 <div class="tabla-responsive">
                     <table class="tabla-resultados">
                         <thead>
                             <tr>
-                                <th>Reactivo</th>
-                                <th>Masa Molar (g/mol)</th>
-                                <th>Cantidad Inicial</th>
-                                <th>Moles Efectivos</th>
-                                <th>Rol</th>
+                                <th>Elemento</th>
+                                <th>Masa (g)</th>
+                                <th>Origen</th>
                             </tr>
                         </thead>
                         <tbody>
-    `;
-
-    // Fila del reactivo limitante
-    const datoLimitante = datosReactivos.find(d => d.formula === resultados.reactivoLimitante.formula);
-    const masaInicialLimitante = datoLimitante.masa || molesAMasa(datoLimitante.moles, datoLimitante.formula);
+                            ${empirica.masas.map(m => `
+                            <tr>
+                                <td class="formula">${m.elemento}</td>
+                                <td>${formatearNumero(m.masa)}</td>
+                                <td>${ORIGENES[m.origen]}</td>
+                            </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
 
     html += `
-                            <tr class="fila-limitante">
-                                <td class="formula">${formulaAHtml(resultados.reactivoLimitante.formula)}</td>
-                                <td>${resultados.reactivoLimitante.masaMolar.toFixed(3)}</td>
-                                <td>${masaInicialLimitante.toFixed(4)} g</td>
-                                <td>${resultados.reactivoLimitante.molesUsados.toFixed(4)} mol</td>
-                                <td><span class="etiqueta limitante">LIMITANTE</span></td>
+            <div class="tarjeta-resultado">
+                <h3>🧮 Relación de Moles</h3>
+                <div class="tabla-responsive">
+                    <table class="tabla-resultados">
+                        <thead>
+                            <tr>
+                                <th>Elemento</th>
+                                <th>${empirica.tipo === 'porcentaje' ? 'Masa en 100 g (g)' : 'Masa (g)'}</th>
+                                <th>Masa atómica (g/mol)</th>
+                                <th>Moles</th>
+                                <th>Razón (÷ menor)</th>
+                                ${empirica.multiplicador > 1 ? `<th>Razón × ${empirica.multiplicador}</th>` : ''}
+                                <th>Subíndice</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${empirica.elementos.map(e => `
+                            <tr>
+                                <td class="formula">${e.elemento}</td>
+                                <td>${formatearNumero(e.masa)}</td>
+                                <td>${e.masaAtomica.toFixed(3)}</td>
+                                <td>${formatearNumero(e.moles)}</td>
+                                <td>${formatearNumero(e.razon, 3)}</td>
+                                ${empirica.multiplicador > 1 ? `<td>${formatearNumero(e.razon * empirica.multiplicador, 3)}</td>` : ''}
+                                <td><strong>${e.subindice}</strong></td>
                             </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
     `;
 
-    // Filas de reactivos en exceso
-    for (const exceso of resultados.reactivosEnExceso) {
-        const datoExceso = datosReactivos.find(d => d.formula === exceso.formula);
-        const masaInicialExceso = datoExceso.masa || molesAMasa(datoExceso.moles, datoExceso.formula);
+    resultadosFormula.innerHTML = html;
+}
+
+/**
+ * Muestra el patrón isotópico de la fórmula escrita en la consulta de isótopos.
+ */
+function consultarPatronIsotopico() {
+    const texto = inputFormulaIsotopos.value.trim();
+
+    if (!texto) {
+        resultadosIsotopos.innerHTML = '';
+        mostrarMensaje('Ingresa una fórmula química o el nombre de un compuesto.', 'error', mensajeIsotopos);
+        return;
+    }
+
+    try {
+        mostrarPatronIsotopico(calcularDistribucionIsotopica(interpretarFormulaONombre(texto)));
+        mensajeIsotopos.style.display = 'none';
+    } catch (error) {
+        resultadosIsotopos.innerHTML = '';
+        mostrarMensaje(error.message, 'error', mensajeIsotopos);
+    }
+}
+
+/**
+ * Dibuja el espectro de barras: una línea vertical por pico con su intensidad relativa.
+ * 
+ * @param {Object[]} picos - Picos con masa, nominal, intensidad y etiqueta
+ * @returns {string} - SVG del espectro
+ */
+function generarEspectroSvg(picos) {
+    const ancho = 600;
+    const alto = 240;
+    const margen = { izquierda: 40, derecha: 20, arriba: 20, abajo: 40 };
+    const minimo = picos[0].nominal - 1;
+    const maximo = picos[picos.length - 1].nominal + 1;
+    const x = (masa) => margen.izquierda + (masa - minimo) / (maximo - minimo) * (ancho - margen.izquierda - margen.derecha);
+    const y = (intensidad) => alto - margen.abajo - intensidad / 100 * (alto - margen.arriba - margen.abajo);
+
+    return `
+        <svg class="espectro-masas" viewBox="0 0 ${ancho} ${alto}" role="img" aria-label="Espectro de masas">
+            <line class="eje" x1="${margen.izquierda}" y1="${y(0)}" x2="${ancho - margen.derecha}" y2="${y(0)}" />
+            <line class="eje" x1="${margen.izquierda}" y1="${y(0)}" x2="${margen.izquierda}" y2="${y(100)}" />
+            <text class="texto-eje" x="${margen.izquierda - 6}" y="${y(100) + 4}" text-anchor="end">100</text>
+            <text class="texto-eje" x="${margen.izquierda - 6}" y="${y(50) + 4}" text-anchor="end">50</text>
+            <text class="texto-eje" x="${ancho / 2}" y="${alto - 4}" text-anchor="middle">m/z</text>
+            ${picos.map(p => `
+            <line class="pico" x1="${x(p.masa)}" y1="${y(0)}" x2="${x(p.masa)}" y2="${y(p.intensidad)}">
+                <title>${p.etiqueta}: ${p.masa.toFixed(4)} (${p.intensidad.toFixed(2)}%)</title>
+            </line>
+            <text class="texto-eje" x="${x(p.masa)}" y="${y(0) + 14}" text-anchor="middle">${p.nominal}</text>
+            ${p.intensidad >= 5 ? `<text class="texto-pico" x="${x(p.masa)}" y="${y(p.intensidad) - 4}" text-anchor="middle">${p.etiqueta}</text>` : ''}
+            `).join('')}
+        </svg>
+    `;
+}
+
+/**
+ * Muestra el espectro, la tabla de picos y las abundancias de los isótopos usados.
+ * 
+ * @param {Object} distribucion - Resultado de calcularDistribucionIsotopica
+ */
+function mostrarPatronIsotopico(distribucion) {
+    // Los picos por debajo de 0.1% no se distinguen en el gráfico ni en la tabla
+    const visibles = distribucion.picos.filter(p => p.intensidad >= 0.1);
+    const elementos = Object.keys(parsearFormula(distribucion.formula));
+
+    let html = `
+        <div class="resultados-container">
+            <div class="tarjeta-resultado destacada">
+                <h3>📈 Patrón Isotópico de <span class="formula">${formulaAHtml(distribucion.formula)}</span></h3>
+                <div class="resumen-grid">
+                    <div class="resumen-item">
+                        <span class="resumen-label">Masa monoisotópica</span>
+                        <span class="resumen-valor">${distribucion.masaMonoisotopica.toFixed(4)} u</span>
+                    </div>
+                    <div class="resumen-item">
+                        <span class="resumen-label">Masa molar promedio</span>
+                        <span class="resumen-valor">${distribucion.masaPromedio.toFixed(3)} g/mol</span>
+                    </div>
+    `;
 
+    if (distribucion.elementosSinDatos.length > 0) {
         html += `
-                            <tr class="fila-exceso">
-                                <td class="formula">${formulaAHtml(exceso.formula)}</td>
-                                <td>${exceso.masaMolar.toFixed(3)}</td>
-                                <td>${masaInicialExceso.toFixed(4)} g</td>
-                                <td>${exceso.molesIniciales.toFixed(4)} mol</td>
-                                <td><span class="etiqueta exceso">EN EXCESO</span></td>
-                            </tr>
+                    <div class="resumen-item advertencia">
+                        <span class="resumen-label">⚠️ Sin abundancias isotópicas</span>
+                        <span class="resumen-valor">${distribucion.elementosSinDatos.join(', ')}: se usa su masa atómica promedio como un solo pico.</span>
+                    </div>
         `;
     }
 
     html += `
-                        </tbody>
-                    </table>
                 </div>
+                ${generarEspectroSvg(visibles)}
             </div>
-    `;
 
-    // Tabla de reactivos en exceso con detalles
-    if (resultados.reactivosEnExceso.length > 0) {
-        html += `
             <div class="tarjeta-resultado">
-                <h3>📊 Detalle de Reactivos en Exceso</h3>
+                <h3>📋 Picos</h3>
                 <div class="tabla-responsive">
                     <table class="tabla-resultados">
                         <thead>
                             <tr>
-                                <th>Reactivo</th>
-                                <th>Moles Usados</th>
-                                <th>Moles Sobrantes</th>
-                                <th>Masa Sobrante</th>
+                                <th>Pico</th>
+                                <th>m/z</th>
+                                <th>Intensidad relativa (%)</th>
+                                <th>Abundancia (%)</th>
                             </tr>
                         </thead>
                         <tbody>
-        `;
-
-        for (const exceso of resultados.reactivosEnExceso) {
-            html += `
+                            ${visibles.map(p => `
                             <tr>
-                                <td class="formula">${formulaAHtml(exceso.formula)}</td>
-                                <td>${exceso.molesUsados.toFixed(4)} mol</td>
-                                <td>${exceso.molesSobrantes.toFixed(4)} mol</td>
-                                <td>${exceso.masaSobrante.toFixed(4)} g</td>
+                                <td>${p.etiqueta}</td>
+                                <td>${p.masa.toFixed(4)}</td>
+                                <td>${p.intensidad.toFixed(2)}</td>
+                                <td>${(p.abundancia * 100).toFixed(3)}</td>
                             </tr>
-            `;
-        }
-
-        html += `
+                            `).join('')}
                         </tbody>
                     </table>
                 </div>
             </div>
-        `;
-    }
 
-    // Tabla de productos
-    html += `
             <div class="tarjeta-resultado">
-                <h3>🧪 Productos (Rendimiento Teórico)</h3>
+                <h3>⚛️ Abundancia Natural de los Isótopos</h3>
                 <div class="tabla-responsive">
                     <table class="tabla-resultados">
                         <thead>
                             <tr>
-                                <th>Producto</th>
-                                <th>Masa Molar (g/mol)</th>
-                                <th>Moles Teóricos</th>
-                                <th>Masa Teórica</th>
+                                <th>Elemento</th>
+                                <th>Isótopo</th>
+                                <th>Masa exacta (u)</th>
+                                <th>Abundancia natural (%)</th>
                             </tr>
                         </thead>
                         <tbody>
-    `;
-
-    for (const producto of resultados.productos) {
-        html += `
+                            ${elementos.map(clave => (isotoposDeClave(clave) || []).map(i => `
                             <tr>
-                                <td class="formula">${formulaAHtml(producto.formula)}</td>
-                                <td>${producto.masaMolar.toFixed(3)}</td>
-                                <td>${producto.molesTeoricos.toFixed(4)} mol</td>
-                                <td>${producto.masaTeorica.toFixed(4)} g</td>
+                                <td>${nombreDeElemento(clave)}</td>
+                                <td class="formula">${formulaAHtml(`[${i.nominal}${elementoBase(clave)}]`)}</td>
+                                <td>${i.masa.toFixed(6)}</td>
+                                <td>${datosDeIsotopo(clave) ? 'marcado' : (i.abundancia * 100).toFixed(4)}</td>
                             </tr>
-        `;
-    }
-
-    html += `
+                            `).join('')).join('')}
                         </tbody>
                     </table>
                 </div>
             </div>
+        </div>
     `;
 
-    // Información de pureza si aplica
-    const reactivosConPurezaMenor100 = datosReactivos.filter(d => d.pureza < 100);
-    if (reactivosConPurezaMenor100.length > 0) {
-        html += `
-            <div class="tarjeta-resultado info-pureza">
-                <h3>🔍 Efecto de la Pureza</h3>
-                <p>Los siguientes reactivos tienen pureza menor al 100%, lo cual afecta los cálculos:</p>
-                <ul>
-        `;
+    resultadosIsotopos.innerHTML = html;
+}
 
-        for (const r of reactivosConPurezaMenor100) {
-            const masaInicial = r.masa || molesAMasa(r.moles, r.formula);
-            const masaEfectiva = masaInicial * (r.pureza / 100);
-            html += `
-                    <li>
-                        <strong class="formula">${formulaAHtml(r.formula)}</strong>: 
-                        Pureza ${r.pureza}% → De ${masaInicial.toFixed(4)} g, solo ${masaEfectiva.toFixed(4)} g son reactivo puro.
-                    </li>
-            `;
-        }
+// ============================================================
+// SECCIÓN 7: NOMBRES DE LOS COMPUESTOS
+// ============================================================
 
-        html += `
-                </ul>
-            </div>
-        `;
-    }
+/**
+ * Genera el nombre de un compuesto para mostrarlo junto a su fórmula.
+ * El nombre preferido se muestra y las demás nomenclaturas quedan en el título.
+ * 
+ * @param {string} formula - Fórmula del compuesto
+ * @returns {string} - HTML con el nombre, o cadena vacía si no se reconoce
+ */
+function nombreCompuestoHtml(formula) {
+    const nombres = nombrarFormula(formula);
+    if (!nombres) return '';
 
-    html += '</div>';
+    const nomenclaturas = [['Sistemática', nombres.iupac], ['Stock', nombres.stock], ['Tradicional', nombres.tradicional]]
+        .filter(([, nombre]) => nombre && nombre !== nombres.nombre)
+        .map(([estilo, nombre]) => `${estilo}: ${nombre}`);
 
-    contenedorResultados.innerHTML = html;
+    return `<span class="nombre-compuesto"${nomenclaturas.length ? ` title="${escaparHtml(nomenclaturas.join(' · '))}"` : ''}>${escaparHtml(nombres.nombre)}</span>`;
 }
 
 // ============================================================
-// SECCIÓN 5: EJEMPLOS Y AYUDA
+// SECCIÓN 8: TABLAS DE MASAS ATÓMICAS
 // ============================================================
 
 /**
- * Carga un ejemplo en el campo de ecuación.
+ * Activa la tabla de masas elegida. La personalizada se activa recién al cargar su JSON.
  */
-function cargarEjemplo(ecuacion) {
-    inputEcuacion.value = ecuacion;
-    inputEcuacion.focus();
+function cambiarTablaMasas() {
+    const personalizada = selectTablaMasas.value === 'personalizada';
+    campoTablaPersonalizada.style.display = personalizada ? '' : 'none';
+
+    if (personalizada && Object.keys(TABLAS_MASAS.personalizada.masas).length === 0) {
+        return;
+    }
+
+    seleccionarTablaMasas(selectTablaMasas.value);
+    aplicarTablaMasas();
+}
+
+/**
+ * Lee el JSON de la tabla personalizada y la activa.
+ */
+function cargarTablaPersonalizada() {
+    try {
+        const cantidad = cargarTablaMasasPersonalizada(inputTablaMasas.value);
+        seleccionarTablaMasas('personalizada');
+        aplicarTablaMasas();
+        mostrarMensaje(`Tabla cargada con ${cantidad} masa(s); el resto usa los valores IUPAC.`, 'exito', mensajeTablaMasas);
+    } catch (error) {
+        mostrarMensaje(error.message, 'error', mensajeTablaMasas);
+    }
+}
+
+/**
+ * Vuelve a calcular las masas molares ya mostradas con la tabla activa.
+ */
+function aplicarTablaMasas() {
+    document.querySelectorAll('.masa-molar[data-formula]').forEach(span => {
+        span.textContent = `Masa molar: ${calcularMasaMolar(span.dataset.formula).toFixed(3)} g/mol`;
+    });
+    document.querySelectorAll('.composicion[data-formula]').forEach(detalle => {
+        detalle.outerHTML = generarComposicionHtml(detalle.dataset.formula, detalle.open);
+    });
+
+    // Solo se recalcula si lo que está a la vista salió de realizarCalculos,
+    // no una propuesta de balanceo o un balance redox
+    if (seccionResultados.style.display !== 'none' && redibujarResultados) {
+        realizarCalculos();
+    }
+    if (resultadosFormula.innerHTML.trim() !== '') {
+        calcularFormula();
+    }
 }
 
 // ============================================================
-// SECCIÓN 6: INICIALIZACIÓN
+// SECCIÓN 9: INICIALIZACIÓN
 // ============================================================
 
 // Evento principal del botón validar
 botonValidar.addEventListener('click', validarEcuacionIngresada);
 
+// Al editar la ecuación se quita el resaltado del error anterior
+inputEcuacion.addEventListener('input', limpiarResaltadoEcuacion);
+
+// Cambiar entre cifras significativas y decimales fijos vuelve a dibujar los resultados
+selectFormatoNumeros.addEventListener('change', () => {
+    if (redibujarResultados) {
+        redibujarResultados();
+    }
+});
+
+// Cambiar la unidad de una columna de resultados vuelve a dibujarlos
+contenedorResultados.addEventListener('change', (e) => {
+    if (e.target.classList.contains('selector-unidad') && redibujarResultados) {
+        unidadesColumnas[e.target.dataset.columna] = e.target.value;
+        redibujarResultados();
+    }
+});
+
+// Copiar una ecuación como texto o como LaTeX, y recalcular la termoquímica con los datos ingresados
+contenedorResultados.addEventListener('click', (e) => {
+    if (e.target.classList.contains('boton-copiar')) {
+        copiarEcuacion(e.target);
+    }
+    if (e.target.id === 'boton-recalcular-termoquimica') {
+        recalcularTermoquimica();
+    }
+});
+
+// Mover el deslizador del avance de reacción
+contenedorResultados.addEventListener('input', (e) => {
+    if (e.target.id === 'deslizador-avance') {
+        actualizarAvanceReaccion(e.target);
+    }
+});
+
 // También validar al presionar Enter en el input
 inputEcuacion.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') {
@@ -583,9 +2951,45 @@ inputEcuacion.addEventListener('keypress', (e) => {
     }
 });
 
+// Cambiar entre la calculadora de reacciones y la de fórmulas
+document.querySelectorAll('.boton-calculadora').forEach(boton => {
+    boton.addEventListener('click', () => cambiarCalculadora(boton.dataset.calculadora));
+});
+
+// Calculadora de fórmula empírica y molecular
+selectTipoDatosFormula.addEventListener('change', actualizarCamposFormula);
+document.getElementById('boton-agregar-elemento').addEventListener('click', () => agregarFilaElemento());
+document.getElementById('boton-calcular-formula').addEventListener('click', calcularFormula);
+
+// Tabla de masas atómicas
+selectTablaMasas.addEventListener('change', cambiarTablaMasas);
+document.getElementById('boton-cargar-tabla').addEventListener('click', cargarTablaPersonalizada);
+
+// Patrón isotópico
+document.getElementById('boton-isotopos').addEventListener('click', consultarPatronIsotopico);
+inputFormulaIsotopos.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        consultarPatronIsotopico();
+    }
+});
+
+// Consulta independiente de composición porcentual
+document.getElementById('boton-composicion').addEventListener('click', consultarComposicion);
+inputFormulaComposicion.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        consultarComposicion();
+    }
+});
+
 // Inicialización
 document.addEventListener('DOMContentLoaded', () => {
     ocultarSeccionReactivos();
     ocultarSeccionResultados();
     ocultarMensaje();
+
+    for (let i = 0; i < 3; i++) {
+        agregarFilaElemento();
+    }
 });
@@ -1,145 +1,359 @@
 /**
  * ELEMENTOS.JS - Base de datos completa de la tabla periódica
  * 
- * Contiene todos los 118 elementos químicos con sus masas atómicas.
- * Las masas atómicas están en unidades de masa atómica (u o uma).
+ * Contiene todos los 118 elementos químicos con sus masas atómicas y sus
+ * propiedades periódicas. Las masas atómicas están en unidades de masa atómica (u o uma).
  * 
- * Estructura: { símbolo: { nombre, masaAtomica } }
+ * Estructura: { símbolo: { nombre, masaAtomica, numeroAtomico, grupo, periodo, bloque,
+ *               categoria, estadosOxidacion, electronegatividad, estado, intervaloMasa? } }
+ * 
+ * - grupo: 1 a 18, o null para los lantánidos y actínidos del bloque f
+ * - categoria: "no metal", "gas noble", "halógeno", "metal alcalino", "metal alcalinotérreo",
+ *   "metal de transición", "metal del bloque p", "metaloide", "lantánido" o "actínido"
+ * - estadosOxidacion: estados de oxidación comunes, de menor a mayor
+ * - electronegatividad: escala de Pauling (null si no está determinada)
+ * - estado: "sólido", "líquido" o "gas" a 25 °C y 1 atm (null si se desconoce)
+ * - intervaloMasa: [mínimo, máximo] de la masa atómica según IUPAC, solo para los
+ *   elementos cuya composición isotópica varía en la naturaleza
  */
 
 const ELEMENTOS = {
     // Período 1
-    H:  { nombre: "Hidrógeno",    masaAtomica: 1.008 },
-    He: { nombre: "Helio",        masaAtomica: 4.0026 },
+    H:  { nombre: "Hidrógeno",     masaAtomica: 1.008,    numeroAtomico: 1,    grupo: 1,    periodo: 1, bloque: "s", categoria: "no metal",              estadosOxidacion: [-1, 1],             electronegatividad: 2.20,  estado: "gas", intervaloMasa: [1.00784, 1.00811] },
+    He: { nombre: "Helio",         masaAtomica: 4.0026,   numeroAtomico: 2,    grupo: 18,   periodo: 1, bloque: "s", categoria: "gas noble",             estadosOxidacion: [],                  electronegatividad: null,  estado: "gas" },
 
     // Período 2
-    Li: { nombre: "Litio",        masaAtomica: 6.94 },
-    Be: { nombre: "Berilio",      masaAtomica: 9.0122 },
-    B:  { nombre: "Boro",         masaAtomica: 10.81 },
-    C:  { nombre: "Carbono",      masaAtomica: 12.011 },
-    N:  { nombre: "Nitrógeno",    masaAtomica: 14.007 },
-    O:  { nombre: "Oxígeno",      masaAtomica: 15.999 },
-    F:  { nombre: "Flúor",        masaAtomica: 18.998 },
-    Ne: { nombre: "Neón",         masaAtomica: 20.180 },
+    Li: { nombre: "Litio",         masaAtomica: 6.94,     numeroAtomico: 3,    grupo: 1,    periodo: 2, bloque: "s", categoria: "metal alcalino",        estadosOxidacion: [1],                 electronegatividad: 0.98,  estado: "sólido", intervaloMasa: [6.938, 6.997] },
+    Be: { nombre: "Berilio",       masaAtomica: 9.0122,   numeroAtomico: 4,    grupo: 2,    periodo: 2, bloque: "s", categoria: "metal alcalinotérreo",  estadosOxidacion: [2],                 electronegatividad: 1.57,  estado: "sólido" },
+    B:  { nombre: "Boro",          masaAtomica: 10.81,    numeroAtomico: 5,    grupo: 13,   periodo: 2, bloque: "p", categoria: "metaloide",             estadosOxidacion: [-3, 3],             electronegatividad: 2.04,  estado: "sólido", intervaloMasa: [10.806, 10.821] },
+    C:  { nombre: "Carbono",       masaAtomica: 12.011,   numeroAtomico: 6,    grupo: 14,   periodo: 2, bloque: "p", categoria: "no metal",              estadosOxidacion: [-4, 2, 4],          electronegatividad: 2.55,  estado: "sólido", intervaloMasa: [12.0096, 12.0116] },
+    N:  { nombre: "Nitrógeno",     masaAtomica: 14.007,   numeroAtomico: 7,    grupo: 15,   periodo: 2, bloque: "p", categoria: "no metal",              estadosOxidacion: [-3, 1, 2, 3, 4, 5], electronegatividad: 3.04,  estado: "gas", intervaloMasa: [14.00643, 14.00728] },
+    O:  { nombre: "Oxígeno",       masaAtomica: 15.999,   numeroAtomico: 8,    grupo: 16,   periodo: 2, bloque: "p", categoria: "no metal",              estadosOxidacion: [-2, -1, 2],         electronegatividad: 3.44,  estado: "gas", intervaloMasa: [15.99903, 15.99977] },
+    F:  { nombre: "Flúor",         masaAtomica: 18.998,   numeroAtomico: 9,    grupo: 17,   periodo: 2, bloque: "p", categoria: "halógeno",              estadosOxidacion: [-1],                electronegatividad: 3.98,  estado: "gas" },
+    Ne: { nombre: "Neón",          masaAtomica: 20.180,   numeroAtomico: 10,   grupo: 18,   periodo: 2, bloque: "p", categoria: "gas noble",             estadosOxidacion: [],                  electronegatividad: null,  estado: "gas" },
 
     // Período 3
-    Na: { nombre: "Sodio",        masaAtomica: 22.990 },
-    Mg: { nombre: "Magnesio",     masaAtomica: 24.305 },
-    Al: { nombre: "Aluminio",     masaAtomica: 26.982 },
-    Si: { nombre: "Silicio",      masaAtomica: 28.085 },
-    P:  { nombre: "Fósforo",      masaAtomica: 30.974 },
-    S:  { nombre: "Azufre",       masaAtomica: 32.06 },
-    Cl: { nombre: "Cloro",        masaAtomica: 35.45 },
-    Ar: { nombre: "Argón",        masaAtomica: 39.948 },
+    Na: { nombre: "Sodio",         masaAtomica: 22.990,   numeroAtomico: 11,   grupo: 1,    periodo: 3, bloque: "s", categoria: "metal alcalino",        estadosOxidacion: [1],                 electronegatividad: 0.93,  estado: "sólido" },
+    Mg: { nombre: "Magnesio",      masaAtomica: 24.305,   numeroAtomico: 12,   grupo: 2,    periodo: 3, bloque: "s", categoria: "metal alcalinotérreo",  estadosOxidacion: [2],                 electronegatividad: 1.31,  estado: "sólido", intervaloMasa: [24.304, 24.307] },
+    Al: { nombre: "Aluminio",      masaAtomica: 26.982,   numeroAtomico: 13,   grupo: 13,   periodo: 3, bloque: "p", categoria: "metal del bloque p",    estadosOxidacion: [3],                 electronegatividad: 1.61,  estado: "sólido" },
+    Si: { nombre: "Silicio",       masaAtomica: 28.085,   numeroAtomico: 14,   grupo: 14,   periodo: 3, bloque: "p", categoria: "metaloide",             estadosOxidacion: [-4, 4],             electronegatividad: 1.90,  estado: "sólido", intervaloMasa: [28.084, 28.086] },
+    P:  { nombre: "Fósforo",       masaAtomica: 30.974,   numeroAtomico: 15,   grupo: 15,   periodo: 3, bloque: "p", categoria: "no metal",              estadosOxidacion: [-3, 3, 5],          electronegatividad: 2.19,  estado: "sólido" },
+    S:  { nombre: "Azufre",        masaAtomica: 32.06,    numeroAtomico: 16,   grupo: 16,   periodo: 3, bloque: "p", categoria: "no metal",              estadosOxidacion: [-2, 2, 4, 6],       electronegatividad: 2.58,  estado: "sólido", intervaloMasa: [32.059, 32.076] },
+    Cl: { nombre: "Cloro",         masaAtomica: 35.45,    numeroAtomico: 17,   grupo: 17,   periodo: 3, bloque: "p", categoria: "halógeno",              estadosOxidacion: [-1, 1, 3, 5, 7],    electronegatividad: 3.16,  estado: "gas", intervaloMasa: [35.446, 35.457] },
+    Ar: { nombre: "Argón",         masaAtomica: 39.948,   numeroAtomico: 18,   grupo: 18,   periodo: 3, bloque: "p", categoria: "gas noble",             estadosOxidacion: [],                  electronegatividad: null,  estado: "gas", intervaloMasa: [39.792, 39.963] },
 
     // Período 4
-    K:  { nombre: "Potasio",      masaAtomica: 39.098 },
-    Ca: { nombre: "Calcio",       masaAtomica: 40.078 },
-    Sc: { nombre: "Escandio",     masaAtomica: 44.956 },
-    Ti: { nombre: "Titanio",      masaAtomica: 47.867 },
-    V:  { nombre: "Vanadio",      masaAtomica: 50.942 },
-    Cr: { nombre: "Cromo",        masaAtomica: 51.996 },
-    Mn: { nombre: "Manganeso",    masaAtomica: 54.938 },
-    Fe: { nombre: "Hierro",       masaAtomica: 55.845 },
-    Co: { nombre: "Cobalto",      masaAtomica: 58.933 },
-    Ni: { nombre: "Níquel",       masaAtomica: 58.693 },
-    Cu: { nombre: "Cobre",        masaAtomica: 63.546 },
-    Zn: { nombre: "Zinc",         masaAtomica: 65.38 },
-    Ga: { nombre: "Galio",        masaAtomica: 69.723 },
-    Ge: { nombre: "Germanio",     masaAtomica: 72.630 },
-    As: { nombre: "Arsénico",     masaAtomica: 74.922 },
-    Se: { nombre: "Selenio",      masaAtomica: 78.971 },
-    Br: { nombre: "Bromo",        masaAtomica: 79.904 },
-    Kr: { nombre: "Kriptón",      masaAtomica: 83.798 },
+    K:  { nombre: "Potasio",       masaAtomica: 39.098,   numeroAtomico: 19,   grupo: 1,    periodo: 4, bloque: "s", categoria: "metal alcalino",        estadosOxidacion: [1],                 electronegatividad: 0.82,  estado: "sólido" },
+    Ca: { nombre: "Calcio",        masaAtomica: 40.078,   numeroAtomico: 20,   grupo: 2,    periodo: 4, bloque: "s", categoria: "metal alcalinotérreo",  estadosOxidacion: [2],                 electronegatividad: 1.00,  estado: "sólido" },
+    Sc: { nombre: "Escandio",      masaAtomica: 44.956,   numeroAtomico: 21,   grupo: 3,    periodo: 4, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [3],                 electronegatividad: 1.36,  estado: "sólido" },
+    Ti: { nombre: "Titanio",       masaAtomica: 47.867,   numeroAtomico: 22,   grupo: 4,    periodo: 4, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [2, 3, 4],           electronegatividad: 1.54,  estado: "sólido" },
+    V:  { nombre: "Vanadio",       masaAtomica: 50.942,   numeroAtomico: 23,   grupo: 5,    periodo: 4, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [2, 3, 4, 5],        electronegatividad: 1.63,  estado: "sólido" },
+    Cr: { nombre: "Cromo",         masaAtomica: 51.996,   numeroAtomico: 24,   grupo: 6,    periodo: 4, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [2, 3, 6],           electronegatividad: 1.66,  estado: "sólido" },
+    Mn: { nombre: "Manganeso",     masaAtomica: 54.938,   numeroAtomico: 25,   grupo: 7,    periodo: 4, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [2, 3, 4, 6, 7],     electronegatividad: 1.55,  estado: "sólido" },
+    Fe: { nombre: "Hierro",        masaAtomica: 55.845,   numeroAtomico: 26,   grupo: 8,    periodo: 4, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [2, 3],              electronegatividad: 1.83,  estado: "sólido" },
+    Co: { nombre: "Cobalto",       masaAtomica: 58.933,   numeroAtomico: 27,   grupo: 9,    periodo: 4, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [2, 3],              electronegatividad: 1.88,  estado: "sólido" },
+    Ni: { nombre: "Níquel",        masaAtomica: 58.693,   numeroAtomico: 28,   grupo: 10,   periodo: 4, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [2, 3],              electronegatividad: 1.91,  estado: "sólido" },
+    Cu: { nombre: "Cobre",         masaAtomica: 63.546,   numeroAtomico: 29,   grupo: 11,   periodo: 4, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [1, 2],              electronegatividad: 1.90,  estado: "sólido" },
+    Zn: { nombre: "Zinc",          masaAtomica: 65.38,    numeroAtomico: 30,   grupo: 12,   periodo: 4, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [2],                 electronegatividad: 1.65,  estado: "sólido" },
+    Ga: { nombre: "Galio",         masaAtomica: 69.723,   numeroAtomico: 31,   grupo: 13,   periodo: 4, bloque: "p", categoria: "metal del bloque p",    estadosOxidacion: [3],                 electronegatividad: 1.81,  estado: "sólido" },
+    Ge: { nombre: "Germanio",      masaAtomica: 72.630,   numeroAtomico: 32,   grupo: 14,   periodo: 4, bloque: "p", categoria: "metaloide",             estadosOxidacion: [2, 4],              electronegatividad: 2.01,  estado: "sólido" },
+    As: { nombre: "Arsénico",      masaAtomica: 74.922,   numeroAtomico: 33,   grupo: 15,   periodo: 4, bloque: "p", categoria: "metaloide",             estadosOxidacion: [-3, 3, 5],          electronegatividad: 2.18,  estado: "sólido" },
+    Se: { nombre: "Selenio",       masaAtomica: 78.971,   numeroAtomico: 34,   grupo: 16,   periodo: 4, bloque: "p", categoria: "no metal",              estadosOxidacion: [-2, 2, 4, 6],       electronegatividad: 2.55,  estado: "sólido" },
+    Br: { nombre: "Bromo",         masaAtomica: 79.904,   numeroAtomico: 35,   grupo: 17,   periodo: 4, bloque: "p", categoria: "halógeno",              estadosOxidacion: [-1, 1, 3, 5, 7],    electronegatividad: 2.96,  estado: "líquido", intervaloMasa: [79.901, 79.907] },
+    Kr: { nombre: "Kriptón",       masaAtomica: 83.798,   numeroAtomico: 36,   grupo: 18,   periodo: 4, bloque: "p", categoria: "gas noble",             estadosOxidacion: [2],                 electronegatividad: 3.00,  estado: "gas" },
 
     // Período 5
-    Rb: { nombre: "Rubidio",      masaAtomica: 85.468 },
-    Sr: { nombre: "Estroncio",    masaAtomica: 87.62 },
-    Y:  { nombre: "Itrio",        masaAtomica: 88.906 },
-    Zr: { nombre: "Circonio",     masaAtomica: 91.224 },
-    Nb: { nombre: "Niobio",       masaAtomica: 92.906 },
-    Mo: { nombre: "Molibdeno",    masaAtomica: 95.95 },
-    Tc: { nombre: "Tecnecio",     masaAtomica: 98 },
-    Ru: { nombre: "Rutenio",      masaAtomica: 101.07 },
-    Rh: { nombre: "Rodio",        masaAtomica: 102.91 },
-    Pd: { nombre: "Paladio",      masaAtomica: 106.42 },
-    Ag: { nombre: "Plata",        masaAtomica: 107.87 },
-    Cd: { nombre: "Cadmio",       masaAtomica: 112.41 },
-    In: { nombre: "Indio",        masaAtomica: 114.82 },
-    Sn: { nombre: "Estaño",       masaAtomica: 118.71 },
-    Sb: { nombre: "Antimonio",    masaAtomica: 121.76 },
-    Te: { nombre: "Telurio",      masaAtomica: 127.60 },
-    I:  { nombre: "Yodo",         masaAtomica: 126.90 },
-    Xe: { nombre: "Xenón",        masaAtomica: 131.29 },
+    Rb: { nombre: "Rubidio",       masaAtomica: 85.468,   numeroAtomico: 37,   grupo: 1,    periodo: 5, bloque: "s", categoria: "metal alcalino",        estadosOxidacion: [1],                 electronegatividad: 0.82,  estado: "sólido" },
+    Sr: { nombre: "Estroncio",     masaAtomica: 87.62,    numeroAtomico: 38,   grupo: 2,    periodo: 5, bloque: "s", categoria: "metal alcalinotérreo",  estadosOxidacion: [2],                 electronegatividad: 0.95,  estado: "sólido" },
+    Y:  { nombre: "Itrio",         masaAtomica: 88.906,   numeroAtomico: 39,   grupo: 3,    periodo: 5, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [3],                 electronegatividad: 1.22,  estado: "sólido" },
+    Zr: { nombre: "Circonio",      masaAtomica: 91.224,   numeroAtomico: 40,   grupo: 4,    periodo: 5, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [4],                 electronegatividad: 1.33,  estado: "sólido" },
+    Nb: { nombre: "Niobio",        masaAtomica: 92.906,   numeroAtomico: 41,   grupo: 5,    periodo: 5, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [3, 5],              electronegatividad: 1.6,   estado: "sólido" },
+    Mo: { nombre: "Molibdeno",     masaAtomica: 95.95,    numeroAtomico: 42,   grupo: 6,    periodo: 5, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [4, 6],              electronegatividad: 2.16,  estado: "sólido" },
+    Tc: { nombre: "Tecnecio",      masaAtomica: 98,       numeroAtomico: 43,   grupo: 7,    periodo: 5, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [4, 7],              electronegatividad: 1.9,   estado: "sólido" },
+    Ru: { nombre: "Rutenio",       masaAtomica: 101.07,   numeroAtomico: 44,   grupo: 8,    periodo: 5, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [3, 4],              electronegatividad: 2.2,   estado: "sólido" },
+    Rh: { nombre: "Rodio",         masaAtomica: 102.91,   numeroAtomico: 45,   grupo: 9,    periodo: 5, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [3],                 electronegatividad: 2.28,  estado: "sólido" },
+    Pd: { nombre: "Paladio",       masaAtomica: 106.42,   numeroAtomico: 46,   grupo: 10,   periodo: 5, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [2, 4],              electronegatividad: 2.20,  estado: "sólido" },
+    Ag: { nombre: "Plata",         masaAtomica: 107.87,   numeroAtomico: 47,   grupo: 11,   periodo: 5, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [1],                 electronegatividad: 1.93,  estado: "sólido" },
+    Cd: { nombre: "Cadmio",        masaAtomica: 112.41,   numeroAtomico: 48,   grupo: 12,   periodo: 5, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [2],                 electronegatividad: 1.69,  estado: "sólido" },
+    In: { nombre: "Indio",         masaAtomica: 114.82,   numeroAtomico: 49,   grupo: 13,   periodo: 5, bloque: "p", categoria: "metal del bloque p",    estadosOxidacion: [1, 3],              electronegatividad: 1.78,  estado: "sólido" },
+    Sn: { nombre: "Estaño",        masaAtomica: 118.71,   numeroAtomico: 50,   grupo: 14,   periodo: 5, bloque: "p", categoria: "metal del bloque p",    estadosOxidacion: [2, 4],              electronegatividad: 1.96,  estado: "sólido" },
+    Sb: { nombre: "Antimonio",     masaAtomica: 121.76,   numeroAtomico: 51,   grupo: 15,   periodo: 5, bloque: "p", categoria: "metaloide",             estadosOxidacion: [-3, 3, 5],          electronegatividad: 2.05,  estado: "sólido" },
+    Te: { nombre: "Telurio",       masaAtomica: 127.60,   numeroAtomico: 52,   grupo: 16,   periodo: 5, bloque: "p", categoria: "metaloide",             estadosOxidacion: [-2, 2, 4, 6],       electronegatividad: 2.1,   estado: "sólido" },
+    I:  { nombre: "Yodo",          masaAtomica: 126.90,   numeroAtomico: 53,   grupo: 17,   periodo: 5, bloque: "p", categoria: "halógeno",              estadosOxidacion: [-1, 1, 3, 5, 7],    electronegatividad: 2.66,  estado: "sólido" },
+    Xe: { nombre: "Xenón",         masaAtomica: 131.29,   numeroAtomico: 54,   grupo: 18,   periodo: 5, bloque: "p", categoria: "gas noble",             estadosOxidacion: [2, 4, 6, 8],        electronegatividad: 2.60,  estado: "gas" },
 
     // Período 6
-    Cs: { nombre: "Cesio",        masaAtomica: 132.91 },
-    Ba: { nombre: "Bario",        masaAtomica: 137.33 },
-    La: { nombre: "Lantano",      masaAtomica: 138.91 },
-    Ce: { nombre: "Cerio",        masaAtomica: 140.12 },
-    Pr: { nombre: "Praseodimio",  masaAtomica: 140.91 },
-    Nd: { nombre: "Neodimio",     masaAtomica: 144.24 },
-    Pm: { nombre: "Prometio",     masaAtomica: 145 },
-    Sm: { nombre: "Samario",      masaAtomica: 150.36 },
-    Eu: { nombre: "Europio",      masaAtomica: 151.96 },
-    Gd: { nombre: "Gadolinio",    masaAtomica: 157.25 },
-    Tb: { nombre: "Terbio",       masaAtomica: 158.93 },
-    Dy: { nombre: "Disprosio",    masaAtomica: 162.50 },
-    Ho: { nombre: "Holmio",       masaAtomica: 164.93 },
-    Er: { nombre: "Erbio",        masaAtomica: 167.26 },
-    Tm: { nombre: "Tulio",        masaAtomica: 168.93 },
-    Yb: { nombre: "Iterbio",      masaAtomica: 173.05 },
-    Lu: { nombre: "Lutecio",      masaAtomica: 174.97 },
-    Hf: { nombre: "Hafnio",       masaAtomica: 178.49 },
-    Ta: { nombre: "Tantalio",     masaAtomica: 180.95 },
-    W:  { nombre: "Wolframio",    masaAtomica: 183.84 },
-    Re: { nombre: "Renio",        masaAtomica: 186.21 },
-    Os: { nombre: "Osmio",        masaAtomica: 190.23 },
-    Ir: { nombre: "Iridio",       masaAtomica: 192.22 },
-    Pt: { nombre: "Platino",      masaAtomica: 195.08 },
-    Au: { nombre: "Oro",          masaAtomica: 196.97 },
-    Hg: { nombre: "Mercurio",     masaAtomica: 200.59 },
-    Tl: { nombre: "Talio",        masaAtomica: 204.38 },
-    Pb: { nombre: "Plomo",        masaAtomica: 207.2 },
-    Bi: { nombre: "Bismuto",      masaAtomica: 208.98 },
-    Po: { nombre: "Polonio",      masaAtomica: 209 },
-    At: { nombre: "Astato",       masaAtomica: 210 },
-    Rn: { nombre: "Radón",        masaAtomica: 222 },
+    Cs: { nombre: "Cesio",         masaAtomica: 132.91,   numeroAtomico: 55,   grupo: 1,    periodo: 6, bloque: "s", categoria: "metal alcalino",        estadosOxidacion: [1],                 electronegatividad: 0.79,  estado: "sólido" },
+    Ba: { nombre: "Bario",         masaAtomica: 137.33,   numeroAtomico: 56,   grupo: 2,    periodo: 6, bloque: "s", categoria: "metal alcalinotérreo",  estadosOxidacion: [2],                 electronegatividad: 0.89,  estado: "sólido" },
+    La: { nombre: "Lantano",       masaAtomica: 138.91,   numeroAtomico: 57,   grupo: null, periodo: 6, bloque: "f", categoria: "lantánido",             estadosOxidacion: [3],                 electronegatividad: 1.10,  estado: "sólido" },
+    Ce: { nombre: "Cerio",         masaAtomica: 140.12,   numeroAtomico: 58,   grupo: null, periodo: 6, bloque: "f", categoria: "lantánido",             estadosOxidacion: [3, 4],              electronegatividad: 1.12,  estado: "sólido" },
+    Pr: { nombre: "Praseodimio",   masaAtomica: 140.91,   numeroAtomico: 59,   grupo: null, periodo: 6, bloque: "f", categoria: "lantánido",             estadosOxidacion: [3],                 electronegatividad: 1.13,  estado: "sólido" },
+    Nd: { nombre: "Neodimio",      masaAtomica: 144.24,   numeroAtomico: 60,   grupo: null, periodo: 6, bloque: "f", categoria: "lantánido",             estadosOxidacion: [3],                 electronegatividad: 1.14,  estado: "sólido" },
+    Pm: { nombre: "Prometio",      masaAtomica: 145,      numeroAtomico: 61,   grupo: null, periodo: 6, bloque: "f", categoria: "lantánido",             estadosOxidacion: [3],                 electronegatividad: 1.13,  estado: "sólido" },
+    Sm: { nombre: "Samario",       masaAtomica: 150.36,   numeroAtomico: 62,   grupo: null, periodo: 6, bloque: "f", categoria: "lantánido",             estadosOxidacion: [2, 3],              electronegatividad: 1.17,  estado: "sólido" },
+    Eu: { nombre: "Europio",       masaAtomica: 151.96,   numeroAtomico: 63,   grupo: null, periodo: 6, bloque: "f", categoria: "lantánido",             estadosOxidacion: [2, 3],              electronegatividad: 1.2,   estado: "sólido" },
+    Gd: { nombre: "Gadolinio",     masaAtomica: 157.25,   numeroAtomico: 64,   grupo: null, periodo: 6, bloque: "f", categoria: "lantánido",             estadosOxidacion: [3],                 electronegatividad: 1.2,   estado: "sólido" },
+    Tb: { nombre: "Terbio",        masaAtomica: 158.93,   numeroAtomico: 65,   grupo: null, periodo: 6, bloque: "f", categoria: "lantánido",             estadosOxidacion: [3, 4],              electronegatividad: 1.1,   estado: "sólido" },
+    Dy: { nombre: "Disprosio",     masaAtomica: 162.50,   numeroAtomico: 66,   grupo: null, periodo: 6, bloque: "f", categoria: "lantánido",             estadosOxidacion: [3],                 electronegatividad: 1.22,  estado: "sólido" },
+    Ho: { nombre: "Holmio",        masaAtomica: 164.93,   numeroAtomico: 67,   grupo: null, periodo: 6, bloque: "f", categoria: "lantánido",             estadosOxidacion: [3],                 electronegatividad: 1.23,  estado: "sólido" },
+    Er: { nombre: "Erbio",         masaAtomica: 167.26,   numeroAtomico: 68,   grupo: null, periodo: 6, bloque: "f", categoria: "lantánido",             estadosOxidacion: [3],                 electronegatividad: 1.24,  estado: "sólido" },
+    Tm: { nombre: "Tulio",         masaAtomica: 168.93,   numeroAtomico: 69,   grupo: null, periodo: 6, bloque: "f", categoria: "lantánido",             estadosOxidacion: [3],                 electronegatividad: 1.25,  estado: "sólido" },
+    Yb: { nombre: "Iterbio",       masaAtomica: 173.05,   numeroAtomico: 70,   grupo: null, periodo: 6, bloque: "f", categoria: "lantánido",             estadosOxidacion: [2, 3],              electronegatividad: 1.1,   estado: "sólido" },
+    Lu: { nombre: "Lutecio",       masaAtomica: 174.97,   numeroAtomico: 71,   grupo: 3,    periodo: 6, bloque: "d", categoria: "lantánido",             estadosOxidacion: [3],                 electronegatividad: 1.27,  estado: "sólido" },
+    Hf: { nombre: "Hafnio",        masaAtomica: 178.49,   numeroAtomico: 72,   grupo: 4,    periodo: 6, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [4],                 electronegatividad: 1.3,   estado: "sólido" },
+    Ta: { nombre: "Tantalio",      masaAtomica: 180.95,   numeroAtomico: 73,   grupo: 5,    periodo: 6, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [5],                 electronegatividad: 1.5,   estado: "sólido" },
+    W:  { nombre: "Wolframio",     masaAtomica: 183.84,   numeroAtomico: 74,   grupo: 6,    periodo: 6, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [4, 6],              electronegatividad: 2.36,  estado: "sólido" },
+    Re: { nombre: "Renio",         masaAtomica: 186.21,   numeroAtomico: 75,   grupo: 7,    periodo: 6, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [4, 7],              electronegatividad: 1.9,   estado: "sólido" },
+    Os: { nombre: "Osmio",         masaAtomica: 190.23,   numeroAtomico: 76,   grupo: 8,    periodo: 6, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [4, 8],              electronegatividad: 2.2,   estado: "sólido" },
+    Ir: { nombre: "Iridio",        masaAtomica: 192.22,   numeroAtomico: 77,   grupo: 9,    periodo: 6, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [3, 4],              electronegatividad: 2.20,  estado: "sólido" },
+    Pt: { nombre: "Platino",       masaAtomica: 195.08,   numeroAtomico: 78,   grupo: 10,   periodo: 6, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [2, 4],              electronegatividad: 2.28,  estado: "sólido" },
+    Au: { nombre: "Oro",           masaAtomica: 196.97,   numeroAtomico: 79,   grupo: 11,   periodo: 6, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [1, 3],              electronegatividad: 2.54,  estado: "sólido" },
+    Hg: { nombre: "Mercurio",      masaAtomica: 200.59,   numeroAtomico: 80,   grupo: 12,   periodo: 6, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [1, 2],              electronegatividad: 2.00,  estado: "líquido" },
+    Tl: { nombre: "Talio",         masaAtomica: 204.38,   numeroAtomico: 81,   grupo: 13,   periodo: 6, bloque: "p", categoria: "metal del bloque p",    estadosOxidacion: [1, 3],              electronegatividad: 1.62,  estado: "sólido", intervaloMasa: [204.382, 204.385] },
+    Pb: { nombre: "Plomo",         masaAtomica: 207.2,    numeroAtomico: 82,   grupo: 14,   periodo: 6, bloque: "p", categoria: "metal del bloque p",    estadosOxidacion: [2, 4],              electronegatividad: 2.33,  estado: "sólido", intervaloMasa: [206.14, 207.94] },
+    Bi: { nombre: "Bismuto",       masaAtomica: 208.98,   numeroAtomico: 83,   grupo: 15,   periodo: 6, bloque: "p", categoria: "metal del bloque p",    estadosOxidacion: [3, 5],              electronegatividad: 2.02,  estado: "sólido" },
+    Po: { nombre: "Polonio",       masaAtomica: 209,      numeroAtomico: 84,   grupo: 16,   periodo: 6, bloque: "p", categoria: "metal del bloque p",    estadosOxidacion: [2, 4],              electronegatividad: 2.0,   estado: "sólido" },
+    At: { nombre: "Astato",        masaAtomica: 210,      numeroAtomico: 85,   grupo: 17,   periodo: 6, bloque: "p", categoria: "halógeno",              estadosOxidacion: [-1, 1],             electronegatividad: 2.2,   estado: "sólido" },
+    Rn: { nombre: "Radón",         masaAtomica: 222,      numeroAtomico: 86,   grupo: 18,   periodo: 6, bloque: "p", categoria: "gas noble",             estadosOxidacion: [2],                 electronegatividad: 2.2,   estado: "gas" },
 
     // Período 7
-    Fr: { nombre: "Francio",      masaAtomica: 223 },
-    Ra: { nombre: "Radio",        masaAtomica: 226 },
-    Ac: { nombre: "Actinio",      masaAtomica: 227 },
-    Th: { nombre: "Torio",        masaAtomica: 232.04 },
-    Pa: { nombre: "Protactinio",  masaAtomica: 231.04 },
-    U:  { nombre: "Uranio",       masaAtomica: 238.03 },
-    Np: { nombre: "Neptunio",     masaAtomica: 237 },
-    Pu: { nombre: "Plutonio",     masaAtomica: 244 },
-    Am: { nombre: "Americio",     masaAtomica: 243 },
-    Cm: { nombre: "Curio",        masaAtomica: 247 },
-    Bk: { nombre: "Berkelio",     masaAtomica: 247 },
-    Cf: { nombre: "Californio",   masaAtomica: 251 },
-    Es: { nombre: "Einstenio",    masaAtomica: 252 },
-    Fm: { nombre: "Fermio",       masaAtomica: 257 },
-    Md: { nombre: "Mendelevio",   masaAtomica: 258 },
-    No: { nombre: "Nobelio",      masaAtomica: 259 },
-    Lr: { nombre: "Lawrencio",    masaAtomica: 266 },
-    Rf: { nombre: "Rutherfordio", masaAtomica: 267 },
-    Db: { nombre: "Dubnio",       masaAtomica: 268 },
-    Sg: { nombre: "Seaborgio",    masaAtomica: 269 },
-    Bh: { nombre: "Bohrio",       masaAtomica: 270 },
-    Hs: { nombre: "Hasio",        masaAtomica: 269 },
-    Mt: { nombre: "Meitnerio",    masaAtomica: 278 },
-    Ds: { nombre: "Darmstadtio",  masaAtomica: 281 },
-    Rg: { nombre: "Roentgenio",   masaAtomica: 282 },
-    Cn: { nombre: "Copernicio",   masaAtomica: 285 },
-    Nh: { nombre: "Nihonio",      masaAtomica: 286 },
-    Fl: { nombre: "Flerovio",     masaAtomica: 289 },
-    Mc: { nombre: "Moscovio",     masaAtomica: 290 },
-    Lv: { nombre: "Livermorio",   masaAtomica: 293 },
-    Ts: { nombre: "Teneso",       masaAtomica: 294 },
-    Og: { nombre: "Oganesón",     masaAtomica: 294 }
+    Fr: { nombre: "Francio",       masaAtomica: 223,      numeroAtomico: 87,   grupo: 1,    periodo: 7, bloque: "s", categoria: "metal alcalino",        estadosOxidacion: [1],                 electronegatividad: 0.7,   estado: "sólido" },
+    Ra: { nombre: "Radio",         masaAtomica: 226,      numeroAtomico: 88,   grupo: 2,    periodo: 7, bloque: "s", categoria: "metal alcalinotérreo",  estadosOxidacion: [2],                 electronegatividad: 0.9,   estado: "sólido" },
+    Ac: { nombre: "Actinio",       masaAtomica: 227,      numeroAtomico: 89,   grupo: null, periodo: 7, bloque: "f", categoria: "actínido",              estadosOxidacion: [3],                 electronegatividad: 1.1,   estado: "sólido" },
+    Th: { nombre: "Torio",         masaAtomica: 232.04,   numeroAtomico: 90,   grupo: null, periodo: 7, bloque: "f", categoria: "actínido",              estadosOxidacion: [4],                 electronegatividad: 1.3,   estado: "sólido" },
+    Pa: { nombre: "Protactinio",   masaAtomica: 231.04,   numeroAtomico: 91,   grupo: null, periodo: 7, bloque: "f", categoria: "actínido",              estadosOxidacion: [5],                 electronegatividad: 1.5,   estado: "sólido" },
+    U:  { nombre: "Uranio",        masaAtomica: 238.03,   numeroAtomico: 92,   grupo: null, periodo: 7, bloque: "f", categoria: "actínido",              estadosOxidacion: [3, 4, 5, 6],        electronegatividad: 1.38,  estado: "sólido" },
+    Np: { nombre: "Neptunio",      masaAtomica: 237,      numeroAtomico: 93,   grupo: null, periodo: 7, bloque: "f", categoria: "actínido",              estadosOxidacion: [3, 4, 5, 6],        electronegatividad: 1.36,  estado: "sólido" },
+    Pu: { nombre: "Plutonio",      masaAtomica: 244,      numeroAtomico: 94,   grupo: null, periodo: 7, bloque: "f", categoria: "actínido",              estadosOxidacion: [3, 4, 5, 6],        electronegatividad: 1.28,  estado: "sólido" },
+    Am: { nombre: "Americio",      masaAtomica: 243,      numeroAtomico: 95,   grupo: null, periodo: 7, bloque: "f", categoria: "actínido",              estadosOxidacion: [3],                 electronegatividad: 1.13,  estado: "sólido" },
+    Cm: { nombre: "Curio",         masaAtomica: 247,      numeroAtomico: 96,   grupo: null, periodo: 7, bloque: "f", categoria: "actínido",              estadosOxidacion: [3],                 electronegatividad: 1.28,  estado: "sólido" },
+    Bk: { nombre: "Berkelio",      masaAtomica: 247,      numeroAtomico: 97,   grupo: null, periodo: 7, bloque: "f", categoria: "actínido",              estadosOxidacion: [3, 4],              electronegatividad: 1.3,   estado: "sólido" },
+    Cf: { nombre: "Californio",    masaAtomica: 251,      numeroAtomico: 98,   grupo: null, periodo: 7, bloque: "f", categoria: "actínido",              estadosOxidacion: [3],                 electronegatividad: 1.3,   estado: "sólido" },
+    Es: { nombre: "Einstenio",     masaAtomica: 252,      numeroAtomico: 99,   grupo: null, periodo: 7, bloque: "f", categoria: "actínido",              estadosOxidacion: [3],                 electronegatividad: 1.3,   estado: "sólido" },
+    Fm: { nombre: "Fermio",        masaAtomica: 257,      numeroAtomico: 100,  grupo: null, periodo: 7, bloque: "f", categoria: "actínido",              estadosOxidacion: [3],                 electronegatividad: 1.3,   estado: null },
+    Md: { nombre: "Mendelevio",    masaAtomica: 258,      numeroAtomico: 101,  grupo: null, periodo: 7, bloque: "f", categoria: "actínido",              estadosOxidacion: [2, 3],              electronegatividad: 1.3,   estado: null },
+    No: { nombre: "Nobelio",       masaAtomica: 259,      numeroAtomico: 102,  grupo: null, periodo: 7, bloque: "f", categoria: "actínido",              estadosOxidacion: [2, 3],              electronegatividad: 1.3,   estado: null },
+    Lr: { nombre: "Lawrencio",     masaAtomica: 266,      numeroAtomico: 103,  grupo: 3,    periodo: 7, bloque: "d", categoria: "actínido",              estadosOxidacion: [3],                 electronegatividad: null,  estado: null },
+    Rf: { nombre: "Rutherfordio",  masaAtomica: 267,      numeroAtomico: 104,  grupo: 4,    periodo: 7, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [4],                 electronegatividad: null,  estado: null },
+    Db: { nombre: "Dubnio",        masaAtomica: 268,      numeroAtomico: 105,  grupo: 5,    periodo: 7, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [5],                 electronegatividad: null,  estado: null },
+    Sg: { nombre: "Seaborgio",     masaAtomica: 269,      numeroAtomico: 106,  grupo: 6,    periodo: 7, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [6],                 electronegatividad: null,  estado: null },
+    Bh: { nombre: "Bohrio",        masaAtomica: 270,      numeroAtomico: 107,  grupo: 7,    periodo: 7, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [7],                 electronegatividad: null,  estado: null },
+    Hs: { nombre: "Hasio",         masaAtomica: 269,      numeroAtomico: 108,  grupo: 8,    periodo: 7, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [8],                 electronegatividad: null,  estado: null },
+    Mt: { nombre: "Meitnerio",     masaAtomica: 278,      numeroAtomico: 109,  grupo: 9,    periodo: 7, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [],                  electronegatividad: null,  estado: null },
+    Ds: { nombre: "Darmstadtio",   masaAtomica: 281,      numeroAtomico: 110,  grupo: 10,   periodo: 7, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [],                  electronegatividad: null,  estado: null },
+    Rg: { nombre: "Roentgenio",    masaAtomica: 282,      numeroAtomico: 111,  grupo: 11,   periodo: 7, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [],                  electronegatividad: null,  estado: null },
+    Cn: { nombre: "Copernicio",    masaAtomica: 285,      numeroAtomico: 112,  grupo: 12,   periodo: 7, bloque: "d", categoria: "metal de transición",   estadosOxidacion: [2],                 electronegatividad: null,  estado: null },
+    Nh: { nombre: "Nihonio",       masaAtomica: 286,      numeroAtomico: 113,  grupo: 13,   periodo: 7, bloque: "p", categoria: "metal del bloque p",    estadosOxidacion: [],                  electronegatividad: null,  estado: null },
+    Fl: { nombre: "Flerovio",      masaAtomica: 289,      numeroAtomico: 114,  grupo: 14,   periodo: 7, bloque: "p", categoria: "metal del bloque p",    estadosOxidacion: [],                  electronegatividad: null,  estado: null },
+    Mc: { nombre: "Moscovio",      masaAtomica: 290,      numeroAtomico: 115,  grupo: 15,   periodo: 7, bloque: "p", categoria: "metal del bloque p",    estadosOxidacion: [],                  electronegatividad: null,  estado: null },
+    Lv: { nombre: "Livermorio",    masaAtomica: 293,      numeroAtomico: 116,  grupo: 16,   periodo: 7, bloque: "p", categoria: "metal del bloque p",    estadosOxidacion: [],                  electronegatividad: null,  estado: null },
+    Ts: { nombre: "Teneso",        masaAtomica: 294,      numeroAtomico: 117,  grupo: 17,   periodo: 7, bloque: "p", categoria: "halógeno",              estadosOxidacion: [],                  electronegatividad: null,  estado: null },
+    Og: { nombre: "Oganesón",      masaAtomica: 294,      numeroAtomico: 118,  grupo: 18,   periodo: 7, bloque: "p", categoria: "gas noble",             estadosOxidacion: [],                  electronegatividad: null,  estado: null }
+};
+
+/**
+ * Isótopos naturales de los elementos hasta el uranio, más los radiactivos usados
+ * en problemas de marcaje, trazadores y espectrometría de masas.
+ * 
+ * Estructura: { símbolo: [[número másico, masa exacta (u), abundancia natural (fracción)], ...] }
+ * Los isótopos radiactivos tienen abundancia 0; los elementos sin isótopos estables
+ * (Tc, Pm, Po...) solo tienen el más usado o el de vida más larga.
+ */
+const ISOTOPOS = {
+    H:  [[1, 1.00782503223, 0.999885], [2, 2.01410177812, 0.000115], [3, 3.0160492779, 0]],
+    He: [[3, 3.0160293201, 0.00000134], [4, 4.00260325413, 0.99999866]],
+    Li: [[6, 6.0151228874, 0.0759], [7, 7.0160034366, 0.9241]],
+    Be: [[9, 9.012183065, 1]],
+    B:  [[10, 10.01293695, 0.199], [11, 11.00930536, 0.801]],
+    C:  [[12, 12, 0.9893], [13, 13.00335483507, 0.0107], [14, 14.0032419884, 0]],
+    N:  [[14, 14.00307400443, 0.99636], [15, 15.00010889888, 0.00364]],
+    O:  [[16, 15.99491461957, 0.99757], [17, 16.9991317565, 0.00038], [18, 17.99915961286, 0.00205]],
+    F:  [[19, 18.99840316273, 1]],
+    Ne: [[20, 19.9924401762, 0.9048], [21, 20.993846685, 0.0027], [22, 21.991385114, 0.0925]],
+    Na: [[23, 22.989769282, 1]],
+    Mg: [[24, 23.985041697, 0.7899], [25, 24.985836976, 0.1], [26, 25.982592968, 0.1101]],
+    Al: [[27, 26.98153853, 1]],
+    Si: [[28, 27.97692653465, 0.92223], [29, 28.9764946649, 0.04685], [30, 29.973770136, 0.03092]],
+    P:  [[31, 30.97376199842, 1], [32, 31.97390764, 0]],
+    S:  [[32, 31.9720711744, 0.9499], [33, 32.9714589098, 0.0075], [34, 33.967867004, 0.0425], [35, 34.96903231, 0], [36, 35.96708071, 0.0001]],
+    Cl: [[35, 34.968852682, 0.7576], [37, 36.965902602, 0.2424]],
+    Ar: [[36, 35.967545105, 0.003336], [38, 37.96273211, 0.000629], [40, 39.9623831237, 0.996035]],
+    K:  [[39, 38.9637064864, 0.932581], [40, 39.963998166, 0.000117], [41, 40.9618252579, 0.067302]],
+    Ca: [[40, 39.962590863, 0.96941], [42, 41.95861783, 0.00647], [43, 42.95876644, 0.00135], [44, 43.95548156, 0.02086], [46, 45.953689, 0.00004], [48, 47.95252276, 0.00187]],
+    Sc: [[45, 44.955912, 1]],
+    Ti: [[46, 45.952632, 0.0825], [47, 46.951763, 0.0744], [48, 47.947946, 0.7372], [49, 48.94787, 0.0541], [50, 49.944791, 0.0518]],
+    V:  [[50, 49.947159, 0.0025], [51, 50.94396, 0.9975]],
+    Cr: [[50, 49.94604183, 0.04345], [52, 51.94050623, 0.83789], [53, 52.94064815, 0.09501], [54, 53.93887916, 0.02365]],
+    Mn: [[55, 54.93804391, 1]],
+    Fe: [[54, 53.93960899, 0.05845], [56, 55.93493633, 0.91754], [57, 56.93539284, 0.02119], [58, 57.93327443, 0.00282]],
+    Co: [[59, 58.93319429, 1]],
+    Ni: [[58, 57.93534241, 0.68077], [60, 59.93078588, 0.26223], [61, 60.93105557, 0.011399], [62, 61.92834537, 0.036346], [64, 63.92796682, 0.009255]],
+    Cu: [[63, 62.92959772, 0.6915], [65, 64.9277897, 0.3085]],
+    Zn: [[64, 63.92914201, 0.4917], [66, 65.92603381, 0.2773], [67, 66.92712775, 0.0404], [68, 67.92484455, 0.1845], [70, 69.9253192, 0.0061]],
+    Ga: [[69, 68.925574, 0.60108], [71, 70.924701, 0.39892]],
+    Ge: [[70, 69.924247, 0.2057], [72, 71.922076, 0.2745], [73, 72.923459, 0.0775], [74, 73.921178, 0.365], [76, 75.921403, 0.0773]],
+    As: [[75, 74.921595, 1]],
+    Se: [[74, 73.922476, 0.0089], [76, 75.919214, 0.0937], [77, 76.919914, 0.0763], [78, 77.917309, 0.2377], [80, 79.916522, 0.4961], [82, 81.9167, 0.0873]],
+    Br: [[79, 78.9183376, 0.5069], [81, 80.9162897, 0.4931]],
+    Kr: [[78, 77.92036494, 0.00355], [80, 79.91637808, 0.02286], [82, 81.91348273, 0.11593], [83, 82.91412716, 0.115], [84, 83.9114977282, 0.56987], [86, 85.9106106269, 0.17279]],
+    Rb: [[85, 84.91179, 0.7217], [87, 86.909181, 0.2783]],
+    Sr: [[84, 83.913425, 0.0056], [86, 85.90926, 0.0986], [87, 86.908877, 0.07], [88, 87.905612, 0.8258]],
+    Y:  [[89, 88.905848, 1]],
+    Zr: [[90, 89.9046977, 0.5145], [91, 90.9056396, 0.1122], [92, 91.9050347, 0.1715], [94, 93.9063108, 0.1738], [96, 95.9082714, 0.028]],
+    Nb: [[93, 92.906378, 1]],
+    Mo: [[92, 91.906811, 0.1453], [94, 93.905088, 0.0915], [95, 94.905842, 0.1584], [96, 95.904679, 0.1667], [97, 96.906021, 0.096], [98, 97.905408, 0.2439], [100, 99.907477, 0.0982]],
+    Tc: [[99, 98.9062508, 0]],
+    Ru: [[96, 95.90759025, 0.0554], [98, 97.9052868, 0.0187], [99, 98.9059341, 0.1276], [100, 99.9042143, 0.126], [101, 100.9055769, 0.1706], [102, 101.9043441, 0.3155], [104, 103.9054275, 0.1862]],
+    Rh: [[103, 102.905504, 1]],
+    Pd: [[102, 101.9056022, 0.0102], [104, 103.9040305, 0.1114], [105, 104.9050796, 0.2233], [106, 105.9034804, 0.2733], [108, 107.9038916, 0.2646], [110, 109.9051722, 0.1172]],
+    Ag: [[107, 106.9050916, 0.51839], [109, 108.9047553, 0.48161]],
+    Cd: [[106, 105.906459, 0.0125], [108, 107.904184, 0.0089], [110, 109.903002, 0.1249], [111, 110.904178, 0.128], [112, 111.902758, 0.2413], [113, 112.904402, 0.1222], [114, 113.903358, 0.2873], [116, 115.904756, 0.0749]],
+    In: [[113, 112.90406184, 0.0429], [115, 114.903878776, 0.9571]],
+    Sn: [[112, 111.904818, 0.0097], [114, 113.902779, 0.0066], [115, 114.903342, 0.0034], [116, 115.901741, 0.1454], [117, 116.902952, 0.0768], [118, 117.901603, 0.2422], [119, 118.903308, 0.0859], [120, 119.902194, 0.3258], [122, 121.903439, 0.0463], [124, 123.905274, 0.0579]],
+    Sb: [[121, 120.903816, 0.5721], [123, 122.904214, 0.4279]],
+    Te: [[120, 119.9040593, 0.0009], [122, 121.9030435, 0.0255], [123, 122.9042698, 0.0089], [124, 123.9028171, 0.0474], [125, 124.9044299, 0.0707], [126, 125.9033109, 0.1884], [128, 127.90446128, 0.3174], [130, 129.906222748, 0.3408]],
+    I:  [[127, 126.9044719, 1], [131, 130.9061263, 0]],
+    Xe: [[124, 123.905892, 0.000952], [126, 125.9042983, 0.00089], [128, 127.903531, 0.019102], [129, 128.9047808611, 0.264006], [130, 129.903509349, 0.04071], [131, 130.90508406, 0.212324], [132, 131.9041550856, 0.269086], [134, 133.90539466, 0.104357], [136, 135.907214484, 0.088573]],
+    Cs: [[133, 132.905451961, 1]],
+    Ba: [[130, 129.906321, 0.00106], [132, 131.905061, 0.00101], [134, 133.904508, 0.02417], [135, 134.905689, 0.06592], [136, 135.904576, 0.07854], [137, 136.905827, 0.11232], [138, 137.905247, 0.71698]],
+    La: [[138, 137.9071149, 0.0008881], [139, 138.9063563, 0.9991119]],
+    Ce: [[136, 135.90712921, 0.00185], [138, 137.905991, 0.00251], [140, 139.9054431, 0.8845], [142, 141.9092504, 0.11114]],
+    Pr: [[141, 140.9076576, 1]],
+    Nd: [[142, 141.907729, 0.27152], [143, 142.90982, 0.12174], [144, 143.910093, 0.23798], [145, 144.9125793, 0.08293], [146, 145.9131226, 0.17189], [148, 147.9168993, 0.05756], [150, 149.9209022, 0.05638]],
+    Pm: [[147, 146.9151449, 0]],
+    Sm: [[144, 143.9120065, 0.0307], [147, 146.9149044, 0.1499], [148, 147.9148292, 0.1124], [149, 148.9171921, 0.1382], [150, 149.9172829, 0.0738], [152, 151.9197397, 0.2675], [154, 153.9222169, 0.2275]],
+    Eu: [[151, 150.9198578, 0.4781], [153, 152.921238, 0.5219]],
+    Gd: [[152, 151.9197995, 0.002], [154, 153.9208741, 0.0218], [155, 154.9226305, 0.148], [156, 155.9221312, 0.2047], [157, 156.9239686, 0.1565], [158, 157.9241123, 0.2484], [160, 159.9270624, 0.2186]],
+    Tb: [[159, 158.9253547, 1]],
+    Dy: [[156, 155.9242847, 0.00056], [158, 157.9244159, 0.00095], [160, 159.9252046, 0.02329], [161, 160.9269405, 0.18889], [162, 161.9268056, 0.25475], [163, 162.9287383, 0.24896], [164, 163.9291819, 0.2826]],
+    Ho: [[165, 164.9303288, 1]],
+    Er: [[162, 161.9287884, 0.00139], [164, 163.9292088, 0.01601], [166, 165.9302995, 0.33503], [167, 166.9320546, 0.22869], [168, 167.9323767, 0.26978], [170, 169.9354702, 0.1491]],
+    Tm: [[169, 168.9342179, 1]],
+    Yb: [[168, 167.9338896, 0.00123], [170, 169.9347664, 0.02982], [171, 170.9363302, 0.1409], [172, 171.9363859, 0.2168], [173, 172.9382151, 0.16103], [174, 173.9388664, 0.32026], [176, 175.9425764, 0.12996]],
+    Lu: [[175, 174.9407752, 0.97401], [176, 175.9426897, 0.02599]],
+    Hf: [[174, 173.9400461, 0.0016], [176, 175.9414076, 0.0526], [177, 176.9432277, 0.186], [178, 177.9437058, 0.2728], [179, 178.9458232, 0.1362], [180, 179.946557, 0.3508]],
+    Ta: [[180, 179.9474648, 0.0001201], [181, 180.9479958, 0.9998799]],
+    W:  [[180, 179.9467108, 0.0012], [182, 181.94820394, 0.265], [183, 182.95022275, 0.1431], [184, 183.95093092, 0.3064], [186, 185.9543628, 0.2843]],
+    Re: [[185, 184.9529545, 0.374], [187, 186.9557501, 0.626]],
+    Os: [[184, 183.9524885, 0.0002], [186, 185.953835, 0.0159], [187, 186.9557474, 0.0196], [188, 187.9558352, 0.1324], [189, 188.9581442, 0.1615], [190, 189.9584437, 0.2626], [192, 191.961477, 0.4078]],
+    Ir: [[191, 190.9605893, 0.373], [193, 192.9629216, 0.627]],
+    Pt: [[190, 189.959932, 0.00012], [192, 191.961038, 0.00782], [194, 193.96268, 0.3286], [195, 194.964791, 0.3378], [196, 195.964951, 0.2521], [198, 197.967893, 0.07356]],
+    Au: [[197, 196.96656879, 1]],
+    Hg: [[196, 195.965833, 0.0015], [198, 197.966769, 0.0997], [199, 198.96828, 0.1687], [200, 199.968326, 0.231], [201, 200.970302, 0.1318], [202, 201.970643, 0.2986], [204, 203.973494, 0.0687]],
+    Tl: [[203, 202.9723446, 0.2952], [205, 204.9744278, 0.7048]],
+    Pb: [[204, 203.973044, 0.014], [206, 205.9744657, 0.241], [207, 206.9758973, 0.221], [208, 207.9766525, 0.524]],
+    Bi: [[209, 208.980399, 1]],
+    Po: [[210, 209.9828737, 0]],
+    At: [[211, 210.9874963, 0]],
+    Rn: [[222, 222.0175782, 0]],
+    Fr: [[223, 223.019736, 0]],
+    Ra: [[226, 226.0254103, 0]],
+    Ac: [[227, 227.0277523, 0]],
+    Th: [[232, 232.038055, 1]],
+    Pa: [[231, 231.0358842, 0]],
+    U:  [[234, 234.0409523, 0.000054], [235, 235.0439301, 0.007204], [238, 238.0507884, 0.992742]]
+};
+
+// Símbolos propios de los isótopos del hidrógeno
+const SIMBOLOS_ISOTOPOS = {
+    D: { elemento: 'H', numeroMasico: 2, nombre: 'Deuterio' },
+    T: { elemento: 'H', numeroMasico: 3, nombre: 'Tritio' }
 };
 
+/**
+ * Quita tildes y mayúsculas para comparar nombres: "Fosforo" coincide con "Fósforo".
+ * 
+ * @param {string} texto - Texto a normalizar
+ * @returns {string} - Texto sin diacríticos y en minúsculas
+ */
+function normalizarTexto(texto) {
+    return texto.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+/**
+ * Busca un elemento por su símbolo, sin distinguir mayúsculas.
+ * 
+ * @param {string} simbolo - Símbolo químico (Fe, fe o FE)
+ * @returns {Object|null} - Datos del elemento con su símbolo, o null si no existe
+ */
+function buscarElementoPorSimbolo(simbolo) {
+    const normalizado = simbolo.trim().charAt(0).toUpperCase() + simbolo.trim().slice(1).toLowerCase();
+    return ELEMENTOS[normalizado] ? { simbolo: normalizado, ...ELEMENTOS[normalizado] } : null;
+}
+
+/**
+ * Busca un elemento por su número atómico.
+ * 
+ * @param {number} numero - Número atómico (1 a 118)
+ * @returns {Object|null} - Datos del elemento con su símbolo, o null si no existe
+ */
+function buscarElementoPorNumero(numero) {
+    const simbolo = Object.keys(ELEMENTOS).find(s => ELEMENTOS[s].numeroAtomico === Number(numero));
+    return simbolo ? { simbolo: simbolo, ...ELEMENTOS[simbolo] } : null;
+}
+
+/**
+ * Busca un elemento por su nombre en español, sin distinguir tildes ni mayúsculas.
+ * 
+ * @param {string} nombre - Nombre del elemento (Oxígeno, oxigeno)
+ * @returns {Object|null} - Datos del elemento con su símbolo, o null si no existe
+ */
+function buscarElementoPorNombre(nombre) {
+    const buscado = normalizarTexto(nombre);
+    const simbolo = Object.keys(ELEMENTOS).find(s => normalizarTexto(ELEMENTOS[s].nombre) === buscado);
+    return simbolo ? { simbolo: simbolo, ...ELEMENTOS[simbolo] } : null;
+}
+
+/**
+ * Busca un elemento por símbolo, número atómico o nombre.
+ * 
+ * @param {string|number} consulta - "Fe", 26 o "hierro"
+ * @returns {Object|null} - Datos del elemento con su símbolo, o null si no existe
+ */
+function buscarElemento(consulta) {
+    const texto = String(consulta).trim();
+    if (/^\d+$/.test(texto)) {
+        return buscarElementoPorNumero(parseInt(texto));
+    }
+    return buscarElementoPorSimbolo(texto) || buscarElementoPorNombre(texto);
+}
+
+/**
+ * Filtra los símbolos de los elementos de una categoría.
+ * 
+ * @param {string} categoria - Categoría, por ejemplo "metal alcalino"
+ * @returns {string[]} - Símbolos en orden de número atómico
+ */
+function elementosDeCategoria(categoria) {
+    return Object.keys(ELEMENTOS).filter(s => ELEMENTOS[s].categoria === categoria);
+}
+
+/**
+ * Indica si un elemento se comporta como no metal al formar compuestos. Además de los
+ * no metales, halógenos y gases nobles, incluye a los metaloides de los grupos 15 y 16
+ * (As, Sb, Te), que forman aniones como arseniuros y telururos.
+ * 
+ * @param {string} simbolo - Símbolo químico
+ * @returns {boolean}
+ */
+function esNoMetal(simbolo) {
+    const elemento = ELEMENTOS[simbolo];
+    if (!elemento) return false;
+    if (['no metal', 'halógeno', 'gas noble'].includes(elemento.categoria)) return true;
+    return elemento.categoria === 'metaloide' && elemento.grupo >= 15;
+}
+
+/**
+ * Devuelve el intervalo de la masa atómica; para los elementos sin intervalo IUPAC
+ * ambos extremos son el valor convencional.
+ * 
+ * @param {string} simbolo - Símbolo químico
+ * @returns {number[]} - [mínimo, máximo]
+ */
+function intervaloMasaAtomica(simbolo) {
+    const elemento = ELEMENTOS[simbolo];
+    return elemento.intervaloMasa || [elemento.masaAtomica, elemento.masaAtomica];
+}
+
 // Exportar para uso en otros módulos (si se usa ES6 modules)
 // export { ELEMENTOS };
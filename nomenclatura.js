@@ -0,0 +1,575 @@
+// ============================================================
+// SECCIÓN 1: DATOS DE NOMENCLATURA
+// ============================================================
+const PREFIJOS_NUMERICOS = ['', 'mono', 'di', 'tri', 'tetra', 'penta', 'hexa', 'hepta', 'octa', 'nona', 'deca'];
+const PREFIJOS_GRUPOS = ['', '', 'bis', 'tris', 'tetrakis', 'pentakis', 'hexakis'];
+const ROMANOS = ['', 'I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII'];
+
+// Elementos que en estado libre forman moléculas diatómicas
+const DIATOMICOS = ['H', 'N', 'O', 'F', 'Cl', 'Br', 'I'];
+
+// Aniones monoatómicos, de mayor a menor electronegatividad; la carga es su estado negativo habitual
+const ANIONES_SIMPLES = [
+    ['F', 'fluoruro'], ['O', 'óxido'], ['Cl', 'cloruro'], ['N', 'nitruro'], ['Br', 'bromuro'],
+    ['I', 'yoduro'], ['S', 'sulfuro'], ['Se', 'seleniuro'], ['C', 'carburo'], ['P', 'fosfuro'],
+    ['As', 'arseniuro'], ['Te', 'telururo'], ['B', 'boruro'], ['Si', 'siliciuro'], ['H', 'hidruro']
+].map(([simbolo, nombre]) => ({
+    formula: simbolo,
+    elementos: { [simbolo]: 1 },
+    carga: ELEMENTOS[simbolo].estadosOxidacion[0],
+    nombre: nombre,
+    simple: true
+}));
+
+// Ácidos hidrácidos: HF, HCl, H2S...
+const HIDRACIDOS = { F: 'fluorhídrico', Cl: 'clorhídrico', Br: 'bromhídrico', I: 'yodhídrico', S: 'sulfhídrico', Se: 'selenhídrico', Te: 'telurhídrico' };
+
+// Raíces para los nombres sistemáticos (tetraoxidosulfato) y de Stock de los oxoácidos (ácido tetraoxosulfúrico)
+const RAICES_OXOANIONES = {
+    S: ['sulfato', 'sulfúrico'], N: ['nitrato', 'nítrico'], C: ['carbonato', 'carbónico'],
+    P: ['fosfato', 'fosfórico'], Cl: ['clorato', 'clórico'], Br: ['bromato', 'brómico'],
+    I: ['yodato', 'yódico'], Mn: ['manganato', 'mangánico'], Cr: ['cromato', 'crómico'],
+    Si: ['silicato', 'silícico'], B: ['borato', 'bórico'], As: ['arseniato', 'arsénico'],
+    Se: ['seleniato', 'selénico']
+};
+
+// Aniones poliatómicos: [fórmula, carga, nombre, adjetivo del ácido, elemento central, otros nombres]
+const ANIONES_POLIATOMICOS = [
+    ['ClO4', -1, 'perclorato', 'perclórico', 'Cl'], ['ClO3', -1, 'clorato', 'clórico', 'Cl'],
+    ['ClO2', -1, 'clorito', 'cloroso', 'Cl'], ['ClO', -1, 'hipoclorito', 'hipocloroso', 'Cl'],
+    ['BrO3', -1, 'bromato', 'brómico', 'Br'], ['BrO', -1, 'hipobromito', 'hipobromoso', 'Br'],
+    ['IO4', -1, 'peryodato', 'peryódico', 'I'], ['IO3', -1, 'yodato', 'yódico', 'I'], ['IO', -1, 'hipoyodito', 'hipoyodoso', 'I'],
+    ['SO4', -2, 'sulfato', 'sulfúrico', 'S'], ['SO3', -2, 'sulfito', 'sulfuroso', 'S'],
+    ['S2O3', -2, 'tiosulfato', 'tiosulfúrico', null],
+    ['NO3', -1, 'nitrato', 'nítrico', 'N'], ['NO2', -1, 'nitrito', 'nitroso', 'N'],
+    ['PO4', -3, 'fosfato', 'fosfórico', 'P'], ['PO3', -3, 'fosfito', 'fosforoso', 'P'],
+    ['CO3', -2, 'carbonato', 'carbónico', 'C'], ['SiO3', -2, 'silicato', 'silícico', 'Si'],
+    ['BO3', -3, 'borato', 'bórico', 'B'], ['AsO4', -3, 'arseniato', 'arsénico', 'As'],
+    ['SeO4', -2, 'seleniato', 'selénico', 'Se'],
+    ['MnO4', -1, 'permanganato', 'permangánico', 'Mn'], ['MnO4', -2, 'manganato', 'mangánico', 'Mn'],
+    ['CrO4', -2, 'cromato', 'crómico', 'Cr'], ['Cr2O7', -2, 'dicromato', 'dicrómico', 'Cr'],
+    ['HCO3', -1, 'hidrogenocarbonato', null, 'C', ['bicarbonato']],
+    ['HSO4', -1, 'hidrogenosulfato', null, 'S', ['bisulfato']],
+    ['HSO3', -1, 'hidrogenosulfito', null, 'S', ['bisulfito']],
+    ['H2PO4', -1, 'dihidrogenofosfato', null, 'P'], ['HPO4', -2, 'hidrogenofosfato', null, 'P'],
+    ['C2O4', -2, 'oxalato', 'oxálico', null], ['CH3COO', -1, 'acetato', null, null],
+    ['CN', -1, 'cianuro', 'cianhídrico', null], ['SCN', -1, 'tiocianato', null, null],
+    ['Fe(CN)6', -4, 'hexacianoferrato(II)', null, null, ['ferrocianuro']],
+    ['Fe(CN)6', -3, 'hexacianoferrato(III)', null, null, ['ferricianuro']],
+    ['AlH4', -1, 'tetrahidruroaluminato', null, null, ['aluminohidruro']],
+    ['BH4', -1, 'tetrahidruroborato', null, null, ['borohidruro']],
+    ['OH', -1, 'hidróxido', null, null], ['O2', -2, 'peróxido', null, null]
+].map(([formula, carga, nombre, acido, central, alias = []]) => ({
+    formula: formula,
+    elementos: parsearFormula(formula),
+    carga: carga,
+    nombre: nombre,
+    acido: acido,
+    central: central,
+    alias: alias,
+    simple: false
+}));
+
+// Catión poliatómico habitual
+const AMONIO = { formula: 'NH4', elementos: { N: 1, H: 4 }, carga: 1, nombre: 'amonio' };
+
+// Nombres tradicionales (-oso / -ico) de los metales con dos estados habituales
+const NOMBRES_TRADICIONALES = {
+    Fe: { 2: 'ferroso', 3: 'férrico' }, Cu: { 1: 'cuproso', 2: 'cúprico' },
+    Co: { 2: 'cobaltoso', 3: 'cobáltico' }, Ni: { 2: 'niqueloso', 3: 'niquélico' },
+    Sn: { 2: 'estannoso', 4: 'estánnico' }, Pb: { 2: 'plumboso', 4: 'plúmbico' },
+    Au: { 1: 'auroso', 3: 'áurico' }, Hg: { 1: 'mercurioso', 2: 'mercúrico' },
+    Pt: { 2: 'platinoso', 4: 'platínico' }, Cr: { 2: 'cromoso', 3: 'crómico' },
+    Mn: { 2: 'manganoso', 3: 'mangánico' }
+};
+
+// Compuestos con nombre propio y orgánicos frecuentes: [fórmula, nombre, otros nombres]
+const NOMBRES_COMUNES = [
+    ['H2O', 'agua'], ['H2O2', 'peróxido de hidrógeno', ['agua oxigenada']],
+    ['NH3', 'amoníaco', ['amoniaco', 'azano']], ['O3', 'ozono', ['trioxígeno']],
+    ['N2H4', 'hidracina', ['hidrazina']], ['PH3', 'fosfano', ['fosfina']], ['SiH4', 'silano'],
+    ['H3O+', 'ion hidronio', ['ion oxonio']],
+    ['CH4', 'metano'], ['C2H6', 'etano'], ['C3H8', 'propano'], ['C4H10', 'butano'],
+    ['C5H12', 'pentano'], ['C6H14', 'hexano'], ['C7H16', 'heptano'], ['C8H18', 'octano'],
+    ['C2H4', 'eteno', ['etileno']], ['C3H6', 'propeno', ['propileno']], ['C2H2', 'etino', ['acetileno']],
+    ['C6H6', 'benceno'], ['C7H8', 'tolueno', ['metilbenceno']],
+    ['CH3OH', 'metanol', ['alcohol metílico']], ['C2H5OH', 'etanol', ['alcohol etílico']],
+    ['C3H8O3', 'glicerol', ['glicerina', 'propano-1,2,3-triol']], ['C2H6O2', 'etilenglicol', ['etano-1,2-diol']],
+    ['CH2O', 'metanal', ['formaldehído']], ['CH3COCH3', 'propanona', ['acetona']],
+    ['HCOOH', 'ácido metanoico', ['ácido fórmico']], ['CH3COOH', 'ácido etanoico', ['ácido acético']],
+    ['C6H5OH', 'fenol'], ['C6H5COOH', 'ácido benzoico'], ['C3H6O3', 'ácido láctico'],
+    ['C6H8O7', 'ácido cítrico'], ['C9H8O4', 'ácido acetilsalicílico', ['aspirina']],
+    ['CHCl3', 'triclorometano', ['cloroformo']], ['CCl4', 'tetraclorometano', ['tetracloruro de carbono']],
+    ['CO(NH2)2', 'urea'], ['C6H12O6', 'glucosa'], ['C12H22O11', 'sacarosa']
+].map(([formula, nombre, alias = []]) => ({ formula: formula, nombre: nombre, alias: alias }));
+
+// ============================================================
+// SECCIÓN 2: UTILIDADES
+// ============================================================
+function nombreDeSimbolo(simbolo) {
+    return ELEMENTOS[simbolo].nombre.toLowerCase();
+}
+
+function conPrefijo(cantidad, nombre, mono = false) {
+    // Prefijo multiplicador; "mono" solo si se pide, y con la única elisión admitida: monóxido
+    if (cantidad === 1 && !mono) return nombre;
+    const prefijo = PREFIJOS_NUMERICOS[cantidad] || `${cantidad}-`;
+    return prefijo === 'mono' && nombre.startsWith('óxido') ? `mon${nombre}` : prefijo + nombre;
+}
+
+function mismosElementos(a, b) {
+    const claves = Object.keys(a);
+    return claves.length === Object.keys(b).length && claves.every(s => a[s] === b[s]);
+}
+
+function estadosPositivos(simbolo) {
+    return ELEMENTOS[simbolo].estadosOxidacion.filter(e => e > 0);
+}
+
+function estadoDelCentral(anion) {
+    // Estado de oxidación del elemento central de un oxoanión: SO4 2- → +6
+    const { O = 0, H = 0 } = anion.elementos;
+    return (anion.carga + 2 * O - H) / anion.elementos[anion.central];
+}
+
+function nombreSistematicoAnion(anion) {
+    // Nomenclatura de adición: tetraoxidosulfato, heptaoxidodicromato, hidrogeno(trioxidocarbonato)
+    if (!anion.central) return anion.nombre;
+    const { O, H } = anion.elementos;
+    const centrales = anion.elementos[anion.central];
+    const base = `${O > 1 ? PREFIJOS_NUMERICOS[O] : ''}oxido${centrales > 1 ? PREFIJOS_NUMERICOS[centrales] : ''}${RAICES_OXOANIONES[anion.central][0]}`;
+    return H ? `${H > 1 ? PREFIJOS_NUMERICOS[H] : ''}hidrogeno(${base})` : base;
+}
+
+function buscarOxoanionPorEstado(texto) {
+    // Sistemática antigua, con el estado del átomo central: tetraoxosulfato(VI), heptaoxodicromato (VI)
+    const partes = texto.match(/^(\w*?)oxo(di)?(\w+?)\s*\(([ivx]+)\)$/);
+    if (!partes) return null;
+    const [, prefijo, di, raiz, numeral] = partes;
+    const oxigenos = prefijo ? PREFIJOS_NUMERICOS.indexOf(prefijo) : 1;
+    const centrales = di ? 2 : 1;
+    const estado = ROMANOS.indexOf(numeral.toUpperCase());
+    return ANIONES_POLIATOMICOS.find(a => a.central && !a.elementos.H &&
+        normalizarTexto(RAICES_OXOANIONES[a.central][0]) === raiz &&
+        a.elementos.O === oxigenos && a.elementos[a.central] === centrales &&
+        estadoDelCentral(a) === estado
+    ) || null;
+}
+
+function restarAnion(elementos, anion, veces) {
+    const resto = { ...elementos };
+    for (const simbolo in anion.elementos) {
+        resto[simbolo] = (resto[simbolo] || 0) - anion.elementos[simbolo] * veces;
+        if (resto[simbolo] < 0) return null;
+        if (resto[simbolo] === 0) delete resto[simbolo];
+    }
+    return resto;
+}
+
+// ============================================================
+// SECCIÓN 3: DE FÓRMULA A NOMBRE
+// ============================================================
+function buscarCompuestoComun(formula, elementos) {
+    // Primero por la fórmula tal como se escribió; si no, por composición cuando hay un solo candidato
+    const exacto = NOMBRES_COMUNES.find(c => c.formula === formula);
+    if (exacto) return exacto;
+    const candidatos = NOMBRES_COMUNES.filter(c => mismosElementos(parsearFormula(c.formula), elementos));
+    return candidatos.length === 1 ? candidatos[0] : null;
+}
+
+function descomponerSal(elementos) {
+    // Busca un anión y un único catión (metal, no metal o amonio) cuyas cargas se compensen
+    const aniones = [...ANIONES_POLIATOMICOS, ...ANIONES_SIMPLES];
+
+    for (const anion of aniones) {
+        const maximo = Math.min(...Object.keys(anion.elementos).map(s =>
+            Math.floor((elementos[s] || 0) / anion.elementos[s])
+        ));
+
+        for (let veces = maximo; veces >= 1; veces--) {
+            const resto = restarAnion(elementos, anion, veces);
+            if (!resto || Object.keys(resto).length === 0) continue;
+            const cargaTotal = -anion.carga * veces;
+
+            // Amonio: NH4Cl, (NH4)2SO4
+            if (Object.keys(resto).length === 2 && resto.N && resto.H === 4 * resto.N && resto.N === cargaTotal) {
+                return { cation: AMONIO, cantidadCation: resto.N, anion: anion, cantidadAnion: veces, carga: 1 };
+            }
+            if (Object.keys(resto).length !== 1) continue;
+
+            const simbolo = Object.keys(resto)[0];
+            const carga = cargaTotal / resto[simbolo];
+            if (!Number.isInteger(carga) || !ELEMENTOS[simbolo] || !estadosPositivos(simbolo).includes(carga)) continue;
+
+            // Los peróxidos solo se reconocen con metales de los grupos 1 y 2 (Na2O2, BaO2)
+            if (anion.nombre === 'peróxido' && ![1, 2].includes(ELEMENTOS[simbolo].grupo)) continue;
+
+            return { cation: simbolo, cantidadCation: resto[simbolo], anion: anion, cantidadAnion: veces, carga: carga };
+        }
+    }
+    return null;
+}
+
+function nombrarAcido(sal) {
+    // Oxoácidos y ácidos hidrácidos: el catión es solo hidrógeno
+    const { anion, cantidadAnion } = sal;
+    const nombres = { tipo: 'ácido' };
+
+    if (anion.simple) {
+        if (!HIDRACIDOS[anion.formula]) return null;
+        nombres.tradicional = `ácido ${HIDRACIDOS[anion.formula]}`;
+        nombres.iupac = `${anion.nombre} de ${conPrefijo(sal.cantidadCation, 'hidrógeno')}`;
+        nombres.nombre = nombres.tradicional;
+        return nombres;
+    }
+    if (!anion.acido || cantidadAnion !== 1) return null;
+
+    nombres.tradicional = `ácido ${anion.acido}`;
+    if (anion.central && !anion.elementos.H) {
+        const { O } = anion.elementos;
+        const centrales = anion.elementos[anion.central];
+        nombres.stock = `ácido ${O > 1 ? PREFIJOS_NUMERICOS[O] : ''}oxo${centrales > 1 ? PREFIJOS_NUMERICOS[centrales] : ''}` +
+            `${RAICES_OXOANIONES[anion.central][1]}(${ROMANOS[estadoDelCentral(anion)]})`;
+        nombres.iupac = `${nombreSistematicoAnion(anion)} de ${conPrefijo(sal.cantidadCation, 'hidrógeno')}`;
+    }
+    nombres.nombre = nombres.tradicional;
+    return nombres;
+}
+
+// Compuestos que se clasifican por su anión y no como sales
+const TIPOS_BINARIOS = { O: 'óxido', O2: 'peróxido', H: 'hidruro', OH: 'hidróxido' };
+
+function nombrarSal(sal) {
+    // Óxidos, hidruros, sales binarias, hidróxidos y oxisales
+    const { cation, cantidadCation, anion, cantidadAnion, carga } = sal;
+
+    if (cation === 'H') {
+        return nombrarAcido(sal);
+    }
+
+    if (cation === AMONIO) {
+        const nombre = `${anion.nombre} de amonio`;
+        return { tipo: 'sal', nombre: nombre, stock: nombre, tradicional: nombre };
+    }
+
+    const metal = nombreDeSimbolo(cation);
+    const unEstado = estadosPositivos(cation).length === 1;
+    const stock = `${anion.nombre} de ${metal}${unEstado ? '' : `(${ROMANOS[carga]})`}`;
+
+    // Sistemática: prefijos multiplicadores, o bis/tris para los aniones poliatómicos
+    const noMetal = esNoMetal(cation) || ELEMENTOS[cation].categoria === 'metaloide';
+    let iupac;
+    if (unEstado && !noMetal) {
+        iupac = anion.simple || anion.formula === 'OH' ? stock : `${nombreSistematicoAnion(anion)} de ${metal}`;
+    } else if (anion.simple || anion.formula === 'OH') {
+        iupac = `${conPrefijo(cantidadAnion, anion.nombre, anion.formula === 'O')} de ${conPrefijo(cantidadCation, metal)}`;
+    } else {
+        const grupo = cantidadAnion > 1 ? `${PREFIJOS_GRUPOS[cantidadAnion]}(${nombreSistematicoAnion(anion)})` : nombreSistematicoAnion(anion);
+        iupac = `${grupo} de ${conPrefijo(cantidadCation, metal)}`;
+    }
+
+    // Tradicional: -oso / -ico en metales; anhídridos en los óxidos de no metales
+    let tradicional = null;
+    if (unEstado) {
+        tradicional = stock;
+    } else if (NOMBRES_TRADICIONALES[cation] && NOMBRES_TRADICIONALES[cation][carga]) {
+        tradicional = `${anion.nombre} ${NOMBRES_TRADICIONALES[cation][carga]}`;
+    } else if (anion.formula === 'O' && esNoMetal(cation)) {
+        const acido = ANIONES_POLIATOMICOS.find(a =>
+            a.central === cation && a.acido && !a.elementos.H && estadoDelCentral(a) === carga
+        );
+        if (acido) tradicional = `anhídrido ${acido.acido}`;
+    }
+
+    // En los compuestos de dos no metales (CO2, N2O5) se prefiere el nombre sistemático
+    const nombre = noMetal ? iupac : stock;
+    return { tipo: TIPOS_BINARIOS[anion.formula] || 'sal', nombre: nombre, iupac: iupac, stock: stock, tradicional: tradicional };
+}
+
+function nombrarIon(elementos, carga) {
+    const simbolos = Object.keys(elementos);
+
+    if (carga > 0) {
+        if (mismosElementos(elementos, AMONIO.elementos) && carga === 1) {
+            return { tipo: 'ion', nombre: 'ion amonio' };
+        }
+        if (simbolos.length !== 1 || elementos[simbolos[0]] !== 1) return null;
+        const simbolo = simbolos[0];
+        const unEstado = estadosPositivos(simbolo).length <= 1;
+        const stock = `ion ${nombreDeSimbolo(simbolo)}${unEstado ? '' : `(${ROMANOS[carga]})`}`;
+        const tradicional = NOMBRES_TRADICIONALES[simbolo] && NOMBRES_TRADICIONALES[simbolo][carga]
+            ? `ion ${NOMBRES_TRADICIONALES[simbolo][carga]}` : stock;
+        return { tipo: 'ion', nombre: stock, stock: stock, tradicional: tradicional };
+    }
+
+    const anion = [...ANIONES_POLIATOMICOS, ...ANIONES_SIMPLES].find(a =>
+        a.carga === carga && mismosElementos(a.elementos, elementos)
+    );
+    if (!anion) return null;
+    return { tipo: 'ion', nombre: `ion ${anion.nombre}`, iupac: anion.central ? `ion ${nombreSistematicoAnion(anion)}` : null };
+}
+
+function nombrarElemento(elementos) {
+    const simbolo = Object.keys(elementos)[0];
+    const cantidad = elementos[simbolo];
+    const nombre = nombreDeSimbolo(simbolo);
+
+    if (cantidad === 1 || (cantidad === 2 && DIATOMICOS.includes(simbolo))) {
+        return { tipo: 'elemento', nombre: nombre, iupac: cantidad === 2 ? conPrefijo(2, nombre) : nombre };
+    }
+    return { tipo: 'elemento', nombre: conPrefijo(cantidad, nombre), iupac: conPrefijo(cantidad, nombre) };
+}
+
+function nombrarFormula(formula) {
+    // Devuelve { nombre, iupac, stock, tradicional } (los que apliquen) o null si no se reconoce
+    try {
+        const { nucleo, carga } = separarCarga(formula);
+        const partes = separarHidrato(nucleo);
+
+        // Hidratos: CuSO4·5H2O → sulfato de cobre(II) pentahidratado
+        if (partes.length === 2 && partes[1].formula === 'H2O' && carga === 0) {
+            const sal = nombrarFormula(partes[0].formula);
+            if (!sal) return null;
+            const sufijo = ` ${PREFIJOS_NUMERICOS[partes[1].multiplicador] || ''}hidratado`;
+            const hidrato = { tipo: sal.tipo };
+            for (const estilo of ['nombre', 'iupac', 'stock', 'tradicional']) {
+                if (sal[estilo]) hidrato[estilo] = sal[estilo] + sufijo;
+            }
+            return hidrato;
+        }
+        if (partes.length !== 1) return null;
+
+        const elementos = parsearFormula(formula);
+        if (Object.keys(elementos).some(s => !ELEMENTOS[s])) return null;
+
+        const comun = buscarCompuestoComun(formula, elementos);
+        if (comun) {
+            return { tipo: 'común', nombre: comun.nombre };
+        }
+        if (carga !== 0) {
+            return nombrarIon(elementos, carga);
+        }
+        if (Object.keys(elementos).length === 1) {
+            return nombrarElemento(elementos);
+        }
+
+        const sal = descomponerSal(elementos);
+        return sal ? nombrarSal(sal) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// ============================================================
+// SECCIÓN 4: DE NOMBRE A FÓRMULA
+// ============================================================
+function buscarPorNombre(lista, nombre) {
+    return lista.find(item => [item.nombre, ...(item.alias || [])].some(n => normalizarTexto(n) === nombre));
+}
+
+function quitarPrefijo(texto, buscar) {
+    // dióxido → [2, óxido]; monóxido y pentóxido se aceptan también con la vocal elidida
+    for (let n = PREFIJOS_NUMERICOS.length - 1; n >= 1; n--) {
+        const prefijo = PREFIJOS_NUMERICOS[n];
+        const restos = [texto.slice(prefijo.length)];
+        if (/[ao]$/.test(prefijo)) restos.push(texto.slice(prefijo.length - 1));
+
+        for (const resto of restos) {
+            const encontrado = texto.startsWith(prefijo.slice(0, texto.length - resto.length)) && resto && buscar(resto);
+            if (encontrado) return [n, encontrado];
+        }
+    }
+    return [null, null];
+}
+
+function leerAnionDeNombre(texto) {
+    // Devuelve { anion, cantidad } con la cantidad del prefijo (o null si no lo tiene)
+    const aniones = [...ANIONES_POLIATOMICOS, ...ANIONES_SIMPLES];
+    const buscar = (t) => buscarPorNombre(aniones, t) ||
+        aniones.find(a => a.central && normalizarTexto(nombreSistematicoAnion(a)) === t) ||
+        buscarOxoanionPorEstado(t);
+
+    const grupo = texto.match(/^(bis|tris|tetrakis|pentakis|hexakis)\s*\((.+)\)$/);
+    if (grupo) {
+        const anion = buscar(grupo[2]);
+        return anion ? { anion: anion, cantidad: PREFIJOS_GRUPOS.indexOf(grupo[1]) } : null;
+    }
+
+    const directo = buscar(texto);
+    if (directo) return { anion: directo, cantidad: null };
+
+    const [cantidad, anion] = quitarPrefijo(texto, buscar);
+    return anion ? { anion: anion, cantidad: cantidad } : null;
+}
+
+function leerCationDeNombre(texto) {
+    // Devuelve { simbolo | amonio, cantidad, carga } a partir de "hierro(III)", "dihierro" o "amonio"
+    let carga = null;
+    const numeral = texto.match(/\s*\(\s*([ivx]+)\s*\)$/);
+    if (numeral) {
+        carga = ROMANOS.indexOf(numeral[1].toUpperCase());
+        texto = texto.slice(0, -numeral[0].length);
+    }
+
+    if (texto === 'amonio') return { cation: AMONIO, cantidad: null, carga: 1 };
+
+    const directo = buscarElementoPorNombre(texto);
+    if (directo) return { cation: directo.simbolo, cantidad: null, carga: carga };
+
+    const [cantidad, elemento] = quitarPrefijo(texto, buscarElementoPorNombre);
+    return elemento ? { cation: elemento.simbolo, cantidad: cantidad, carga: carga } : null;
+}
+
+function escribirFormulaSal(cation, cantidadCation, anion, cantidadAnion) {
+    const parte = (formula, cantidad, poliatomico) => {
+        // Los complejos van entre corchetes: K4[Fe(CN)6]
+        if (formula.includes('(')) return `[${formula}]${cantidad > 1 ? cantidad : ''}`;
+        if (cantidad === 1) return formula;
+        return poliatomico ? `(${formula})${cantidad}` : `${formula}${cantidad}`;
+    };
+    const simboloCation = cation === AMONIO ? AMONIO.formula : cation;
+    return parte(simboloCation, cantidadCation, cation === AMONIO) + parte(anion.formula, cantidadAnion, !anion.simple);
+}
+
+function formulaDeAcido(adjetivo) {
+    // Tradicional (ácido sulfúrico, ácido clorhídrico) o de Stock (ácido tetraoxosulfúrico(VI))
+    for (const simbolo in HIDRACIDOS) {
+        if (normalizarTexto(HIDRACIDOS[simbolo]) === adjetivo) {
+            const carga = -ELEMENTOS[simbolo].estadosOxidacion[0];
+            return `H${carga > 1 ? carga : ''}${simbolo}`;
+        }
+    }
+
+    const anion = ANIONES_POLIATOMICOS.find(a => a.acido && normalizarTexto(a.acido) === adjetivo);
+    if (anion) {
+        return `H${-anion.carga > 1 ? -anion.carga : ''}${anion.formula}`;
+    }
+
+    const stock = adjetivo.match(/^(\w*?)oxo(di)?(\w+)\(([ivx]+)\)$/);
+    if (stock) {
+        const oxigenos = PREFIJOS_NUMERICOS.indexOf(stock[1]) > 0 ? PREFIJOS_NUMERICOS.indexOf(stock[1]) : 1;
+        const centrales = stock[2] ? 2 : 1;
+        const estado = ROMANOS.indexOf(stock[4].toUpperCase());
+        const central = Object.keys(RAICES_OXOANIONES).find(s => normalizarTexto(RAICES_OXOANIONES[s][1]) === stock[3]);
+        const hidrogenos = 2 * oxigenos - estado * centrales;
+        if (central && estado > 0 && hidrogenos > 0) {
+            return `H${hidrogenos > 1 ? hidrogenos : ''}${central}${centrales > 1 ? centrales : ''}O${oxigenos > 1 ? oxigenos : ''}`;
+        }
+    }
+    return null;
+}
+
+function formulaDeNombre(nombre) {
+    // Convierte un nombre en español en una fórmula que parsearFormula pueda leer
+    let texto = normalizarTexto(nombre).replace(/\s+/g, ' ');
+    let sufijoHidrato = '';
+
+    // Hidratos: "sulfato de cobre(II) pentahidratado"
+    const hidrato = texto.match(/ (\w*)hidratad[oa]$/);
+    if (hidrato) {
+        const moleculas = hidrato[1] ? PREFIJOS_NUMERICOS.indexOf(hidrato[1]) : 1;
+        if (moleculas < 1) throw new Error(`No se reconoce el prefijo "${hidrato[1]}" del hidrato.`);
+        sufijoHidrato = `·${moleculas > 1 ? moleculas : ''}H2O`;
+        texto = texto.slice(0, -hidrato[0].length);
+    }
+
+    const comun = buscarPorNombre(NOMBRES_COMUNES, texto);
+    if (comun) return comun.formula + sufijoHidrato;
+
+    const elemento = buscarElementoPorNombre(texto);
+    if (elemento) {
+        return elemento.simbolo + (DIATOMICOS.includes(elemento.simbolo) ? '2' : '');
+    }
+
+    if (texto.startsWith('acido ')) {
+        const formula = formulaDeAcido(texto.slice(6).replace(/\s+/g, ''));
+        if (formula) return formula + sufijoHidrato;
+        throw new Error(`No se reconoce el ácido "${nombre}".`);
+    }
+
+    // "anión de catión" (Stock o sistemática) o "anión adjetivo" (tradicional)
+    let anion, cation;
+    const separador = texto.indexOf(' de ');
+    if (separador > 0) {
+        anion = leerAnionDeNombre(texto.slice(0, separador));
+        cation = leerCationDeNombre(texto.slice(separador + 4));
+    } else if (texto.includes(' ')) {
+        const [textoAnion, adjetivo] = [texto.slice(0, texto.lastIndexOf(' ')), texto.slice(texto.lastIndexOf(' ') + 1)];
+        anion = leerAnionDeNombre(textoAnion);
+        for (const simbolo in NOMBRES_TRADICIONALES) {
+            for (const carga in NOMBRES_TRADICIONALES[simbolo]) {
+                if (normalizarTexto(NOMBRES_TRADICIONALES[simbolo][carga]) === adjetivo) {
+                    cation = { cation: simbolo, cantidad: null, carga: parseInt(carga) };
+                }
+            }
+        }
+    }
+
+    if (!anion || !cation) {
+        throw new Error(`No se reconoce el nombre "${nombre}".`);
+    }
+
+    let cantidadCation, cantidadAnion;
+    if (anion.cantidad || cation.cantidad) {
+        // Nombre sistemático: los prefijos dan las cantidades
+        cantidadCation = cation.cantidad || 1;
+        cantidadAnion = anion.cantidad || 1;
+    } else {
+        let carga = cation.carga;
+        if (carga === null) {
+            const posibles = estadosPositivos(cation.cation);
+            if (posibles.length !== 1) {
+                throw new Error(`Indica el estado de oxidación de ${nombreDeSimbolo(cation.cation)}: ` +
+                    `${posibles.map(e => `${texto}(${ROMANOS[e]})`).join(' o ')}.`);
+            }
+            carga = posibles[0];
+        }
+        const comun = maximoComunDivisor(carga, -anion.anion.carga);
+        cantidadCation = -anion.anion.carga / comun;
+        cantidadAnion = carga / comun;
+    }
+
+    return escribirFormulaSal(cation.cation, cantidadCation, anion.anion, cantidadAnion) + sufijoHidrato;
+}
+
+function interpretarFormulaONombre(texto) {
+    // Acepta una fórmula o un nombre; si ninguno se reconoce, informa el error de la fórmula
+    try {
+        parsearFormula(texto);
+        return texto;
+    } catch (errorFormula) {
+        try {
+            return formulaDeNombre(texto);
+        } catch (errorNombre) {
+            throw /\s|^[a-záéíóúñ]/.test(texto.trim()) ? errorNombre : errorFormula;
+        }
+    }
+}
+
+function convertirNombresEnEcuacion(ecuacion) {
+    // Reemplaza los nombres de una ecuación por fórmulas: "ácido clorhídrico + zinc -> ..." → "HCl + Zn -> ..."
+    const cambios = [];
+    const partes = ecuacion.split(new RegExp(`(${FLECHAS.source})`));
+
+    const convertidas = partes.map((parte, i) => {
+        if (i % 2 === 1) return parte;
+        return parte.split(/\s\+\s/).map(termino => {
+            const [, espacio, coeficiente, separacion, compuesto] = termino.match(/^(\s*)(\d*)(\s*)(.*?)\s*$/);
+            const { formula: texto, estado } = separarEstado(compuesto);
+            try {
+                parsearFormula(texto);
+                return termino;
+            } catch (error) {
+                try {
+                    const formula = formulaDeNombre(texto);
+                    cambios.push({ nombre: texto, formula: formula });
+                    return `${espacio}${coeficiente}${formula}${estado ? `(${estado})` : ''}${termino.endsWith(' ') ? ' ' : ''}`;
+                } catch (errorNombre) {
+                    return termino;
+                }
+            }
+        }).join(' + ');
+    });
+
+    return { ecuacion: convertidas.join(''), cambios: cambios };
+}
@@ -1,79 +1,405 @@
 // ============================================================
 // SECCIÓN 1: PARSEO DE FÓRMULAS Y ECUACIONES
 // ============================================================
-function parsearFormula(formula) {
-    const resultado = {};
-    const pila = [resultado]; // Pila para manejar paréntesis
-    let i = 0;
+function separarCarga(formula, desplazamiento = 0) {
+    // Los subíndices Unicode (SO₄) valen como dígitos; la longitud no cambia
+    formula = formula.trim().replace(/[₀-₉]/g, c => String(c.charCodeAt(0) - 0x2080));
+    let coincidencia;
+
+    // Carga con superíndices Unicode: Fe³⁺, SO₄²⁻, Cl⁻
+    if ((coincidencia = formula.match(/([⁰¹²³⁴⁵⁶⁷⁸⁹]*)([⁺⁻])$/))) {
+        const magnitud = parseInt([...coincidencia[1]].map(c => SUPERINDICES.indexOf(c)).join('')) || 1;
+        return {
+            nucleo: formula.slice(0, -coincidencia[0].length),
+            carga: coincidencia[2] === '⁺' ? magnitud : -magnitud
+        };
+    }
+
+    // Carga explícita con ^ o separada por un espacio: SO4^2-, NH4^+, Fe^+3, SO4 2-
+    if ((coincidencia = formula.match(/(?:\^\s*|\s+)(\d*)([+-])$/)) ||
+        (coincidencia = formula.match(/\^\s*([+-])(\d*)$/))) {
+        const [texto, a, b] = coincidencia;
+        const signo = a === '+' || a === '-' ? a : b;
+        const magnitud = parseInt(a === signo ? b : a) || 1;
+        return {
+            nucleo: formula.slice(0, -texto.length).trim(),
+            carga: signo === '+' ? magnitud : -magnitud
+        };
+    }
+
+    // Ion complejo entre corchetes con la magnitud antes del signo: [Cu(NH3)4]2+
+    if ((coincidencia = formula.match(/\](\d+)([+-])$/))) {
+        const magnitud = parseInt(coincidencia[1]);
+        return {
+            nucleo: formula.slice(0, -coincidencia[0].length + 1),
+            carga: coincidencia[2] === '+' ? magnitud : -magnitud
+        };
+    }
+
+    // Ion monoatómico con la magnitud antes del signo: Fe3+, Mn2+. En los aniones el número
+    // también puede ser un subíndice (I3- es el triyoduro, N3- puede ser azida o nitruro)
+    if ((coincidencia = formula.match(/^([A-Z][a-z]?)(\d+)([+-])$/))) {
+        const [, simbolo, numero, signo] = coincidencia;
+        if (signo === '-' && numero !== '1') {
+            throw errorDeSintaxis(`Carga ambigua en "${formula}".`, desplazamiento + simbolo.length, numero + signo,
+                `Escribe ${simbolo}^${numero}- para un ion ${simbolo} con carga ${numero}-, o ${formula.slice(0, -1)}^- para el anión ${formula.slice(0, -1)} con carga 1-.`);
+        }
+        const magnitud = parseInt(numero);
+        return {
+            nucleo: simbolo,
+            carga: signo === '+' ? magnitud : -magnitud
+        };
+    }
+
+    // Signo seguido de la magnitud: Fe+3, Cl-1
+    if ((coincidencia = formula.match(/([+-])(\d+)$/))) {
+        const magnitud = parseInt(coincidencia[2]);
+        return {
+            nucleo: formula.slice(0, -coincidencia[0].length),
+            carga: coincidencia[1] === '+' ? magnitud : -magnitud
+        };
+    }
+
+    // Uno o más signos al final: MnO4-, NH4+, Fe+++
+    if ((coincidencia = formula.match(/([+-])\1*$/))) {
+        const magnitud = coincidencia[0].length;
+        return {
+            nucleo: formula.slice(0, -magnitud),
+            carga: coincidencia[1] === '+' ? magnitud : -magnitud
+        };
+    }
+
+    return { nucleo: formula, carga: 0 };
+}
+
+const CIERRES = { '(': ')', '[': ']', '{': '}' };
+const SEPARADORES_HIDRATO = /[·•∙*.]/;
+// Flecha de reacción, con las condiciones opcionales entre corchetes pegados: ->[Δ], <=>[Fe, 450 °C]
+const FLECHAS = /(?:<=>|<->|⇌|⇄|->|→|=)(?:\[[^\]]*\])?/g;
+const FLECHAS_EQUILIBRIO = /^(?:<=>|<->|⇌|⇄)/;
+
+// Estados de agregación; solo en minúscula, para no confundir (s) con el azufre
+const ESTADOS_FISICOS = { s: 'sólido', l: 'líquido', g: 'gas', aq: 'disolución acuosa' };
+const PATRON_ESTADO = /\s*\((s|l|g|aq)\)$/;
+
+function separarEstado(formula) {
+    // CO2(g) → { formula: 'CO2', estado: 'g' }; sin estado, estado es null
+    const coincidencia = formula.match(PATRON_ESTADO);
+    if (!coincidencia) return { formula: formula, estado: null };
+    return { formula: formula.slice(0, -coincidencia[0].length), estado: coincidencia[1] };
+}
+
+function leerFlecha(texto) {
+    // ->[Δ] → { reversible: false, condiciones: 'Δ' }; <=> → { reversible: true, condiciones: null }
+    const condiciones = texto.match(/\[([^\]]*)\]$/);
+    return {
+        reversible: FLECHAS_EQUILIBRIO.test(texto),
+        condiciones: condiciones && condiciones[1].trim() ? condiciones[1].trim() : null
+    };
+}
+
+function textoFlecha(flecha) {
+    return `${flecha.reversible ? '<=>' : '->'}${flecha.condiciones ? `[${flecha.condiciones}]` : ''}`;
+}
+
+function errorDeSintaxis(mensaje, posicion, token, sugerencia = null) {
+    // Error con la ubicación exacta del problema, para poder resaltarlo en la interfaz
+    const error = new Error(mensaje);
+    error.detalle = {
+        posicion: posicion,
+        fin: posicion + Math.max(token.length, 1),
+        token: token,
+        sugerencia: sugerencia
+    };
+    return error;
+}
+
+function sugerirElemento(texto) {
+    // Para una minúscula al inicio (h, cl) propone el símbolo con mayúscula inicial
+    const doble = texto[0].toUpperCase() + (texto[1] || '');
+    if (/^[A-Z][a-z]$/.test(doble) && ELEMENTOS[doble]) return doble;
+    if (ELEMENTOS[texto[0].toUpperCase()]) return texto[0].toUpperCase();
+
+    const parecidos = Object.keys(ELEMENTOS).filter(s => s[0] === texto[0].toUpperCase());
+    return parecidos.length > 0 ? parecidos.join(', ') : null;
+}
+
+function leerSimbolo(formula, i) {
+    // Se prefiere el símbolo de dos letras si existe (Co, Cl) y si no el de una (C)
+    const doble = formula.slice(i, i + 2);
+    if (/^[A-Z][a-z]$/.test(doble) && ELEMENTOS[doble]) return doble;
+    if (ELEMENTOS[formula[i]] || SIMBOLOS_ISOTOPOS[formula[i]]) return formula[i];
+    return /^[A-Z][a-z]$/.test(doble) ? doble : formula[i];
+}
+
+const SUPERINDICES = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+
+function claveDeIsotopo(numeroMasico, simbolo) {
+    // [2H] y [3H] se guardan como D y T para que D2O y [2H]2O sean el mismo compuesto
+    const alias = Object.keys(SIMBOLOS_ISOTOPOS).find(s =>
+        SIMBOLOS_ISOTOPOS[s].elemento === simbolo && SIMBOLOS_ISOTOPOS[s].numeroMasico === numeroMasico
+    );
+    return alias || `[${numeroMasico}${simbolo}]`;
+}
+
+function datosDeIsotopo(clave) {
+    // Devuelve { elemento, numeroMasico, masa, abundancia } para D, T o [13C]; null si no es un isótopo
+    let elemento, numeroMasico;
+    if (SIMBOLOS_ISOTOPOS[clave]) {
+        ({ elemento, numeroMasico } = SIMBOLOS_ISOTOPOS[clave]);
+    } else {
+        const coincidencia = clave.match(/^\[(\d+)([A-Z][a-z]?)\]$/);
+        if (!coincidencia) return null;
+        numeroMasico = parseInt(coincidencia[1]);
+        elemento = coincidencia[2];
+    }
+
+    const isotopo = (ISOTOPOS[elemento] || []).find(([numero]) => numero === numeroMasico);
+    if (!isotopo) return null;
+    return { elemento: elemento, numeroMasico: numeroMasico, masa: isotopo[1], abundancia: isotopo[2] };
+}
+
+function elementoBase(clave) {
+    const isotopo = datosDeIsotopo(clave);
+    return isotopo ? isotopo.elemento : clave;
+}
+
+function existeElemento(clave) {
+    return Boolean(ELEMENTOS[clave] || datosDeIsotopo(clave));
+}
+
+function leerIsotopo(nucleo, i, inicio) {
+    // Notación [13C] o con superíndices ¹³C; devuelve la clave del isótopo y el texto leído
+    let numero, simbolo, texto;
+    if (nucleo[i] === '[') {
+        const coincidencia = nucleo.slice(i).match(/^\[(\d+)([A-Z][a-z]?)\]/);
+        if (!coincidencia) {
+            throw errorDeSintaxis('Isótopo mal escrito.', inicio, '[',
+                'Escribe el número másico y el símbolo entre corchetes: [13C], [18O].');
+        }
+        [texto, numero, simbolo] = coincidencia;
+    } else {
+        const superindice = nucleo.slice(i).match(new RegExp(`^[${SUPERINDICES}]+`))[0];
+        numero = [...superindice].map(c => SUPERINDICES.indexOf(c)).join('');
+        if (!/[A-Z]/.test(nucleo[i + superindice.length] || '')) {
+            throw errorDeSintaxis('Falta el símbolo después del número másico.', inicio, superindice,
+                'Escribe el símbolo justo después del número másico: ¹³C.');
+        }
+        simbolo = leerSimbolo(nucleo, i + superindice.length);
+        texto = superindice + simbolo;
+    }
+
+    if (!ELEMENTOS[simbolo]) {
+        throw errorDeSintaxis(`Elemento no reconocido: ${simbolo}`, inicio, texto, null);
+    }
+    const clave = claveDeIsotopo(parseInt(numero), simbolo);
+    if (!datosDeIsotopo(clave)) {
+        const conocidos = (ISOTOPOS[simbolo] || []).map(([n]) => n + simbolo);
+        throw errorDeSintaxis(`Isótopo desconocido: ${numero}${simbolo}`, inicio, texto,
+            conocidos.length > 0 ? `Isótopos disponibles: ${conocidos.join(', ')}` : `No hay masas isotópicas para ${simbolo}.`);
+    }
+
+    return { clave: clave, texto: texto };
+}
 
-    while (i < formula.length) {
-        const caracter = formula[i];
+function tokenizarFormula(formula, desplazamiento = 0) {
+    const { nucleo, carga } = separarCarga(formula, desplazamiento);
+    const tokens = [];
+    const tokenCarga = {
+        tipo: 'carga',
+        valor: carga,
+        inicio: desplazamiento + nucleo.length,
+        fin: desplazamiento + formula.trim().length
+    };
+
+    // El electrón de las semirreacciones (e-) no es un elemento
+    if (nucleo === 'e') {
+        tokens.push({ tipo: 'electron', valor: 'e', inicio: desplazamiento, fin: desplazamiento + 1 });
+        return carga !== 0 ? [...tokens, tokenCarga] : tokens;
+    }
 
-        // Si encontramos un paréntesis de apertura
-        if (caracter === '(') {
-            const nuevoGrupo = {};
-            pila.push(nuevoGrupo);
+    let i = 0;
+    while (i < nucleo.length) {
+        const caracter = nucleo[i];
+        const inicio = desplazamiento + i;
+        const anterior = tokens.length > 0 ? tokens[tokens.length - 1].tipo : null;
+
+        // Un corchete seguido de un número abre un isótopo ([13C]), no un grupo
+        if ((caracter === '[' && /\d/.test(nucleo[i + 1] || '')) || SUPERINDICES.includes(caracter)) {
+            const { clave, texto } = leerIsotopo(nucleo, i, inicio);
+            tokens.push({ tipo: 'elemento', valor: clave, inicio: inicio, fin: inicio + texto.length });
+            i += texto.length;
+        }
+        else if (caracter in CIERRES) {
+            tokens.push({ tipo: 'abre', valor: caracter, inicio: inicio, fin: inicio + 1 });
+            i++;
+        }
+        else if (Object.values(CIERRES).includes(caracter)) {
+            tokens.push({ tipo: 'cierra', valor: caracter, inicio: inicio, fin: inicio + 1 });
             i++;
         }
-        // Si encontramos un paréntesis de cierre
-        else if (caracter === ')') {
+        else if (SEPARADORES_HIDRATO.test(caracter)) {
+            tokens.push({ tipo: 'hidrato', valor: caracter, inicio: inicio, fin: inicio + 1 });
             i++;
-            // Leer el número después del paréntesis
-            let multiplicador = '';
-            while (i < formula.length && /\d/.test(formula[i])) {
-                multiplicador += formula[i];
-                i++;
+        }
+        else if (/\d/.test(caracter)) {
+            const numero = nucleo.slice(i).match(/^\d+/)[0];
+
+            // Tras un elemento o un cierre es subíndice; al inicio o tras el punto, multiplicador
+            let tipo;
+            if (anterior === 'elemento' || anterior === 'cierra') tipo = 'subindice';
+            else if (anterior === null || anterior === 'hidrato') tipo = 'multiplicador';
+            else {
+                throw errorDeSintaxis(`Número "${numero}" fuera de lugar.`, inicio, numero,
+                    'Los subíndices van después de un elemento o de un paréntesis de cierre.');
             }
-            multiplicador = multiplicador ? parseInt(multiplicador) : 1;
-
-            // Sacar el grupo de la pila y agregarlo al grupo anterior
-            const grupo = pila.pop();
-            const grupoActual = pila[pila.length - 1];
-
-            for (const elemento in grupo) {
-                if (grupoActual[elemento]) {
-                    grupoActual[elemento] += grupo[elemento] * multiplicador;
-                } else {
-                    grupoActual[elemento] = grupo[elemento] * multiplicador;
-                }
+            if (parseInt(numero) === 0) {
+                throw errorDeSintaxis(`El ${tipo === 'subindice' ? 'subíndice' : tipo} no puede ser 0.`, inicio, numero,
+                    'Omite el número si es 1 o elimina el elemento.');
             }
+
+            tokens.push({ tipo: tipo, valor: parseInt(numero), inicio: inicio, fin: inicio + numero.length });
+            i += numero.length;
         }
-        // Si es una letra mayúscula (inicio de elemento)
         else if (/[A-Z]/.test(caracter)) {
-            let elemento = caracter;
-            i++;
-
-            // Leer letras minúsculas que siguen (ej: Ca, Fe, Mg)
-            while (i < formula.length && /[a-z]/.test(formula[i])) {
-                elemento += formula[i];
-                i++;
+            const simbolo = leerSimbolo(nucleo, i);
+            if (!existeElemento(simbolo)) {
+                const parecidos = Object.keys(ELEMENTOS).filter(s => s[0] === caracter);
+                throw errorDeSintaxis(`Elemento no reconocido: ${simbolo}`, inicio, simbolo,
+                    parecidos.length > 0 ? `Símbolos que empiezan con ${caracter}: ${parecidos.join(', ')}` : null);
             }
+            tokens.push({ tipo: 'elemento', valor: simbolo, inicio: inicio, fin: inicio + simbolo.length });
+            i += simbolo.length;
+        }
+        else if (/[a-z]/.test(caracter)) {
+            const sugerencia = sugerirElemento(nucleo.slice(i, i + 2));
+            throw errorDeSintaxis(`Minúscula '${caracter}' al inicio de un elemento.`, inicio, caracter,
+                sugerencia ? `¿Quisiste decir ${sugerencia}?` : 'Los símbolos comienzan con mayúscula.');
+        }
+        else if (/\s/.test(caracter)) {
+            throw errorDeSintaxis('Espacio dentro de una fórmula.', inicio, caracter,
+                'Escribe la fórmula junta o separa los compuestos con +.');
+        }
+        else if (caracter === '+' || caracter === '-' || caracter === '^') {
+            throw errorDeSintaxis(`Signo '${caracter}' fuera de lugar.`, inicio, caracter,
+                'La carga va al final de la fórmula: Fe3+, MnO4-, SO4^2-.');
+        }
+        else {
+            throw errorDeSintaxis(`Carácter no reconocido: '${caracter}'.`, inicio, caracter,
+                'Elimina este carácter.');
+        }
+    }
 
-            // Leer el subíndice (número)
-            let subindice = '';
-            while (i < formula.length && /\d/.test(formula[i])) {
-                subindice += formula[i];
-                i++;
-            }
-            subindice = subindice ? parseInt(subindice) : 1;
+    if (carga !== 0) {
+        tokens.push(tokenCarga);
+    }
 
-            // Agregar al grupo actual
-            const grupoActual = pila[pila.length - 1];
-            if (grupoActual[elemento]) {
-                grupoActual[elemento] += subindice;
-            } else {
-                grupoActual[elemento] = subindice;
+    return tokens;
+}
+
+function separarHidrato(formula) {
+    // Divide CuSO4·5H2O en partes con su multiplicador; solo se cortan
+    // los puntos que están fuera de paréntesis o corchetes
+    const tokens = tokenizarFormula(formula);
+    const partes = [];
+    let inicio = 0;
+    let profundidad = 0;
+
+    for (const token of [...tokens, { tipo: 'fin', inicio: formula.length }]) {
+        if (token.tipo === 'abre') profundidad++;
+        if (token.tipo === 'cierra') profundidad--;
+        if (token.tipo !== 'fin' && (token.tipo !== 'hidrato' || profundidad > 0)) continue;
+
+        const texto = formula.slice(inicio, token.inicio).trim();
+        const multiplicador = texto.match(/^\d*/)[0];
+        partes.push({
+            multiplicador: multiplicador ? parseInt(multiplicador) : 1,
+            formula: texto.slice(multiplicador.length)
+        });
+        inicio = token.inicio + 1;
+    }
+
+    return partes;
+}
+
+function parsearFormula(formula, desplazamiento = 0) {
+    const tokens = tokenizarFormula(formula, desplazamiento);
+    const resultado = {};
+    const pila = [{ elementos: {}, apertura: null }]; // Pila para paréntesis, corchetes y llaves
+    let multiplicador = 1;
+    let inicioParte = desplazamiento;
+
+    const sumar = (destino, elementos, factor) => {
+        for (const elemento in elementos) {
+            destino[elemento] = (destino[elemento] || 0) + elementos[elemento] * factor;
+        }
+    };
+
+    // Cierra una parte del hidrato (o la fórmula completa) y la suma al resultado
+    const cerrarParte = (posicion) => {
+        const parte = pila[0].elementos;
+        if (Object.keys(parte).length === 0 && tokens[0].tipo !== 'electron') {
+            throw errorDeSintaxis('Falta una fórmula en esta parte del compuesto.', inicioParte, '',
+                'Revisa que no sobre un punto de hidrato.');
+        }
+        sumar(resultado, parte, multiplicador);
+        pila[0].elementos = {};
+        multiplicador = 1;
+        inicioParte = posicion;
+    };
+
+    for (let k = 0; k < tokens.length; k++) {
+        const token = tokens[k];
+        const siguiente = tokens[k + 1];
+        const subindice = siguiente && siguiente.tipo === 'subindice' ? siguiente.valor : 1;
+
+        if (token.tipo === 'abre') {
+            pila.push({ elementos: {}, apertura: token });
+        }
+        else if (token.tipo === 'cierra') {
+            const grupo = pila.pop();
+            if (!grupo.apertura) {
+                pila.push(grupo);
+                throw errorDeSintaxis(`"${token.valor}" de cierre sin apertura.`, token.inicio, token.valor,
+                    `Elimina "${token.valor}" o agrega la apertura correspondiente.`);
+            }
+            if (CIERRES[grupo.apertura.valor] !== token.valor) {
+                throw errorDeSintaxis(`Se esperaba "${CIERRES[grupo.apertura.valor]}" y se encontró "${token.valor}".`,
+                    token.inicio, token.valor, `Cambia "${token.valor}" por "${CIERRES[grupo.apertura.valor]}".`);
             }
+            if (Object.keys(grupo.elementos).length === 0) {
+                throw errorDeSintaxis('Grupo vacío.', grupo.apertura.inicio, grupo.apertura.valor + token.valor,
+                    'Elimina los paréntesis vacíos.');
+            }
+            sumar(pila[pila.length - 1].elementos, grupo.elementos, subindice);
         }
-        else {
-            i++; // Ignorar caracteres no reconocidos
+        else if (token.tipo === 'elemento') {
+            sumar(pila[pila.length - 1].elementos, { [token.valor]: 1 }, subindice);
         }
+        else if (token.tipo === 'multiplicador') {
+            multiplicador = token.valor;
+        }
+        else if (token.tipo === 'hidrato') {
+            if (pila.length > 1) {
+                throw errorDeSintaxis('Punto de hidrato dentro de un grupo.', token.inicio, token.valor,
+                    `Cierra "${pila[pila.length - 1].apertura.valor}" antes del punto.`);
+            }
+            cerrarParte(token.fin);
+        }
+    }
+
+    if (pila.length > 1) {
+        const apertura = pila[pila.length - 1].apertura;
+        throw errorDeSintaxis(`Falta cerrar "${apertura.valor}".`, apertura.inicio, apertura.valor,
+            `Agrega "${CIERRES[apertura.valor]}" al final del grupo.`);
     }
+    cerrarParte(desplazamiento + formula.length);
 
     return resultado;
 }
 
-function parsearCompuesto(compuesto) {
+function parsearCompuesto(compuesto, desplazamiento = 0) {
+    desplazamiento += compuesto.length - compuesto.trimStart().length;
     compuesto = compuesto.trim();
 
     // Extraer el coeficiente del inicio
@@ -85,38 +411,97 @@ function parsearCompuesto(compuesto) {
         i++;
     }
 
+    if (coeficiente && parseInt(coeficiente) === 0) {
+        throw errorDeSintaxis('El coeficiente no puede ser 0.', desplazamiento, coeficiente,
+            'Quita el compuesto de la ecuación si no participa.');
+    }
+
     coeficiente = coeficiente ? parseInt(coeficiente) : 1;
-    const formula = compuesto.slice(i);
-    const elementos = parsearFormula(formula);
+    while (i < compuesto.length && /\s/.test(compuesto[i])) i++;
+
+    const { formula, estado } = separarEstado(compuesto.slice(i));
+    if (!formula) {
+        throw errorDeSintaxis('Falta la fórmula después del coeficiente.', desplazamiento, compuesto,
+            'Escribe el compuesto pegado a su coeficiente: 2H2O.');
+    }
+    const elementos = parsearFormula(formula, desplazamiento + i);
 
     return {
         coeficiente: coeficiente,
         formula: formula,
-        elementos: elementos
+        elementos: elementos,
+        carga: separarCarga(formula).carga,
+        estado: estado
     };
 }
 
-function parsearEcuacion(ecuacion) {
-    // Normalizar la flecha de reacción
-    ecuacion = ecuacion.replace(/→/g, '->').replace(/=/g, '->');
+function esSignoDeCarga(texto, i) {
+    // Un + es carga si va pegado a la fórmula y después (tras la magnitud y el estado
+    // opcionales, como en Na+(aq)) solo queda el final del lado o el + que separa del siguiente compuesto.
+    const anterior = texto[i - 1];
+    if (anterior === undefined || /\s/.test(anterior) || anterior === '+') {
+        return false;
+    }
+    return /^\d*\s*(\((s|l|g|aq)\))?\s*(\+|$)/.test(texto.slice(i + 1));
+}
+
+function separarCompuestos(lado, desplazamiento = 0) {
+    // Devuelve cada compuesto con su posición y la del + que lo cierra (si hay)
+    const compuestos = [];
+    let inicio = 0;
+
+    for (let i = 0; i < lado.length; i++) {
+        if (lado[i] === '+' && !esSignoDeCarga(lado, i)) {
+            compuestos.push({ texto: lado.slice(inicio, i), inicio: desplazamiento + inicio, separador: desplazamiento + i });
+            inicio = i + 1;
+        }
+    }
+    compuestos.push({ texto: lado.slice(inicio), inicio: desplazamiento + inicio, separador: null });
+
+    return compuestos;
+}
+
+function parsearLado(lado, desplazamiento, nombre) {
+    if (!lado.trim()) {
+        throw errorDeSintaxis(`Faltan los ${nombre}.`, desplazamiento, lado,
+            nombre === 'reactivos' ? 'Escribe los reactivos antes de la flecha.' : 'Escribe los productos después de la flecha.');
+    }
+
+    return separarCompuestos(lado, desplazamiento).map((parte, i, partes) => {
+        if (!parte.texto.trim()) {
+            // Un + repetido (H2 ++ O2) o un + al inicio o al final del lado
+            const separador = parte.separador !== null ? parte.separador : partes[i - 1].separador;
+            throw errorDeSintaxis('Sobra un signo + o falta un compuesto.', separador, '+',
+                'Elimina el + repetido o escribe el compuesto que falta.');
+        }
+        return parsearCompuesto(parte.texto, parte.inicio);
+    });
+}
 
-    // Separar en reactivos y productos
-    const partes = ecuacion.split('->');
+function parsearEcuacion(ecuacion) {
+    // Ubicar la flecha de reacción sin alterar las posiciones del texto original
+    const flechas = [...ecuacion.matchAll(FLECHAS)];
 
-    if (partes.length !== 2) {
-        throw new Error('La ecuación debe tener exactamente una flecha de reacción (-> o →)');
+    if (flechas.length === 0) {
+        throw errorDeSintaxis('La ecuación debe tener una flecha de reacción (->, → o <=>).', ecuacion.length, '',
+            'Separa reactivos y productos con -> o →, o con <=> si es un equilibrio.');
+    }
+    if (flechas.length > 1) {
+        throw errorDeSintaxis('La ecuación debe tener exactamente una flecha de reacción (->, → o <=>).',
+            flechas[1].index, flechas[1][0], 'Elimina la flecha sobrante.');
     }
 
-    const ladoReactivos = partes[0].trim();
-    const ladoProductos = partes[1].trim();
+    const flecha = flechas[0];
+    const finFlecha = flecha.index + flecha[0].length;
 
     // Parsear cada lado
-    const reactivos = ladoReactivos.split('+').map(r => parsearCompuesto(r));
-    const productos = ladoProductos.split('+').map(p => parsearCompuesto(p));
+    const reactivos = parsearLado(ecuacion.slice(0, flecha.index), 0, 'reactivos');
+    const productos = parsearLado(ecuacion.slice(finFlecha), finFlecha, 'productos');
 
     return {
         reactivos: reactivos,
-        productos: productos
+        productos: productos,
+        flecha: leerFlecha(flecha[0])
     };
 }
 
@@ -140,6 +525,10 @@ function contarAtomos(compuestos) {
     return conteo;
 }
 
+function contarCarga(compuestos) {
+    return compuestos.reduce((total, c) => total + c.carga * c.coeficiente, 0);
+}
+
 function verificarBalance(ecuacion) {
     const parseada = parsearEcuacion(ecuacion);
 
@@ -170,9 +559,24 @@ function verificarBalance(ecuacion) {
         }
     }
 
+    // La carga neta también debe conservarse
+    const cargaReactivos = contarCarga(parseada.reactivos);
+    const cargaProductos = contarCarga(parseada.productos);
+    const carga = {
+        reactivos: cargaReactivos,
+        productos: cargaProductos,
+        balanceado: cargaReactivos === cargaProductos
+    };
+
+    if (!carga.balanceado) {
+        balanceada = false;
+    }
+
     return {
         balanceada: balanceada,
-        detalles: detalles
+        detalles: detalles,
+        carga: carga,
+        ionica: [...parseada.reactivos, ...parseada.productos].some(c => c.carga !== 0)
     };
 }
 
@@ -181,7 +585,7 @@ function validarElementos(formula) {
     const invalidos = [];
 
     for (const simbolo in elementos) {
-        if (!ELEMENTOS[simbolo]) {
+        if (!existeElemento(simbolo)) {
             invalidos.push(simbolo);
         }
     }
@@ -218,27 +622,153 @@ function validarEcuacion(ecuacion) {
         return { valida: true, error: null };
 
     } catch (error) {
-        return { valida: false, error: error.message };
+        // Los errores de sintaxis traen la posición para resaltarla en la interfaz
+        return { valida: false, error: error.message, detalle: error.detalle || null };
     }
 }
 
 // ============================================================
 // SECCIÓN 3: CÁLCULOS DE MASA MOLAR Y CONVERSIONES
 // ============================================================
+// Tablas de masas atómicas: la estándar de ELEMENTOS y alternativas para guías de ejercicios.
+// Los elementos que una tabla no incluye usan la masa de ELEMENTOS.
+const TABLAS_MASAS = {
+    iupac: { nombre: 'IUPAC (abreviadas)', masas: {} },
+    redondeadas: {
+        nombre: 'Redondeadas de texto (O = 16, Cl = 35.5)',
+        masas: {
+            ...Object.fromEntries(Object.keys(ELEMENTOS).map(s => [s, Math.round(ELEMENTOS[s].masaAtomica)])),
+            Cl: 35.5,
+            Cu: 63.5
+        }
+    },
+    personalizada: { nombre: 'Personalizada (JSON)', masas: {} }
+};
+
+let tablaMasasActiva = 'iupac';
+
+function seleccionarTablaMasas(nombre) {
+    if (!TABLAS_MASAS[nombre]) {
+        throw new Error(`Tabla de masas desconocida: ${nombre}`);
+    }
+    tablaMasasActiva = nombre;
+}
+
+function cargarTablaMasasPersonalizada(json) {
+    // json: texto como {"O": 16, "Cl": 35.5}; devuelve la cantidad de masas cargadas
+    let tabla;
+    try {
+        tabla = JSON.parse(json);
+    } catch (error) {
+        throw new Error('La tabla de masas no es un JSON válido.');
+    }
+    if (!tabla || typeof tabla !== 'object' || Array.isArray(tabla)) {
+        throw new Error('La tabla de masas debe ser un objeto { "símbolo": masa }.');
+    }
+
+    for (const simbolo in tabla) {
+        if (!ELEMENTOS[simbolo]) {
+            throw new Error(`Elemento no reconocido en la tabla de masas: ${simbolo}`);
+        }
+        if (typeof tabla[simbolo] !== 'number' || !(tabla[simbolo] > 0)) {
+            throw new Error(`La masa de ${simbolo} debe ser un número mayor que cero.`);
+        }
+    }
+
+    TABLAS_MASAS.personalizada.masas = tabla;
+    return Object.keys(tabla).length;
+}
+
+function masaAtomicaDe(clave) {
+    // Los isótopos usan su masa exacta sin importar la tabla activa
+    const isotopo = datosDeIsotopo(clave);
+    if (isotopo) return isotopo.masa;
+
+    const masas = TABLAS_MASAS[tablaMasasActiva].masas;
+    return masas[clave] !== undefined ? masas[clave] : ELEMENTOS[clave].masaAtomica;
+}
+
+function nombreDeElemento(clave) {
+    if (SIMBOLOS_ISOTOPOS[clave]) return SIMBOLOS_ISOTOPOS[clave].nombre;
+    const isotopo = datosDeIsotopo(clave);
+    return isotopo ? `${ELEMENTOS[isotopo.elemento].nombre}-${isotopo.numeroMasico}` : ELEMENTOS[clave].nombre;
+}
+
 function calcularMasaMolar(formula) {
     const elementos = parsearFormula(formula);
     let masaTotal = 0;
 
     for (const simbolo in elementos) {
-        if (!ELEMENTOS[simbolo]) {
+        if (!existeElemento(simbolo)) {
             throw new Error(`Elemento no reconocido: ${simbolo}`);
         }
-        masaTotal += ELEMENTOS[simbolo].masaAtomica * elementos[simbolo];
+        masaTotal += masaAtomicaDe(simbolo) * elementos[simbolo];
     }
 
     return masaTotal;
 }
 
+function desglosarMasaMolar(formula) {
+    // Aporte de cada elemento a la masa molar: cantidad × masa atómica
+    const elementos = parsearFormula(formula);
+    return Object.entries(elementos).map(([simbolo, cantidad]) => ({
+        elemento: simbolo,
+        cantidad: cantidad,
+        masaAtomica: masaAtomicaDe(simbolo),
+        subtotal: masaAtomicaDe(simbolo) * cantidad
+    }));
+}
+
+function calcularComposicionPorcentual(formula) {
+    // Porcentaje en masa de cada elemento: aporte a la masa molar / masa molar × 100
+    const terminos = desglosarMasaMolar(formula);
+    const masaMolar = terminos.reduce((suma, t) => suma + t.subtotal, 0);
+
+    return {
+        formula: formula,
+        masaMolar: masaMolar,
+        elementos: terminos.map(t => ({
+            elemento: t.elemento,
+            nombre: nombreDeElemento(t.elemento),
+            cantidad: t.cantidad,
+            masaAtomica: t.masaAtomica,
+            masa: t.subtotal,
+            porcentaje: t.subtotal / masaMolar * 100
+        }))
+    };
+}
+
+// Factores hacia la unidad base de cada magnitud (g, mol, L, mol/L, atm); todos son exactos
+const UNIDADES = {
+    masa: { mg: 0.001, g: 1, kg: 1000, t: 1e6, lb: 453.59237, oz: 28.349523125 },
+    cantidad: { mmol: 0.001, mol: 1, kmol: 1000 },
+    volumen: { mL: 0.001, L: 1, 'm³': 1000 },
+    concentracion: { 'mmol/L': 0.001, 'mol/L': 1, 'mol/m³': 0.001 },
+    presion: { atm: 1, kPa: 1 / 101.325, mmHg: 1 / 760 }
+};
+
+const UNIDADES_BASE = { masa: 'g', cantidad: 'mol', volumen: 'L', concentracion: 'mol/L', presion: 'atm' };
+
+function magnitudDeUnidad(unidad) {
+    return Object.keys(UNIDADES).find(magnitud => unidad in UNIDADES[magnitud]) || null;
+}
+
+function aUnidadBase(valor, magnitud, unidad) {
+    const factores = UNIDADES[magnitud];
+    if (!factores || !(unidad in factores)) {
+        throw new Error(`Unidad desconocida: ${unidad}`);
+    }
+    return valor * factores[unidad];
+}
+
+function desdeUnidadBase(valor, magnitud, unidad) {
+    return valor / aUnidadBase(1, magnitud, unidad);
+}
+
+function convertirUnidad(valor, magnitud, desde, hacia) {
+    return desdeUnidadBase(aUnidadBase(valor, magnitud, desde), magnitud, hacia);
+}
+
 function masaAMoles(masa, formula) {
     const masaMolar = calcularMasaMolar(formula);
     return masa / masaMolar;
@@ -249,6 +779,116 @@ function molesAMasa(moles, formula) {
     return moles * masaMolar;
 }
 
+function disolucionAMoles(molaridad, volumenLitros) {
+    // n = M × V
+    return molaridad * volumenLitros;
+}
+
+function porcentajeAMasa(porcentaje, tipoPorcentaje, volumenLitros, densidad = null) {
+    // % p/v: gramos de soluto por cada 100 mL de disolución
+    // % p/p: gramos de soluto por cada 100 g de disolución (masa = volumen × densidad en g/mL)
+    const volumenMl = convertirUnidad(volumenLitros, 'volumen', 'L', 'mL');
+    if (tipoPorcentaje === 'pv') {
+        return porcentaje / 100 * volumenMl;
+    }
+    return porcentaje / 100 * volumenMl * densidad;
+}
+
+// Constante de los gases en L·atm/(mol·K)
+const CONSTANTE_GASES = 0.082057;
+
+const CONDICIONES_ESTANDAR = {
+    STP: { nombre: 'CNPT (0 °C, 1 atm)', presion: 1, temperatura: 273.15 },
+    SATP: { nombre: 'CEAT (25 °C, 1 bar)', presion: 100 / 101.325, temperatura: 298.15 }
+};
+
+const GASES_COMUNES = [
+    'H2', 'O2', 'N2', 'F2', 'Cl2', 'He', 'Ne', 'Ar', 'Kr', 'Xe',
+    'CO', 'CO2', 'NO', 'NO2', 'N2O', 'SO2', 'SO3', 'NH3', 'H2S', 'HCl',
+    'CH4', 'C2H6', 'C3H8', 'C4H10', 'C2H4', 'C2H2'
+];
+
+function presionAAtm(valor, unidad) {
+    return aUnidadBase(valor, 'presion', unidad);
+}
+
+function temperaturaAKelvin(valor, unidad) {
+    const kelvin = unidad === '°C' ? valor + 273.15 : valor;
+    if (kelvin <= 0) {
+        throw new Error('La temperatura debe ser mayor que 0 K.');
+    }
+    return kelvin;
+}
+
+function gasAMoles(volumenLitros, presionAtm, temperaturaK) {
+    // PV = nRT
+    return (presionAtm * volumenLitros) / (CONSTANTE_GASES * temperaturaK);
+}
+
+function molesAVolumenGas(moles, presionAtm, temperaturaK) {
+    return (moles * CONSTANTE_GASES * temperaturaK) / presionAtm;
+}
+
+function esGasComun(formula) {
+    return GASES_COMUNES.includes(formula);
+}
+
+function esGaseoso(compuesto) {
+    // Manda el estado escrito en la ecuación; sin estado, se usa la lista de gases comunes
+    return compuesto.estado ? compuesto.estado === 'g' : esGasComun(compuesto.formula);
+}
+
+function calcularMolesDeDato(dato) {
+    // Cada tipo de cantidad del formulario se lleva a moles y masa de reactivo,
+    // junto con las cifras significativas que hereda de los datos ingresados
+    const cifras = dato.cifras || {};
+    const cifrasMasaMolar = cifrasDeMasaMolar(dato.formula);
+
+    if (dato.presion !== undefined) {
+        const moles = gasAMoles(dato.volumen, dato.presion, dato.temperatura);
+        const cifrasMoles = cifrasDeMultiplicacion(
+            cifras.volumen, cifras.presion, cifras.temperatura, contarCifrasSignificativas(CONSTANTE_GASES)
+        );
+        return {
+            moles: moles,
+            masa: molesAMasa(moles, dato.formula),
+            cifras: { moles: cifrasMoles, masa: cifrasDeMultiplicacion(cifrasMoles, cifrasMasaMolar) }
+        };
+    }
+    if (dato.molaridad !== undefined) {
+        const moles = disolucionAMoles(dato.molaridad, dato.volumen);
+        const cifrasMoles = cifrasDeMultiplicacion(cifras.molaridad, cifras.volumen);
+        return {
+            moles: moles,
+            masa: molesAMasa(moles, dato.formula),
+            cifras: { moles: cifrasMoles, masa: cifrasDeMultiplicacion(cifrasMoles, cifrasMasaMolar) }
+        };
+    }
+    if (dato.porcentaje !== undefined) {
+        const masa = porcentajeAMasa(dato.porcentaje, dato.tipoPorcentaje, dato.volumen, dato.densidad);
+        const cifrasMasa = cifrasDeMultiplicacion(
+            cifras.porcentaje, cifras.volumen, dato.tipoPorcentaje === 'pp' ? cifras.densidad : CIFRAS_EXACTAS
+        );
+        return {
+            moles: masaAMoles(masa, dato.formula),
+            masa: masa,
+            cifras: { moles: cifrasDeMultiplicacion(cifrasMasa, cifrasMasaMolar), masa: cifrasMasa }
+        };
+    }
+    if (dato.masa !== undefined && dato.moles === undefined) {
+        return {
+            moles: masaAMoles(dato.masa, dato.formula),
+            masa: dato.masa,
+            cifras: { moles: cifrasDeMultiplicacion(cifras.masa, cifrasMasaMolar), masa: cifrasDeMultiplicacion(cifras.masa) }
+        };
+    }
+    return {
+        moles: dato.moles,
+        masa: molesAMasa(dato.moles, dato.formula),
+        cifras: { moles: cifrasDeMultiplicacion(cifras.moles), masa: cifrasDeMultiplicacion(cifras.moles, cifrasMasaMolar) }
+    };
+}
+
 // ============================================================
 // SECCIÓN 4: CÁLCULOS ESTEQUIOMÉTRICOS
 // ============================================================
@@ -313,7 +953,16 @@ function calcularExceso(ecuacion, datosReactivos, limitante) {
     return excesos;
 }
 
-function calcularRendimientoTeorico(ecuacion, limitante) {
+function calcularVolumenesGas(moles, condiciones) {
+    return {
+        condiciones: condiciones,
+        volumen: molesAVolumenGas(moles, condiciones.presion, condiciones.temperatura),
+        volumenSTP: molesAVolumenGas(moles, CONDICIONES_ESTANDAR.STP.presion, CONDICIONES_ESTANDAR.STP.temperatura),
+        volumenSATP: molesAVolumenGas(moles, CONDICIONES_ESTANDAR.SATP.presion, CONDICIONES_ESTANDAR.SATP.temperatura)
+    };
+}
+
+function calcularRendimientoTeorico(ecuacion, limitante, datosProductos = []) {
     const parseada = parsearEcuacion(ecuacion);
     const productos = [];
 
@@ -322,11 +971,16 @@ function calcularRendimientoTeorico(ecuacion, limitante) {
         const moles = limitante.proporcion * producto.coeficiente;
         const masa = molesAMasa(moles, producto.formula);
 
+        // Volumen teórico de los productos gaseosos
+        const datos = datosProductos.find(d => d.formula === producto.formula);
+        const gas = datos && datos.gas ? calcularVolumenesGas(moles, datos.gas) : null;
+
         productos.push({
             formula: producto.formula,
             coeficiente: producto.coeficiente,
             molesTeoricoS: moles,
-            masaTeorica: masa
+            masaTeorica: masa,
+            gas: gas
         });
     }
 
@@ -338,7 +992,7 @@ function calcularPorcentajeRendimiento(rendimientoReal, rendimientoTeorico) {
     return (rendimientoReal / rendimientoTeorico) * 100;
 }
 
-function calcularEstequiometria(ecuacion, datosReactivos, datosProductoReal = null) {
+function calcularEstequiometria(ecuacion, datosReactivos, datosProductos = []) {
     // Validar la ecuación
     const validacion = validarEcuacion(ecuacion);
     if (!validacion.valida) {
@@ -351,17 +1005,27 @@ function calcularEstequiometria(ecuacion, datosReactivos, datosProductoReal = nu
         throw new Error('La ecuación no está balanceada.');
     }
 
-    // Convertir masa a moles si es necesario y aplicar pureza
+    // El electrón no tiene masa molar: una semirreacción no tiene estequiometría de masas
+    const parseada = parsearEcuacion(ecuacion);
+    if ([...parseada.reactivos, ...parseada.productos].some(c => Object.keys(c.elementos).length === 0)) {
+        throw new Error('Las semirreacciones con electrones (e-) no admiten cálculos de masa.');
+    }
+
+    // Convertir cada cantidad (masa, moles, disolución o gas) a moles y aplicar pureza
     const reactivosConMoles = datosReactivos.map(dato => {
-        let moles = dato.moles;
-        if (dato.masa !== undefined && dato.moles === undefined) {
-            moles = masaAMoles(dato.masa, dato.formula);
-        }
+        const { moles, masa, cifras } = calcularMolesDeDato(dato);
         return {
             formula: dato.formula,
-            masaInicial: dato.masa || molesAMasa(moles, dato.formula),
+            masaInicial: masa,
             moles: moles,
-            pureza: dato.pureza || 100
+            pureza: dato.pureza || 100,
+            cifras: {
+                masaInicial: cifras.masa,
+                moles: cifras.moles,
+                pureza: cifrasDeMultiplicacion(dato.cifras && dato.cifras.pureza),
+                molesEfectivos: cifrasDeMultiplicacion(cifras.moles, dato.cifras && dato.cifras.pureza)
+            },
+            incertidumbre: incertidumbreDeDato(dato, moles, masa)
         };
     });
 
@@ -372,51 +1036,346 @@ function calcularEstequiometria(ecuacion, datosReactivos, datosProductoReal = nu
     const excesos = calcularExceso(ecuacion, reactivosConMoles, limitante);
 
     // Calcular rendimiento teórico
-    const productosTeoricos = calcularRendimientoTeorico(ecuacion, limitante);
+    const productosTeoricos = calcularRendimientoTeorico(ecuacion, limitante, datosProductos);
 
-    // Calcular porcentaje de rendimiento si se proporciona producto real
-    let porcentajeRendimiento = null;
-    if (datosProductoReal) {
-        const productoTeorico = productosTeoricos.find(
-            p => p.formula === datosProductoReal.formula
+    // Todo lo que se deriva del limitante hereda sus cifras significativas y su incertidumbre relativa
+    const reactivoLimitante = reactivosConMoles.find(r => r.formula === limitante.formula);
+    const cifrasLimitante = reactivoLimitante.cifras.molesEfectivos;
+    const relativaLimitante = incertidumbreRelativa(limitante.moles, reactivoLimitante.incertidumbre.molesEfectivos);
+
+    // Si los intervalos de incertidumbre se solapan, el limitante podría ser otro
+    const reactivosParseados = parseada.reactivos;
+    const proporciones = reactivosConMoles.map(r => {
+        const coeficiente = reactivosParseados.find(c => c.formula === r.formula)?.coeficiente || 1;
+        return {
+            formula: r.formula,
+            proporcion: r.moles * (r.pureza / 100) / coeficiente,
+            incertidumbre: r.incertidumbre.molesEfectivos / coeficiente
+        };
+    });
+    const limitantesPosibles = buscarLimitantesPosibles(proporciones, limitante.formula);
+
+    const productos = productosTeoricos.map(p => {
+        // Concentración del producto en disolución si se indicó el volumen final
+        const datos = datosProductos.find(d => d.formula === p.formula) || {};
+        const volumenFinal = datos.volumenFinal || null;
+        const cifrasDatos = datos.cifras || {};
+        const cifrasMasaTeorica = cifrasDeMultiplicacion(cifrasLimitante, cifrasDeMasaMolar(p.formula));
+
+        // Rendimiento porcentual si se midió la cantidad real obtenida
+        let masaReal = datos.masaReal !== undefined ? datos.masaReal : null;
+        let cifrasMasaReal = cifrasDeMultiplicacion(cifrasDatos.masaReal);
+        const relativaReal = incertidumbreRelativa(
+            datos.masaReal !== undefined ? datos.masaReal : datos.molesReales,
+            datos.incertidumbreReal
         );
+        if (datos.molesReales !== undefined) {
+            masaReal = molesAMasa(datos.molesReales, p.formula);
+            cifrasMasaReal = cifrasDeMultiplicacion(cifrasDatos.molesReales, cifrasDeMasaMolar(p.formula));
+        }
 
-        if (productoTeorico) {
-            let masaReal = datosProductoReal.masaReal;
-            if (datosProductoReal.molesReales !== undefined) {
-                masaReal = molesAMasa(datosProductoReal.molesReales, datosProductoReal.formula);
+        return {
+            formula: p.formula,
+            masaMolar: calcularMasaMolar(p.formula),
+            molesTeoricos: p.molesTeoricoS,
+            masaTeorica: p.masaTeorica,
+            volumenFinal: volumenFinal,
+            concentracion: volumenFinal ? p.molesTeoricoS / volumenFinal : null,
+            gas: p.gas,
+            masaReal: masaReal,
+            porcentajeRendimiento: masaReal !== null
+                ? calcularPorcentajeRendimiento(masaReal, p.masaTeorica)
+                : null,
+            cifras: {
+                molesTeoricos: cifrasLimitante,
+                masaTeorica: cifrasMasaTeorica,
+                concentracion: cifrasDeMultiplicacion(cifrasLimitante, cifrasDatos.volumenFinal),
+                volumenGas: p.gas ? cifrasDeMultiplicacion(
+                    cifrasLimitante,
+                    p.gas.condiciones.cifras && p.gas.condiciones.cifras.presion,
+                    p.gas.condiciones.cifras && p.gas.condiciones.cifras.temperatura,
+                    contarCifrasSignificativas(CONSTANTE_GASES)
+                ) : null,
+                masaReal: cifrasMasaReal,
+                porcentajeRendimiento: cifrasDeMultiplicacion(cifrasMasaReal, cifrasMasaTeorica)
+            },
+            incertidumbre: {
+                molesTeoricos: p.molesTeoricoS * relativaLimitante,
+                masaTeorica: p.masaTeorica * relativaLimitante,
+                masaReal: masaReal !== null ? masaReal * relativaReal : null,
+                porcentajeRendimiento: masaReal !== null
+                    ? calcularPorcentajeRendimiento(masaReal, p.masaTeorica) * sumarEnCuadratura(relativaReal, relativaLimitante)
+                    : null
             }
+        };
+    });
 
-            porcentajeRendimiento = calcularPorcentajeRendimiento(
-                masaReal,
-                productoTeorico.masaTeorica
-            );
-        }
-    }
-
-    return {
-        ecuacionValida: true,
-        balanceada: true,
-        reactivoLimitante: {
-            formula: limitante.formula,
-            masaMolar: calcularMasaMolar(limitante.formula),
-            molesUsados: limitante.moles
-        },
-        reactivosEnExceso: excesos.map(e => ({
+    // Los moles sobrantes salen de una resta: sus cifras siguen la regla de la suma
+    const reactivosEnExceso = excesos.map(e => {
+        const reactivo = reactivosConMoles.find(r => r.formula === e.formula);
+        const cifrasIniciales = reactivo.cifras.molesEfectivos;
+        const incertidumbreUsados = e.molesUsados * relativaLimitante;
+        const incertidumbreSobrantes = sumarEnCuadratura(reactivo.incertidumbre.molesEfectivos, incertidumbreUsados);
+        const cifrasSobrantes = cifrasDeSuma(e.molesSobrantes, [
+            { valor: e.molesIniciales, cifras: cifrasIniciales },
+            { valor: e.molesUsados, cifras: cifrasLimitante }
+        ]);
+        return {
             formula: e.formula,
             masaMolar: calcularMasaMolar(e.formula),
             molesIniciales: e.molesIniciales,
             molesUsados: e.molesUsados,
             molesSobrantes: e.molesSobrantes,
-            masaSobrante: e.masaSobrante
-        })),
-        productos: productosTeoricos.map(p => ({
-            formula: p.formula,
-            masaMolar: calcularMasaMolar(p.formula),
-            molesTeoricos: p.molesTeoricoS,
-            masaTeorica: p.masaTeorica
-        })),
-        porcentajeRendimiento: porcentajeRendimiento
+            masaSobrante: e.masaSobrante,
+            cifras: {
+                molesIniciales: cifrasIniciales,
+                molesUsados: cifrasLimitante,
+                molesSobrantes: cifrasSobrantes,
+                masaSobrante: cifrasDeMultiplicacion(cifrasSobrantes, cifrasDeMasaMolar(e.formula))
+            },
+            incertidumbre: {
+                molesIniciales: reactivo.incertidumbre.molesEfectivos,
+                molesUsados: incertidumbreUsados,
+                molesSobrantes: incertidumbreSobrantes,
+                masaSobrante: molesAMasa(incertidumbreSobrantes, e.formula)
+            }
+        };
+    });
+
+    return {
+        ecuacionValida: true,
+        balanceada: true,
+        reactivoLimitante: {
+            formula: limitante.formula,
+            masaMolar: calcularMasaMolar(limitante.formula),
+            molesUsados: limitante.moles,
+            cifras: { molesUsados: cifrasLimitante },
+            incertidumbre: { molesUsados: reactivoLimitante.incertidumbre.molesEfectivos },
+            limitantesPosibles: limitantesPosibles
+        },
+        reactivosEnExceso: reactivosEnExceso,
+        reactivos: reactivosConMoles,
+        productos: productos,
+        pasos: generarPasosEstequiometria(
+            ecuacion, datosReactivos, reactivosConMoles, limitante, reactivosEnExceso, productos
+        )
+    };
+}
+
+function pasoDeConversionAMoles(dato, masaMolar, moles) {
+    const paso = {
+        tipo: 'moles', formula: dato.formula, masaMolar: masaMolar, moles: moles,
+        cantidadOriginal: dato.cantidadOriginal || null
+    };
+
+    if (dato.presion !== undefined) {
+        return {
+            ...paso, origen: 'gas', presion: dato.presion, volumen: dato.volumen,
+            temperatura: dato.temperatura, constante: CONSTANTE_GASES
+        };
+    }
+    if (dato.molaridad !== undefined) {
+        return { ...paso, origen: 'disolucion', molaridad: dato.molaridad, volumen: dato.volumen };
+    }
+    if (dato.porcentaje !== undefined) {
+        return {
+            ...paso, origen: 'porcentaje', porcentaje: dato.porcentaje, tipoPorcentaje: dato.tipoPorcentaje,
+            volumen: dato.volumen, densidad: dato.densidad,
+            masa: porcentajeAMasa(dato.porcentaje, dato.tipoPorcentaje, dato.volumen, dato.densidad)
+        };
+    }
+    if (dato.masa !== undefined && dato.moles === undefined) {
+        return { ...paso, origen: 'masa', masa: dato.masa };
+    }
+    return { ...paso, origen: 'moles' };
+}
+
+function generarPasosEstequiometria(ecuacion, datosReactivos, reactivosConMoles, limitante, excesos, productos) {
+    const parseada = parsearEcuacion(ecuacion);
+    const pasos = [];
+
+    // 1. Masas molares de todas las especies
+    for (const compuesto of [...parseada.reactivos, ...parseada.productos]) {
+        if (pasos.some(p => p.tipo === 'masaMolar' && p.formula === compuesto.formula)) continue;
+        pasos.push({
+            tipo: 'masaMolar',
+            formula: compuesto.formula,
+            terminos: desglosarMasaMolar(compuesto.formula),
+            total: calcularMasaMolar(compuesto.formula),
+            cifras: cifrasDeMasaMolar(compuesto.formula)
+        });
+    }
+
+    // 2. Conversión de cada cantidad a moles
+    datosReactivos.forEach((dato, i) => {
+        const masaMolar = calcularMasaMolar(dato.formula);
+        pasos.push({
+            ...pasoDeConversionAMoles(dato, masaMolar, reactivosConMoles[i].moles),
+            cifras: reactivosConMoles[i].cifras.moles
+        });
+    });
+
+    // 3. Corrección por pureza
+    for (const reactivo of reactivosConMoles) {
+        pasos.push({
+            tipo: 'pureza',
+            formula: reactivo.formula,
+            moles: reactivo.moles,
+            pureza: reactivo.pureza,
+            molesEfectivos: reactivo.moles * (reactivo.pureza / 100),
+            cifras: reactivo.cifras.molesEfectivos
+        });
+    }
+
+    // 4. Proporción moles/coeficiente: la menor indica el reactivo limitante
+    for (const reactivo of reactivosConMoles) {
+        const coeficiente = parseada.reactivos.find(r => r.formula === reactivo.formula)?.coeficiente || 1;
+        const molesEfectivos = reactivo.moles * (reactivo.pureza / 100);
+        pasos.push({
+            tipo: 'proporcion',
+            formula: reactivo.formula,
+            molesEfectivos: molesEfectivos,
+            coeficiente: coeficiente,
+            proporcion: molesEfectivos / coeficiente,
+            limitante: reactivo.formula === limitante.formula,
+            cifras: reactivo.cifras.molesEfectivos
+        });
+    }
+
+    // 5. Moles usados y sobrantes de los reactivos en exceso
+    for (const exceso of excesos) {
+        pasos.push({
+            tipo: 'exceso',
+            formula: exceso.formula,
+            proporcionLimitante: limitante.proporcion,
+            coeficiente: parseada.reactivos.find(r => r.formula === exceso.formula).coeficiente,
+            molesIniciales: exceso.molesIniciales,
+            molesUsados: exceso.molesUsados,
+            molesSobrantes: exceso.molesSobrantes,
+            masaMolar: calcularMasaMolar(exceso.formula),
+            masaSobrante: exceso.masaSobrante,
+            cifras: exceso.cifras.masaSobrante
+        });
+    }
+
+    // 6. Rendimiento teórico de cada producto
+    for (const producto of productos) {
+        pasos.push({
+            tipo: 'rendimiento',
+            formula: producto.formula,
+            proporcionLimitante: limitante.proporcion,
+            coeficiente: parseada.productos.find(p => p.formula === producto.formula).coeficiente,
+            moles: producto.molesTeoricos,
+            masaMolar: producto.masaMolar,
+            masa: producto.masaTeorica,
+            cifras: producto.cifras.masaTeorica
+        });
+    }
+
+    // 7. Porcentaje de rendimiento de los productos medidos
+    for (const producto of productos.filter(p => p.porcentajeRendimiento !== null)) {
+        pasos.push({
+            tipo: 'porcentajeRendimiento',
+            formula: producto.formula,
+            masaReal: producto.masaReal,
+            masaTeorica: producto.masaTeorica,
+            porcentaje: producto.porcentajeRendimiento,
+            cifras: producto.cifras.porcentajeRendimiento
+        });
+    }
+
+    return pasos;
+}
+
+function calcularReactivosNecesarios(ecuacion, objetivo, datosReactivos = []) {
+    // Modo inverso: de la cantidad de producto deseada a las cantidades de reactivo a pesar
+    const validacion = validarEcuacion(ecuacion);
+    if (!validacion.valida) {
+        throw new Error(validacion.error);
+    }
+
+    const balance = verificarBalance(ecuacion);
+    if (!balance.balanceada) {
+        throw new Error('La ecuación no está balanceada.');
+    }
+
+    const parseada = parsearEcuacion(ecuacion);
+    const producto = parseada.productos.find(p => p.formula === objetivo.formula);
+    if (!producto) {
+        throw new Error(`${objetivo.formula} no es un producto de la reacción.`);
+    }
+
+    const rendimiento = objetivo.rendimiento || 100;
+    if (rendimiento <= 0 || rendimiento > 100) {
+        throw new Error('El rendimiento esperado debe estar entre 0 y 100%.');
+    }
+
+    // Para obtener la cantidad deseada con un rendimiento menor al 100% hay que apuntar a más producto teórico
+    const molesDeseados = objetivo.moles !== undefined
+        ? objetivo.moles
+        : masaAMoles(objetivo.masa, objetivo.formula);
+    const molesTeoricos = molesDeseados / (rendimiento / 100);
+    const proporcion = molesTeoricos / producto.coeficiente;
+
+    const cifrasObjetivo = objetivo.cifras || {};
+    const cifrasDeseados = objetivo.moles !== undefined
+        ? cifrasDeMultiplicacion(cifrasObjetivo.cantidad)
+        : cifrasDeMultiplicacion(cifrasObjetivo.cantidad, cifrasDeMasaMolar(objetivo.formula));
+    const cifrasTeoricos = cifrasDeMultiplicacion(cifrasDeseados, cifrasObjetivo.rendimiento);
+
+    const reactivos = parseada.reactivos.map(reactivo => {
+        const dato = datosReactivos.find(d => d.formula === reactivo.formula) || {};
+        const pureza = dato.pureza || 100;
+        const exceso = dato.exceso || 0;
+
+        const molesEstequiometricos = proporcion * reactivo.coeficiente;
+        const moles = molesEstequiometricos * (1 + exceso / 100);
+        const masaPura = molesAMasa(moles, reactivo.formula);
+
+        // El factor (1 + exceso/100) es una suma con el 1 exacto
+        const cifras = dato.cifras || {};
+        const cifrasFactor = cifrasDeSuma(1 + exceso / 100, [{ valor: exceso / 100, cifras: cifras.exceso }]);
+        const cifrasMoles = cifrasDeMultiplicacion(cifrasTeoricos, exceso > 0 ? cifrasFactor : CIFRAS_EXACTAS);
+        const cifrasMasaPura = cifrasDeMultiplicacion(cifrasMoles, cifrasDeMasaMolar(reactivo.formula));
+
+        return {
+            formula: reactivo.formula,
+            coeficiente: reactivo.coeficiente,
+            masaMolar: calcularMasaMolar(reactivo.formula),
+            molesEstequiometricos: molesEstequiometricos,
+            exceso: exceso,
+            moles: moles,
+            masaPura: masaPura,
+            pureza: pureza,
+            masaAPesar: masaPura / (pureza / 100),
+            cifras: {
+                molesEstequiometricos: cifrasTeoricos,
+                moles: cifrasMoles,
+                masaPura: cifrasMasaPura,
+                masaAPesar: cifrasDeMultiplicacion(cifrasMasaPura, cifras.pureza)
+            }
+        };
+    });
+
+    return {
+        producto: {
+            formula: objetivo.formula,
+            coeficiente: producto.coeficiente,
+            masaMolar: calcularMasaMolar(objetivo.formula),
+            molesDeseados: molesDeseados,
+            masaDeseada: molesAMasa(molesDeseados, objetivo.formula),
+            rendimiento: rendimiento,
+            molesTeoricos: molesTeoricos,
+            masaTeorica: molesAMasa(molesTeoricos, objetivo.formula),
+            cifras: {
+                masaDeseada: objetivo.moles !== undefined
+                    ? cifrasDeMultiplicacion(cifrasDeseados, cifrasDeMasaMolar(objetivo.formula))
+                    : cifrasDeMultiplicacion(cifrasObjetivo.cantidad),
+                molesTeoricos: cifrasTeoricos,
+                masaTeorica: cifrasDeMultiplicacion(cifrasTeoricos, cifrasDeMasaMolar(objetivo.formula))
+            }
+        },
+        reactivos: reactivos
     };
 }
 
@@ -430,12 +1389,1570 @@ function formatearNumero(numero, decimales = 4) {
     return numero.toFixed(decimales);
 }
 
+const SUBINDICES_UNICODE = '₀₁₂₃₄₅₆₇₈₉';
+
+function escaparTextoHtml(texto) {
+    return texto.replace(/[&<>"]/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+function aSuperindiceUnicode(texto) {
+    return [...texto].map(c => /\d/.test(c) ? SUPERINDICES[c] : c === '+' ? '⁺' : c === '-' ? '⁻' : c).join('');
+}
+
+// Cómo se escribe cada pieza de una fórmula en cada formato de salida
+const FORMATOS_FORMULA = {
+    html: {
+        isotopo: (numeroMasico, simbolo) => `<sup>${numeroMasico}</sup>${simbolo}`,
+        subindice: numero => `<sub>${numero}</sub>`,
+        carga: carga => `<sup>${carga}</sup>`,
+        hidrato: '·',
+        grupo: caracter => caracter,
+        estado: estado => `<span class="estado-fisico" title="${ESTADOS_FISICOS[estado]}">(${estado})</span>`,
+        flecha: (reversible, condiciones) => {
+            // Las condiciones (Δ, catalizador) se escriben sobre la flecha
+            const simbolo = reversible ? '⇌' : '→';
+            return condiciones
+                ? `<span class="flecha-condiciones"><span class="condiciones">${escaparTextoHtml(condiciones)}</span>${simbolo}</span>`
+                : simbolo;
+        }
+    },
+    unicode: {
+        isotopo: (numeroMasico, simbolo) => `${aSuperindiceUnicode(String(numeroMasico))}${simbolo}`,
+        subindice: numero => [...String(numero)].map(d => SUBINDICES_UNICODE[d]).join(''),
+        carga: carga => aSuperindiceUnicode(carga),
+        hidrato: '·',
+        grupo: caracter => caracter,
+        estado: estado => `(${estado})`,
+        flecha: (reversible, condiciones) => `${reversible ? '⇌' : '→'}${condiciones ? `[${condiciones}]` : ''}`
+    },
+    // LaTeX con el paquete mhchem: los números tras un símbolo ya son subíndices dentro de \ce{}
+    latex: {
+        isotopo: (numeroMasico, simbolo) => `^{${numeroMasico}}${simbolo}`,
+        subindice: numero => String(numero),
+        carga: carga => `^{${carga}}`,
+        hidrato: ' * ',
+        grupo: caracter => (caracter === '{' || caracter === '}' ? `\\${caracter}` : caracter),
+        estado: estado => `(${estado})`,
+        flecha: (reversible, condiciones) =>
+            `${reversible ? '<=>' : '->'}${condiciones ? `[${condiciones.replace(/Δ/g, '$\\Delta$')}]` : ''}`
+    }
+};
+
+/**
+ * Escribe una fórmula a partir de sus tokens, no del texto: los multiplicadores de hidrato
+ * quedan a tamaño normal, los subíndices como subíndices y la carga como superíndice.
+ * 
+ * @param {string} formula - La fórmula química, con o sin estado: CuSO4·5H2O, SO4^2-, CO2(g)
+ * @param {string} formato - 'html', 'unicode' (H₂O, SO₄²⁻) o 'latex' (mhchem, sin el \ce{})
+ * @param {string|null} estado - Estado de agregación (s, l, g, aq) si no viene en la fórmula
+ * @returns {string} - La fórmula en el formato pedido
+ */
+function renderizarFormula(formula, formato = 'html', estado = null) {
+    const salida = FORMATOS_FORMULA[formato];
+    const separada = separarEstado(formula.trim());
+    estado = estado || separada.estado;
+
+    const texto = tokenizarFormula(separada.formula).map(token => {
+        switch (token.tipo) {
+            case 'elemento': {
+                // El número másico de un isótopo va como superíndice: [13C] → ¹³C; D y T se dejan igual
+                const isotopo = token.valor.startsWith('[') ? datosDeIsotopo(token.valor) : null;
+                return isotopo ? salida.isotopo(isotopo.numeroMasico, isotopo.elemento) : token.valor;
+            }
+            case 'subindice': return salida.subindice(token.valor);
+            case 'multiplicador': return String(token.valor);
+            case 'hidrato': return salida.hidrato;
+            case 'carga': return salida.carga(formatearCarga(token.valor));
+            case 'electron': return 'e';
+            default: return salida.grupo(token.valor);
+        }
+    }).join('');
+
+    return estado ? texto + salida.estado(estado) : texto;
+}
+
 /**
  * Genera una fórmula química con subíndices en formato HTML.
+ * El estado de agregación, si lo hay, se muestra al final: CO₂(g).
  * 
- * @param {string} formula - La fórmula química
+ * @param {string} formula - La fórmula química, con o sin estado: CO2 o CO2(g)
+ * @param {string|null} estado - Estado de agregación (s, l, g, aq) si no viene en la fórmula
  * @returns {string} - HTML con subíndices
  */
-function formulaAHtml(formula) {
-    return formula.replace(/(\d+)/g, '<sub>$1</sub>');
+function formulaAHtml(formula, estado = null) {
+    return renderizarFormula(formula, 'html', estado);
+}
+
+/**
+ * Escribe una carga iónica en la notación habitual: +, 2+, -, 3-.
+ * 
+ * @param {number} carga - La carga neta
+ * @returns {string} - La carga como texto ('' si es neutra)
+ */
+function formatearCarga(carga) {
+    if (carga === 0) return '';
+    const magnitud = Math.abs(carga) === 1 ? '' : Math.abs(carga);
+    return `${magnitud}${carga > 0 ? '+' : '-'}`;
+}
+
+/**
+ * Escribe una ecuación con los coeficientes a tamaño normal, cada fórmula con
+ * sus subíndices, cargas y estados, y la flecha con sus condiciones.
+ * 
+ * @param {string} ecuacion - La ecuación química
+ * @param {string} formato - 'html', 'unicode' o 'latex' (esta última ya envuelta en \ce{})
+ * @returns {string} - La ecuación en el formato pedido
+ */
+function renderizarEcuacion(ecuacion, formato = 'html') {
+    const parseada = parsearEcuacion(ecuacion);
+    const separador = formato === 'latex' ? ' ' : '';
+    const lado = compuestos => compuestos.map(c =>
+        `${c.coeficiente === 1 ? '' : c.coeficiente + separador}${renderizarFormula(c.formula, formato, c.estado)}`
+    ).join(' + ');
+
+    const flecha = FORMATOS_FORMULA[formato].flecha(parseada.flecha.reversible, parseada.flecha.condiciones);
+    const texto = `${lado(parseada.reactivos)} ${flecha} ${lado(parseada.productos)}`;
+    return formato === 'latex' ? `\\ce{${texto}}` : texto;
+}
+
+/**
+ * Genera una ecuación en HTML con los coeficientes a tamaño normal
+ * y los subíndices de cada fórmula.
+ * 
+ * @param {string} ecuacion - La ecuación química
+ * @returns {string} - HTML de la ecuación
+ */
+function ecuacionAHtml(ecuacion) {
+    return renderizarEcuacion(ecuacion, 'html');
+}
+
+// ============================================================
+// SECCIÓN 6: BALANCEO AUTOMÁTICO
+// ============================================================
+function maximoComunDivisor(a, b) {
+    a = Math.abs(a);
+    b = Math.abs(b);
+    while (b) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+}
+
+function minimoComunMultiplo(a, b) {
+    if (a === 0 || b === 0) return 0;
+    return Math.abs(a * b) / maximoComunDivisor(a, b);
+}
+
+function construirMatrizAtomos(compuestos, numeroReactivos) {
+    // Una fila por elemento y una columna por compuesto.
+    // Los reactivos aportan con signo positivo y los productos con signo negativo.
+    const elementos = [...new Set(compuestos.flatMap(c => Object.keys(c.elementos)))];
+
+    const matriz = elementos.map(elemento =>
+        compuestos.map((compuesto, j) => {
+            const cantidad = compuesto.elementos[elemento] || 0;
+            return j < numeroReactivos ? cantidad : -cantidad;
+        })
+    );
+
+    // Si hay iones, la carga se conserva igual que un elemento más
+    if (compuestos.some(c => c.carga !== 0)) {
+        matriz.push(compuestos.map((c, j) => j < numeroReactivos ? c.carga : -c.carga));
+    }
+
+    return { elementos: elementos, matriz: matriz };
+}
+
+function reducirMatrizEntera(matriz, columnas) {
+    // Eliminación de Gauss-Jordan sin fracciones: se trabaja solo con enteros
+    // y cada fila se simplifica por su MCD para que los números no crezcan.
+    const filas = matriz.map(fila => fila.slice());
+    const pivotes = [];
+    let filaActual = 0;
+
+    for (let col = 0; col < columnas && filaActual < filas.length; col++) {
+        const filaPivote = filas.findIndex((fila, i) => i >= filaActual && fila[col] !== 0);
+        if (filaPivote === -1) continue;
+
+        [filas[filaActual], filas[filaPivote]] = [filas[filaPivote], filas[filaActual]];
+        const pivote = filas[filaActual];
+
+        for (let i = 0; i < filas.length; i++) {
+            if (i === filaActual || filas[i][col] === 0) continue;
+
+            const factor = filas[i][col];
+            filas[i] = filas[i].map((valor, k) => valor * pivote[col] - pivote[k] * factor);
+
+            const divisor = filas[i].reduce((mcd, valor) => maximoComunDivisor(mcd, valor), 0);
+            if (divisor > 1) {
+                filas[i] = filas[i].map(valor => valor / divisor);
+            }
+        }
+
+        pivotes.push({ fila: filaActual, columna: col });
+        filaActual++;
+    }
+
+    return { filas: filas, pivotes: pivotes };
+}
+
+function resolverConLibres(reducida, columnas, valoresLibres) {
+    // Asigna valores enteros a las variables libres, despeja las variables pivote
+    // y devuelve el vector entero más pequeño proporcional a la solución.
+    const columnasPivote = reducida.pivotes.map(p => p.columna);
+    const libres = [];
+    for (let col = 0; col < columnas; col++) {
+        if (!columnasPivote.includes(col)) libres.push(col);
+    }
+
+    const numeradores = new Array(columnas).fill(0);
+    const denominadores = new Array(columnas).fill(1);
+
+    libres.forEach((col, i) => {
+        numeradores[col] = valoresLibres[i];
+    });
+
+    for (const { fila, columna } of reducida.pivotes) {
+        const coeficientes = reducida.filas[fila];
+        let suma = 0;
+        for (const col of libres) {
+            suma += coeficientes[col] * numeradores[col];
+        }
+        numeradores[columna] = -suma;
+        denominadores[columna] = coeficientes[columna];
+    }
+
+    const denominadorComun = denominadores.reduce((mcm, d) => minimoComunMultiplo(mcm, d), 1);
+    let vector = numeradores.map((n, i) => n * denominadorComun / denominadores[i]);
+
+    const divisor = vector.reduce((mcd, valor) => maximoComunDivisor(mcd, valor), 0);
+    if (divisor > 1) {
+        vector = vector.map(valor => valor / divisor);
+    }
+
+    return vector;
+}
+
+function buscarCoeficientesPositivos(reducida, columnas) {
+    // Busca los coeficientes enteros positivos de menor suma.
+    // Con una sola solución independiente basta con fijar la variable libre en 1.
+    const dimension = columnas - reducida.pivotes.length;
+    if (dimension === 0) return null;
+
+    const limite = dimension === 1 ? 1 : dimension === 2 ? 12 : dimension === 3 ? 6 : 4;
+    const valores = new Array(dimension).fill(1);
+    let mejor = null;
+
+    while (true) {
+        const vector = resolverConLibres(reducida, columnas, valores);
+        if (vector.every(valor => valor > 0)) {
+            const suma = vector.reduce((total, valor) => total + valor, 0);
+            if (!mejor || suma < mejor.suma) {
+                mejor = { vector: vector, suma: suma };
+            }
+        }
+
+        // Avanzar al siguiente juego de valores libres (conteo en base "limite")
+        let k = 0;
+        while (k < dimension && valores[k] === limite) {
+            valores[k] = 1;
+            k++;
+        }
+        if (k === dimension) break;
+        valores[k]++;
+    }
+
+    return mejor ? mejor.vector : null;
+}
+
+function formatearLadoEcuacion(compuestos, coeficientes) {
+    return compuestos
+        .map((c, i) => `${coeficientes[i] === 1 ? '' : coeficientes[i]}${c.formula}${c.estado ? `(${c.estado})` : ''}`)
+        .join(' + ');
+}
+
+function vectorAEcuacion(compuestos, numeroReactivos, vector) {
+    // Los coeficientes negativos indican que el compuesto cambia de lado,
+    // y los nulos que no participa en esa reacción.
+    const izquierda = [];
+    const derecha = [];
+
+    compuestos.forEach((compuesto, j) => {
+        const valor = j < numeroReactivos ? vector[j] : -vector[j];
+        if (valor > 0) izquierda.push({ formula: compuesto.formula, estado: compuesto.estado, coeficiente: valor });
+        if (valor < 0) derecha.push({ formula: compuesto.formula, estado: compuesto.estado, coeficiente: -valor });
+    });
+
+    return `${formatearLadoEcuacion(izquierda, izquierda.map(c => c.coeficiente))} -> ` +
+        formatearLadoEcuacion(derecha, derecha.map(c => c.coeficiente));
+}
+
+function balancearEcuacion(ecuacion) {
+    const parseada = parsearEcuacion(ecuacion);
+    const compuestos = [...parseada.reactivos, ...parseada.productos];
+    const numeroReactivos = parseada.reactivos.length;
+    const columnas = compuestos.length;
+
+    const { elementos, matriz } = construirMatrizAtomos(compuestos, numeroReactivos);
+    const reducida = reducirMatrizEntera(matriz, columnas);
+    const dimension = columnas - reducida.pivotes.length;
+
+    const resultado = {
+        balanceable: false,
+        elementos: elementos,
+        dimension: dimension,
+        coeficientes: null,
+        ecuacion: null,
+        solucionesIndependientes: [],
+        mensaje: ''
+    };
+
+    if (dimension === 0) {
+        resultado.mensaje = 'No existe ningún conjunto de coeficientes que balancee esta ecuación. ' +
+            'Revisa que las fórmulas de reactivos y productos sean correctas.';
+        return resultado;
+    }
+
+    // Cada variable libre da una reacción independiente (las demás libres en cero)
+    for (let i = 0; i < dimension; i++) {
+        const valores = new Array(dimension).fill(0);
+        valores[i] = 1;
+        const vector = resolverConLibres(reducida, columnas, valores);
+        resultado.solucionesIndependientes.push(vectorAEcuacion(compuestos, numeroReactivos, vector));
+    }
+
+    const mejor = buscarCoeficientesPositivos(reducida, columnas);
+    if (!mejor) {
+        resultado.mensaje = 'La ecuación no se puede balancear con coeficientes positivos: ' +
+            'algún compuesto tendría que cambiar de lado o no participa en la reacción.';
+        return resultado;
+    }
+
+    resultado.balanceable = true;
+    resultado.coeficientes = mejor;
+    resultado.ecuacion =
+        `${formatearLadoEcuacion(parseada.reactivos, mejor.slice(0, numeroReactivos))} ${textoFlecha(parseada.flecha)} ` +
+        formatearLadoEcuacion(parseada.productos, mejor.slice(numeroReactivos));
+    resultado.mensaje = dimension === 1
+        ? 'Ecuación balanceada con los menores coeficientes enteros.'
+        : `La ecuación admite ${dimension} reacciones independientes; se muestra la combinación ` +
+          'con los menores coeficientes enteros positivos, pero no es la única posible.';
+
+    return resultado;
+}
+
+
+// ============================================================
+// SECCIÓN 7: BALANCEO REDOX (MÉTODO DEL ION-ELECTRÓN)
+// ============================================================
+const ESPECIES_DEL_MEDIO = ['H2O', 'H+', 'OH-', 'H3O+'];
+
+function crearTerminoRedox(formula) {
+    // El electrón no es un elemento: se construye a mano para no depender del parser
+    if (formula === 'e-') {
+        return { formula: 'e-', coeficiente: 1, elementos: {}, carga: -1 };
+    }
+    return parsearCompuesto(formula);
+}
+
+function agregarTermino(lado, formula, cantidad) {
+    if (cantidad === 0) return;
+    const existente = lado.find(t => t.formula === formula);
+    if (existente) {
+        existente.coeficiente += cantidad;
+    } else {
+        lado.push({ ...crearTerminoRedox(formula), coeficiente: cantidad });
+    }
+}
+
+function elementosClave(compuesto) {
+    // Los elementos distintos de O e H son los que identifican cada semirreacción
+    const clave = Object.keys(compuesto.elementos).filter(e => e !== 'O' && e !== 'H');
+    return clave.length > 0 ? clave : Object.keys(compuesto.elementos);
+}
+
+function agruparSemirreacciones(reactivos, productos) {
+    // Une en un mismo grupo las especies que comparten algún elemento clave
+    const especies = [
+        ...reactivos.map(c => ({ compuesto: c, lado: 'reactivos' })),
+        ...productos.map(c => ({ compuesto: c, lado: 'productos' }))
+    ];
+    const grupo = especies.map((_, i) => i);
+    const raiz = i => (grupo[i] === i ? i : (grupo[i] = raiz(grupo[i])));
+
+    for (let i = 0; i < especies.length; i++) {
+        for (let j = i + 1; j < especies.length; j++) {
+            const claveI = elementosClave(especies[i].compuesto);
+            const claveJ = elementosClave(especies[j].compuesto);
+            if (claveI.some(e => claveJ.includes(e))) {
+                grupo[raiz(i)] = raiz(j);
+            }
+        }
+    }
+
+    const grupos = new Map();
+    especies.forEach((especie, i) => {
+        const r = raiz(i);
+        if (!grupos.has(r)) grupos.set(r, { reactivos: [], productos: [] });
+        grupos.get(r)[especie.lado].push(especie.compuesto);
+    });
+
+    let semirreacciones = [...grupos.values()];
+
+    // Dismutación (Cl2 -> Cl- + ClO3-) o conmutación: una especie participa en ambas
+    if (semirreacciones.length === 1) {
+        const unico = semirreacciones[0];
+        if (unico.reactivos.length === 1 && unico.productos.length === 2) {
+            semirreacciones = unico.productos.map(p => ({ reactivos: [unico.reactivos[0]], productos: [p] }));
+        } else if (unico.reactivos.length === 2 && unico.productos.length === 1) {
+            semirreacciones = unico.reactivos.map(r => ({ reactivos: [r], productos: [unico.productos[0]] }));
+        }
+    }
+
+    return semirreacciones;
+}
+
+function balancearSemirreaccion(semirreaccion, medio) {
+    const pasos = [];
+    const reactivos = semirreaccion.reactivos.map(c => ({ ...c, coeficiente: 1 }));
+    const productos = semirreaccion.productos.map(c => ({ ...c, coeficiente: 1 }));
+    const especies = [...reactivos, ...productos];
+
+    // 1. Balancear los átomos distintos de O e H (o el O, si solo hay O e H, como en H2O2 -> O2)
+    let clave = [...new Set(especies.flatMap(c => Object.keys(c.elementos)))];
+    if (clave.some(e => e !== 'O' && e !== 'H')) {
+        clave = clave.filter(e => e !== 'O' && e !== 'H');
+    } else {
+        clave = clave.includes('O') ? ['O'] : ['H'];
+    }
+    const matriz = clave.map(elemento =>
+        especies.map((c, j) => (j < reactivos.length ? 1 : -1) * (c.elementos[elemento] || 0))
+    );
+    const coeficientes = buscarCoeficientesPositivos(reducirMatrizEntera(matriz, especies.length), especies.length);
+    if (!coeficientes) {
+        throw new Error(`No se pudo balancear la semirreacción de ${clave.join(', ')}.`);
+    }
+    especies.forEach((c, j) => { c.coeficiente = coeficientes[j]; });
+    pasos.push(`Balancear ${clave.join(', ')}: ${textoSemirreaccion(reactivos, productos)}`);
+
+    // 2. Balancear el oxígeno con H2O
+    const diferenciaO = (contarAtomos(productos).O || 0) - (contarAtomos(reactivos).O || 0);
+    if (diferenciaO !== 0) {
+        agregarTermino(diferenciaO > 0 ? reactivos : productos, 'H2O', Math.abs(diferenciaO));
+        pasos.push(`Balancear O con ${Math.abs(diferenciaO)} H2O: ${textoSemirreaccion(reactivos, productos)}`);
+    }
+
+    // 3. Balancear el hidrógeno con H+
+    const diferenciaH = (contarAtomos(productos).H || 0) - (contarAtomos(reactivos).H || 0);
+    if (diferenciaH !== 0) {
+        agregarTermino(diferenciaH > 0 ? reactivos : productos, 'H+', Math.abs(diferenciaH));
+        pasos.push(`Balancear H con ${Math.abs(diferenciaH)} H+: ${textoSemirreaccion(reactivos, productos)}`);
+    }
+
+    // 4. En medio básico, neutralizar cada H+ con un OH- en ambos lados
+    if (medio === 'basico' && diferenciaH !== 0) {
+        const cantidad = Math.abs(diferenciaH);
+        const ladoH = diferenciaH > 0 ? reactivos : productos;
+        const ladoOpuesto = diferenciaH > 0 ? productos : reactivos;
+
+        ladoH.splice(ladoH.findIndex(t => t.formula === 'H+'), 1);
+        agregarTermino(ladoH, 'H2O', cantidad);
+        agregarTermino(ladoOpuesto, 'OH-', cantidad);
+        cancelarAguaEnSemirreaccion(reactivos, productos);
+        pasos.push(`Neutralizar H+ con ${cantidad} OH-: ${textoSemirreaccion(reactivos, productos)}`);
+    }
+
+    // 5. Balancear la carga con electrones
+    const diferenciaCarga = contarCarga(reactivos) - contarCarga(productos);
+    const electrones = Math.abs(diferenciaCarga);
+    if (electrones === 0) {
+        throw new Error(`La semirreacción ${textoSemirreaccion(reactivos, productos)} no intercambia electrones.`);
+    }
+    agregarTermino(diferenciaCarga > 0 ? reactivos : productos, 'e-', electrones);
+    pasos.push(`Balancear la carga con ${electrones} e-: ${textoSemirreaccion(reactivos, productos)}`);
+
+    return {
+        tipo: diferenciaCarga > 0 ? 'reduccion' : 'oxidacion',
+        reactivos: reactivos,
+        productos: productos,
+        electrones: electrones,
+        ecuacion: textoSemirreaccion(reactivos, productos),
+        pasos: pasos
+    };
+}
+
+function cancelarAguaEnSemirreaccion(reactivos, productos) {
+    const aguaR = reactivos.find(t => t.formula === 'H2O');
+    const aguaP = productos.find(t => t.formula === 'H2O');
+    if (!aguaR || !aguaP) return;
+
+    const comun = Math.min(aguaR.coeficiente, aguaP.coeficiente);
+    aguaR.coeficiente -= comun;
+    aguaP.coeficiente -= comun;
+    if (aguaR.coeficiente === 0) reactivos.splice(reactivos.indexOf(aguaR), 1);
+    if (aguaP.coeficiente === 0) productos.splice(productos.indexOf(aguaP), 1);
+}
+
+function textoSemirreaccion(reactivos, productos) {
+    return `${formatearLadoEcuacion(reactivos, reactivos.map(t => t.coeficiente))} -> ` +
+        formatearLadoEcuacion(productos, productos.map(t => t.coeficiente));
+}
+
+function balancearRedox(ecuacion, medio = 'acido') {
+    if (medio !== 'acido' && medio !== 'basico') {
+        throw new Error('El medio debe ser ácido o básico.');
+    }
+
+    const parseada = parsearEcuacion(ecuacion);
+    const esValido = grupos => grupos.length === 2 &&
+        grupos.every(g => g.reactivos.length > 0 && g.productos.length > 0);
+
+    // El método agrega por su cuenta H2O, H+ y OH-, así que se descartan si vienen escritos,
+    // salvo que participen en el proceso redox (Zn + H+ -> Zn2+ + H2)
+    const esDelMedio = c => ESPECIES_DEL_MEDIO.includes(c.formula);
+    let grupos = agruparSemirreacciones(
+        parseada.reactivos.filter(c => !esDelMedio(c)),
+        parseada.productos.filter(c => !esDelMedio(c))
+    );
+    if (!esValido(grupos)) {
+        grupos = agruparSemirreacciones(parseada.reactivos, parseada.productos);
+    }
+    if (!esValido(grupos)) {
+        throw new Error('No se pudieron separar las semirreacciones de oxidación y reducción. ' +
+            'Revisa que cada especie que cambia de estado de oxidación aparezca en ambos lados.');
+    }
+
+    const semirreacciones = grupos.map(g => balancearSemirreaccion(g, medio));
+    const oxidacion = semirreacciones.find(s => s.tipo === 'oxidacion');
+    const reduccion = semirreacciones.find(s => s.tipo === 'reduccion');
+    if (!oxidacion || !reduccion) {
+        throw new Error('Ambas semirreacciones son del mismo tipo: la ecuación no describe un proceso redox.');
+    }
+
+    // Igualar los electrones transferidos y sumar las semirreacciones
+    const electrones = minimoComunMultiplo(oxidacion.electrones, reduccion.electrones);
+    oxidacion.factor = electrones / oxidacion.electrones;
+    reduccion.factor = electrones / reduccion.electrones;
+
+    // Se respeta el orden en que el usuario escribió las especies
+    const neto = new Map();
+    for (const c of [...parseada.reactivos, ...parseada.productos]) {
+        neto.set(c.formula, 0);
+    }
+    for (const semi of [oxidacion, reduccion]) {
+        for (const t of semi.reactivos) neto.set(t.formula, (neto.get(t.formula) || 0) + t.coeficiente * semi.factor);
+        for (const t of semi.productos) neto.set(t.formula, (neto.get(t.formula) || 0) - t.coeficiente * semi.factor);
+    }
+    neto.delete('e-');
+
+    // Simplificar las especies repetidas en ambos lados y reducir por el MCD
+    const divisor = [...neto.values()].reduce((mcd, valor) => maximoComunDivisor(mcd, valor), 0);
+    const reactivosFinales = [];
+    const productosFinales = [];
+    for (const [formula, valor] of neto) {
+        if (valor > 0) agregarTermino(reactivosFinales, formula, valor / divisor);
+        if (valor < 0) agregarTermino(productosFinales, formula, -valor / divisor);
+    }
+
+    const ecuacionFinal = textoSemirreaccion(reactivosFinales, productosFinales);
+    if (!verificarBalance(ecuacionFinal).balanceada) {
+        throw new Error('No se pudo obtener una ecuación redox balanceada.');
+    }
+
+    return {
+        medio: medio,
+        oxidacion: oxidacion,
+        reduccion: reduccion,
+        electronesTransferidos: electrones,
+        ecuacion: ecuacionFinal
+    };
+}
+
+
+// ============================================================
+// SECCIÓN 8: ESTADOS DE OXIDACIÓN
+// ============================================================
+const METALES_ALCALINOS = elementosDeCategoria('metal alcalino');
+const METALES_ALCALINOTERREOS = elementosDeCategoria('metal alcalinotérreo');
+
+// No metales y metaloides (salvo el H, que tiene su propia regla) de mayor a menor
+// electronegatividad, con su estado negativo habitual; en empate va primero el más pesado
+const ESTADOS_NEGATIVOS = Object.keys(ELEMENTOS)
+    .filter(s => s !== 'H' && (esNoMetal(s) || ELEMENTOS[s].categoria === 'metaloide'))
+    .filter(s => ELEMENTOS[s].estadosOxidacion.length > 0 && ELEMENTOS[s].estadosOxidacion[0] < 0)
+    .sort((a, b) => ELEMENTOS[b].electronegatividad - ELEMENTOS[a].electronegatividad ||
+        ELEMENTOS[b].numeroAtomico - ELEMENTOS[a].numeroAtomico)
+    .map(s => [s, ELEMENTOS[s].estadosOxidacion[0]]);
+
+// Iones poliatómicos frecuentes, de mayor a menor tamaño para probar primero los más grandes
+const IONES_POLIATOMICOS = [
+    ['Cr2O7', -2], ['C2H3O2', -1], ['H2PO4', -1], ['HPO4', -2], ['HSO4', -1], ['C2O4', -2],
+    ['HCO3', -1], ['NH4', 1], ['SO4', -2], ['PO4', -3], ['ClO4', -1], ['MnO4', -1], ['CrO4', -2],
+    ['S2O3', -2], ['AsO4', -3], ['SiO3', -2], ['NO3', -1], ['CO3', -2], ['SO3', -2], ['ClO3', -1],
+    ['BrO3', -1], ['IO3', -1], ['BO3', -3], ['NO2', -1], ['ClO2', -1], ['SCN', -1], ['ClO', -1],
+    ['OH', -1], ['CN', -1]
+].map(([formula, carga]) => ({ formula: formula, elementos: parsearFormula(formula), carga: carga }));
+
+function esHidruro(elementos) {
+    // Hidruros: el H es -1 cuando solo está unido a metales (NaH, CaH2, LiAlH4)
+    return Object.keys(elementos).every(s => s === 'H' || !esNoMetal(s));
+}
+
+function aplicarReglasOxidacion(elementos, hidruro = esHidruro(elementos)) {
+    // Reglas fijas en orden de prioridad; las últimas (H y O) son las primeras en ceder
+    const simbolos = Object.keys(elementos);
+    const reglas = [];
+
+    for (const simbolo of simbolos) {
+        if (simbolo === 'F') reglas.push([simbolo, -1, 0]);
+        else if (METALES_ALCALINOS.includes(simbolo)) reglas.push([simbolo, 1, 0]);
+        else if (METALES_ALCALINOTERREOS.includes(simbolo)) reglas.push([simbolo, 2, 0]);
+        else if (simbolo === 'Al') reglas.push([simbolo, 3, 0]);
+        else if (simbolo === 'Zn') reglas.push([simbolo, 2, 0]);
+        else if (simbolo === 'Ag') reglas.push([simbolo, 1, 0]);
+        else if (simbolo === 'H') reglas.push([simbolo, hidruro ? -1 : 1, 1]);
+        // Peróxidos, superóxidos y fluoruros de oxígeno se resuelven al ceder esta regla
+        else if (simbolo === 'O') reglas.push([simbolo, -2, 2]);
+    }
+
+    return reglas.sort((a, b) => a[2] - b[2]);
+}
+
+function resolverEstadosSimples(elementos, carga, hidruro = esHidruro(elementos)) {
+    // Devuelve null si quedan dos o más elementos sin regla que los determine.
+    // hidruro fija la regla del H cuando elementos es solo una parte del compuesto
+    const simbolos = Object.keys(elementos);
+    const estados = {};
+
+    if (simbolos.length === 1) {
+        estados[simbolos[0]] = carga / elementos[simbolos[0]];
+        return estados;
+    }
+
+    const reglas = aplicarReglasOxidacion(elementos, hidruro);
+    for (const [simbolo, valor] of reglas) {
+        estados[simbolo] = valor;
+    }
+
+    const desconocidos = simbolos.filter(s => estados[s] === undefined);
+    const sumaConocida = () => Object.keys(estados)
+        .filter(s => !desconocidos.includes(s))
+        .reduce((total, s) => total + estados[s] * elementos[s], 0);
+
+    if (desconocidos.length === 1) {
+        const simbolo = desconocidos[0];
+        estados[simbolo] = (carga - sumaConocida()) / elementos[simbolo];
+        return estados;
+    }
+
+    if (desconocidos.length === 0) {
+        // Si las reglas no suman la carga, cede la de menor prioridad (H2O2, OF2, KO2)
+        if (sumaConocida() !== carga) {
+            const simbolo = reglas[reglas.length - 1][0];
+            delete estados[simbolo];
+            desconocidos.push(simbolo);
+            estados[simbolo] = (carga - sumaConocida()) / elementos[simbolo];
+        }
+        return estados;
+    }
+
+    return null;
+}
+
+function restarElementos(elementos, ion, veces) {
+    const resto = { ...elementos };
+    for (const simbolo in ion) {
+        resto[simbolo] = (resto[simbolo] || 0) - ion[simbolo] * veces;
+        if (resto[simbolo] < 0) return null;
+        if (resto[simbolo] === 0) delete resto[simbolo];
+    }
+    return Object.keys(resto).length > 0 ? resto : null;
+}
+
+function esContraionValido(resto, carga) {
+    // El resto de una sal debe ser un catión metálico (Fe2, K4Fe) u otro ion conocido (NH4)
+    if (Object.keys(resto).every(s => !esNoMetal(s))) return true;
+
+    return IONES_POLIATOMICOS.some(ion => {
+        const simbolos = Object.keys(ion.elementos);
+        if (simbolos.length !== Object.keys(resto).length) return false;
+        const veces = (resto[simbolos[0]] || 0) / ion.elementos[simbolos[0]];
+        return Number.isInteger(veces) && veces > 0 && carga === ion.carga * veces &&
+            simbolos.every(s => resto[s] === ion.elementos[s] * veces);
+    });
+}
+
+function descomponerEnIones(elementos, carga) {
+    // Separa sales como Fe2(SO4)3 o NH4NO3 en un ion poliatómico conocido y el resto
+    for (const ion of IONES_POLIATOMICOS) {
+        const maximo = Math.min(...Object.keys(ion.elementos).map(s =>
+            Math.floor((elementos[s] || 0) / ion.elementos[s])
+        ));
+
+        for (let veces = maximo; veces >= 1; veces--) {
+            const resto = restarElementos(elementos, ion.elementos, veces);
+            if (!resto || !esContraionValido(resto, carga - ion.carga * veces)) continue;
+
+            const estadosResto = resolverEstadosSimples(resto, carga - ion.carga * veces);
+            if (!estadosResto) continue;
+            const estadosIon = asignarEstadosOxidacion(ion.elementos, ion.carga).estados;
+
+            return [
+                { elementos: resto, estados: estadosResto },
+                { elementos: ion.elementos, veces: veces, estados: estadosIon }
+            ];
+        }
+    }
+    return null;
+}
+
+function combinarEstadosDePartes(elementos, partes) {
+    // Promedio ponderado por elemento; se guardan los valores de cada parte si difieren.
+    // Si una parte no se pudo determinar, tampoco el conjunto
+    if (partes.some(parte => !parte.estados)) {
+        return { estados: null, valores: {} };
+    }
+    const estados = {};
+    const valores = {};
+
+    for (const simbolo in elementos) {
+        let suma = 0;
+        const distintos = new Set();
+        for (const parte of partes) {
+            if (parte.estados[simbolo] === undefined) continue;
+            suma += parte.estados[simbolo] * parte.elementos[simbolo] * (parte.veces || 1);
+            distintos.add(parte.estados[simbolo]);
+        }
+        estados[simbolo] = suma / elementos[simbolo];
+        if (distintos.size > 1) valores[simbolo] = [...distintos];
+    }
+
+    return { estados: estados, valores: valores };
+}
+
+function asignarEstadosOxidacion(elementos, carga = 0) {
+    // Aleaciones e intermetálicos neutros (CuZn, Ni3Al): todos los metales quedan en 0
+    const simbolos = Object.keys(elementos);
+    if (carga === 0 && simbolos.length > 1 && simbolos.every(s => !esNoMetal(s))) {
+        return { estados: Object.fromEntries(simbolos.map(s => [s, 0])), valores: {} };
+    }
+
+    const simples = resolverEstadosSimples(elementos, carga);
+    const partes = descomponerEnIones(elementos, carga);
+
+    if (partes) {
+        // Solo aporta algo nuevo si las reglas simples no bastan o si un mismo
+        // elemento tiene estados distintos en cada ion (NH4NO3: N -3 y +5)
+        const combinados = combinarEstadosDePartes(elementos, partes);
+        if (!simples || Object.keys(combinados.valores).length > 0) {
+            return combinados;
+        }
+    }
+
+    if (simples) {
+        return { estados: simples, valores: {} };
+    }
+
+    // Último recurso: el no metal más electronegativo toma su estado negativo habitual.
+    // La regla del H se decide con el compuesto completo, no con lo que queda sin asignar
+    const hidruro = esHidruro(elementos);
+    const estados = {};
+    const pendientes = { ...elementos };
+    let cargaRestante = carga;
+    while (Object.keys(pendientes).length > 1) {
+        const negativo = ESTADOS_NEGATIVOS.find(([s]) => pendientes[s] !== undefined);
+        if (!negativo) break;
+        const [simbolo, valor] = negativo;
+        estados[simbolo] = valor;
+        cargaRestante -= valor * pendientes[simbolo];
+        delete pendientes[simbolo];
+
+        const resto = resolverEstadosSimples(pendientes, cargaRestante, hidruro);
+        if (resto && sumaDeEstados(elementos, { ...estados, ...resto }) === carga) {
+            return { estados: { ...estados, ...resto }, valores: {} };
+        }
+    }
+
+    // Lo que queda sin regla solo puede ser 0 si no falta carga por repartir (no en CuFeS2);
+    // si ninguna asignación suma la carga, la especie queda sin determinar
+    for (const simbolo in pendientes) {
+        estados[simbolo] = 0;
+    }
+    if (sumaDeEstados(elementos, estados) === carga) {
+        return { estados: estados, valores: {} };
+    }
+    return { estados: null, valores: {} };
+}
+
+function sumaDeEstados(elementos, estados) {
+    // Σ(estado × átomos), redondeada para comparar con la carga sin errores de coma flotante
+    let suma = 0;
+    for (const simbolo in elementos) {
+        suma += estados[simbolo] * elementos[simbolo];
+    }
+    return Math.round(suma * 1e9) / 1e9;
+}
+
+// Ligandos neutros: no aportan carga y se analizan como moléculas aparte
+const LIGANDOS_NEUTROS = ['NH3', 'H2O', 'CO']
+    .map(formula => ({ formula: formula, elementos: parsearFormula(formula) }));
+
+function separarLigandosNeutros(formula) {
+    // Moléculas neutras entre paréntesis: Fe(CO)5, [Cu(NH3)4]SO4; dentro de un
+    // corchete se multiplican también por su subíndice: [Ag(NH3)2]2SO4
+    const ligandos = [];
+    const complejos = [...formula.matchAll(/\[([^\]]*)\](\d*)/g)];
+    for (const grupo of formula.matchAll(/\(([^()]*)\)(\d*)/g)) {
+        const ligando = LIGANDOS_NEUTROS.find(l => l.formula === grupo[1]);
+        if (!ligando) continue;
+        const complejo = complejos.find(c => grupo.index > c.index && grupo.index < c.index + c[0].length);
+        const veces = (grupo[2] ? parseInt(grupo[2]) : 1) * (complejo && complejo[2] ? parseInt(complejo[2]) : 1);
+        ligandos.push({ elementos: ligando.elementos, veces: veces });
+    }
+    return ligandos;
+}
+
+function asignarEstadosConLigandos(formula, elementos, carga) {
+    const ligandos = separarLigandosNeutros(formula);
+    let resto = elementos;
+    for (const ligando of ligandos) {
+        resto = resto && restarElementos(resto, ligando.elementos, ligando.veces);
+    }
+    if (ligandos.length === 0 || !resto) {
+        return asignarEstadosOxidacion(elementos, carga);
+    }
+
+    // El átomo central y sus contraiones llevan toda la carga
+    return combinarEstadosDePartes(elementos, [
+        { elementos: resto, estados: asignarEstadosOxidacion(resto, carga).estados },
+        ...ligandos.map(ligando => ({
+            elementos: ligando.elementos,
+            veces: ligando.veces,
+            estados: asignarEstadosOxidacion(ligando.elementos, 0).estados
+        }))
+    ]);
+}
+
+function agruparIsotopos(elementos) {
+    // Los isótopos se analizan como su elemento: D2O tiene los mismos estados que H2O
+    const agrupados = {};
+    for (const clave in elementos) {
+        const base = elementoBase(clave);
+        agrupados[base] = (agrupados[base] || 0) + elementos[clave];
+    }
+    return agrupados;
+}
+
+function asignarEstadosOxidacionCompuesto(compuesto) {
+    // En los hidratos cada parte (CuSO4 y H2O) se analiza por separado
+    const partes = separarHidrato(separarCarga(compuesto.formula).nucleo);
+    const elementos = agruparIsotopos(compuesto.elementos);
+    const resultado = partes.length === 1
+        ? asignarEstadosConLigandos(partes[0].formula, elementos, compuesto.carga)
+        : combinarEstadosDePartes(elementos, partes.map((parte, i) => {
+            const elementosParte = agruparIsotopos(parsearFormula(parte.formula));
+            return {
+                elementos: elementosParte,
+                veces: parte.multiplicador,
+                estados: asignarEstadosConLigandos(parte.formula, elementosParte, i === 0 ? compuesto.carga : 0).estados
+            };
+        }));
+    if (!resultado.estados) {
+        return resultado;
+    }
+
+    // Cada isótopo recibe el estado de su elemento
+    const estados = {};
+    const valores = {};
+    for (const clave in compuesto.elementos) {
+        const base = elementoBase(clave);
+        estados[clave] = resultado.estados[base];
+        if (resultado.valores[base]) valores[clave] = resultado.valores[base];
+    }
+    return { estados: estados, valores: valores };
+}
+
+function analizarEstadosOxidacion(ecuacion) {
+    const parseada = parsearEcuacion(ecuacion);
+    const analizar = lado => compuesto => {
+        const { estados, valores } = asignarEstadosOxidacionCompuesto(compuesto);
+
+        // Mantener el orden en que aparecen los elementos en la fórmula;
+        // sin una asignación que sume la carga, la especie queda sin determinar
+        const ordenados = {};
+        for (const elemento in compuesto.elementos) {
+            ordenados[elemento] = estados ? estados[elemento] : null;
+        }
+
+        return { formula: compuesto.formula, lado: lado, estados: ordenados, valores: valores, indeterminado: !estados };
+    };
+
+    // Los electrones (e-) no tienen elementos a los que asignar estado
+    const conElementos = compuesto => Object.keys(compuesto.elementos).length > 0;
+    const reactivos = parseada.reactivos.filter(conElementos).map(analizar('reactivos'));
+    const productos = parseada.productos.filter(conElementos).map(analizar('productos'));
+
+    // Comparar cada elemento entre cada reactivo y cada producto que lo contienen
+    const cambios = [];
+    for (const reactivo of reactivos) {
+        for (const producto of productos) {
+            for (const elemento in reactivo.estados) {
+                // Las especies sin determinar no se comparan
+                if (reactivo.indeterminado || producto.indeterminado) continue;
+                if (producto.estados[elemento] === undefined) continue;
+
+                const desde = reactivo.estados[elemento];
+                const hasta = producto.estados[elemento];
+                if (Math.abs(hasta - desde) < 1e-9) continue;
+
+                cambios.push({
+                    elemento: elemento,
+                    reactivo: reactivo.formula,
+                    producto: producto.formula,
+                    desde: desde,
+                    hasta: hasta,
+                    tipo: hasta > desde ? 'oxidacion' : 'reduccion'
+                });
+            }
+        }
+    }
+
+    const oxidados = [...new Set(cambios.filter(c => c.tipo === 'oxidacion').map(c => c.reactivo))];
+    const reducidos = [...new Set(cambios.filter(c => c.tipo === 'reduccion').map(c => c.reactivo))];
+
+    return {
+        compuestos: [...reactivos, ...productos],
+        cambios: cambios,
+        esRedox: cambios.length > 0,
+        oxidados: oxidados,
+        reducidos: reducidos,
+        // La especie que se oxida cede electrones: es el agente reductor, y viceversa
+        agentesReductores: oxidados,
+        agentesOxidantes: reducidos
+    };
+}
+
+function formatearEstadoOxidacion(valor) {
+    // Los estados promedio (Fe3O4, KO2) se muestran como fracción
+    let texto = null;
+    for (let denominador = 1; denominador <= 12 && texto === null; denominador++) {
+        const numerador = valor * denominador;
+        if (Math.abs(numerador - Math.round(numerador)) < 1e-9) {
+            const n = Math.abs(Math.round(numerador));
+            texto = denominador === 1 ? `${n}` : `${n}/${denominador}`;
+        }
+    }
+    if (texto === null) texto = Math.abs(valor).toFixed(2);
+
+    if (Math.abs(valor) < 1e-9) return '0';
+    return `${valor > 0 ? '+' : '−'}${texto}`;
+}
+
+// ============================================================
+// SECCIÓN 9: CIFRAS SIGNIFICATIVAS
+// ============================================================
+// Los valores exactos (coeficientes, factores de conversión, datos no medidos) no limitan
+const CIFRAS_EXACTAS = Infinity;
+
+function contarCifrasSignificativas(texto) {
+    // Los ceros a la izquierda no cuentan. Los ceros finales de un entero (100) son ambiguos
+    // y se cuentan como significativos; para indicar menos cifras se usa notación científica (1e2)
+    const limpio = String(texto).trim().replace(',', '.').replace(/^[+-]/, '').split(/e/i)[0];
+    if (!/\d/.test(limpio)) return CIFRAS_EXACTAS;
+
+    const digitos = limpio.replace('.', '').replace(/^0+/, '');
+    return Math.max(digitos.length, 1);
+}
+
+function cifrasDeMultiplicacion(...cifras) {
+    // En productos y cocientes manda el dato con menos cifras significativas
+    return Math.min(...cifras.map(c => c === undefined || c === null ? CIFRAS_EXACTAS : c));
+}
+
+function posicionUltimaCifra(valor, cifras) {
+    // Potencia de 10 de la última cifra significativa: 12.3 (3 cifras) → -1
+    if (!isFinite(cifras) || valor === 0) return -Infinity;
+    return Math.floor(Math.log10(Math.abs(valor))) - cifras + 1;
+}
+
+function cifrasDeSuma(resultado, operandos) {
+    // En sumas y restas manda el dato con la última cifra significativa más a la izquierda
+    const posicion = Math.max(...operandos.map(o => posicionUltimaCifra(o.valor, o.cifras)));
+    // Si el resultado queda por debajo de esa cifra no le queda ninguna significativa (0)
+    if (!isFinite(posicion)) return CIFRAS_EXACTAS;
+    if (resultado === 0) return 0;
+    return Math.max(Math.floor(Math.log10(Math.abs(resultado))) - posicion + 1, 0);
+}
+
+function cifrasDeMasaMolar(formula) {
+    // La masa molar es una suma: la limitan las masas atómicas con menos decimales
+    const elementos = parsearFormula(formula);
+    const decimales = Math.min(...Object.keys(elementos).map(simbolo =>
+        (String(masaAtomicaDe(simbolo)).split('.')[1] || '').length
+    ));
+    return cifrasDeSuma(calcularMasaMolar(formula), [{
+        valor: Math.pow(10, -decimales),
+        cifras: 1
+    }]);
+}
+
+function formatearCifras(numero, cifras, decimales = 4) {
+    if (!isFinite(cifras)) {
+        return formatearNumero(numero, decimales);
+    }
+    if (numero === null || numero === undefined || isNaN(numero)) {
+        return '-';
+    }
+    // Sin cifras significativas el valor no se distingue de cero
+    if (cifras < 1) {
+        return numero === 0 ? '0' : '≈0';
+    }
+
+    const texto = numero.toPrecision(Math.min(Math.max(cifras, 1), 21));
+    const [mantisa, exponente] = texto.split('e');
+    if (exponente === undefined) return mantisa;
+    return `${mantisa} × 10<sup>${parseInt(exponente, 10)}</sup>`;
+}
+
+// ============================================================
+// SECCIÓN 10: PROPAGACIÓN DE INCERTIDUMBRES
+// ============================================================
+function incertidumbreRelativa(valor, incertidumbre) {
+    if (!incertidumbre || !valor) return 0;
+    return Math.abs(incertidumbre / valor);
+}
+
+function sumarEnCuadratura(...terminos) {
+    // Propagación de primer orden: los errores independientes se suman en cuadratura
+    return Math.sqrt(terminos.reduce((suma, t) => suma + (t || 0) * (t || 0), 0));
+}
+
+// Datos de gas, disolución y porcentaje: la cantidad es un producto o cociente de ellos
+const MAGNITUDES_MEDIDAS = ['volumen', 'presion', 'temperatura', 'molaridad', 'porcentaje', 'densidad'];
+
+function incertidumbreDeDato(dato, moles, masa) {
+    // La masa o los moles medidos llevan su propia incertidumbre; en los demás tipos
+    // las incertidumbres relativas de cada dato se suman en cuadratura
+    const incertidumbre = dato.incertidumbre || {};
+    let relativa = 0;
+    if (dato.masa !== undefined && dato.moles === undefined) {
+        relativa = incertidumbreRelativa(dato.masa, incertidumbre.cantidad);
+    } else if (dato.moles !== undefined) {
+        relativa = incertidumbreRelativa(dato.moles, incertidumbre.cantidad);
+    } else {
+        relativa = sumarEnCuadratura(...MAGNITUDES_MEDIDAS
+            .filter(campo => dato[campo] !== undefined)
+            .map(campo => incertidumbreRelativa(dato[campo], incertidumbre[campo])));
+    }
+
+    const relativaEfectiva = sumarEnCuadratura(
+        relativa,
+        incertidumbreRelativa(dato.pureza || 100, incertidumbre.pureza)
+    );
+
+    return {
+        masaInicial: masa * relativa,
+        moles: moles * relativa,
+        molesEfectivos: moles * ((dato.pureza || 100) / 100) * relativaEfectiva
+    };
+}
+
+function buscarLimitantesPosibles(proporciones, formulaLimitante) {
+    // Reactivos cuyo intervalo proporción ± incertidumbre se solapa con el del limitante
+    const limitante = proporciones.find(p => p.formula === formulaLimitante);
+    return proporciones
+        .filter(p => p.formula !== formulaLimitante)
+        .filter(p => p.proporcion - p.incertidumbre <= limitante.proporcion + limitante.incertidumbre)
+        .map(p => p.formula);
+}
+
+function formatearIncertidumbre(valor, incertidumbre, decimales = null) {
+    if (decimales !== null) {
+        return `${formatearNumero(valor, decimales)} ± ${formatearNumero(incertidumbre, decimales)}`;
+    }
+
+    // La incertidumbre se redondea a una cifra (dos si empieza por 1) y el valor a la misma posición
+    const exponente = Math.floor(Math.log10(incertidumbre));
+    const primeraCifra = Math.floor(incertidumbre / Math.pow(10, exponente));
+    const posicion = exponente - (primeraCifra === 1 ? 1 : 0);
+    const decimalesIncertidumbre = Math.max(-posicion, 0);
+    const factor = Math.pow(10, posicion);
+
+    const valorRedondeado = Math.round(valor / factor) * factor;
+    const incertidumbreRedondeada = Math.round(incertidumbre / factor) * factor;
+    return `${valorRedondeado.toFixed(decimalesIncertidumbre)} ± ${incertidumbreRedondeada.toFixed(decimalesIncertidumbre)}`;
+}
+
+// ============================================================
+// SECCIÓN 11: FÓRMULA EMPÍRICA Y MOLECULAR
+// ============================================================
+// Una razón se considera entera si queda a menos de esta distancia del entero más cercano
+const TOLERANCIA_SUBINDICE = 0.1;
+const MULTIPLICADOR_MAXIMO = 8;
+
+function buscarMultiplicador(razones) {
+    // Razones como 1.5, 1.33 o 1.25 se vuelven enteras al multiplicar por 2, 3 o 4
+    let mejor = { multiplicador: 1, desviacion: Infinity };
+
+    for (let m = 1; m <= MULTIPLICADOR_MAXIMO; m++) {
+        const desviacion = Math.max(...razones.map(r => Math.abs(r * m - Math.round(r * m))));
+        if (desviacion <= TOLERANCIA_SUBINDICE) {
+            return { multiplicador: m, desviacion: desviacion };
+        }
+        if (desviacion < mejor.desviacion) {
+            mejor = { multiplicador: m, desviacion: desviacion };
+        }
+    }
+
+    return mejor;
+}
+
+function construirFormulaEmpirica(elementos) {
+    return elementos.map(e => `${e.elemento}${e.subindice > 1 ? e.subindice : ''}`).join('');
+}
+
+function calcularFormulaEmpirica(datos, tipo = 'porcentaje') {
+    // datos: [{ elemento, valor }] en porcentaje en masa o en gramos de cada elemento
+    if (datos.length === 0) {
+        throw new Error('Ingresa al menos un elemento.');
+    }
+
+    const vistos = new Set();
+    for (const dato of datos) {
+        if (!ELEMENTOS[dato.elemento]) {
+            throw new Error(`Elemento no reconocido: ${dato.elemento}`);
+        }
+        if (vistos.has(dato.elemento)) {
+            throw new Error(`El elemento ${dato.elemento} está repetido.`);
+        }
+        if (!(dato.valor > 0)) {
+            throw new Error(`La cantidad de ${dato.elemento} debe ser mayor que cero.`);
+        }
+        vistos.add(dato.elemento);
+    }
+
+    // Con porcentajes se suponen 100 g de muestra: cada % pasa a gramos
+    const total = datos.reduce((suma, d) => suma + d.valor, 0);
+    let advertencia = null;
+    if (tipo === 'porcentaje' && Math.abs(total - 100) > 1) {
+        advertencia = `Los porcentajes suman ${total.toFixed(2)}%, no 100%.`;
+    }
+
+    const conMoles = datos.map(d => ({
+        elemento: d.elemento,
+        masa: d.valor,
+        masaAtomica: masaAtomicaDe(d.elemento),
+        moles: d.valor / masaAtomicaDe(d.elemento)
+    }));
+
+    // Dividir entre el menor número de moles
+    const menor = Math.min(...conMoles.map(e => e.moles));
+    const razones = conMoles.map(e => e.moles / menor);
+    const { multiplicador, desviacion } = buscarMultiplicador(razones);
+
+    if (desviacion > TOLERANCIA_SUBINDICE) {
+        advertencia = (advertencia ? advertencia + ' ' : '') +
+            'Las razones no se acercan a números enteros; revisa los datos.';
+    }
+
+    const elementos = conMoles.map((e, i) => ({
+        ...e,
+        razon: razones[i],
+        subindice: Math.max(Math.round(razones[i] * multiplicador), 1)
+    }));
+
+    const formula = construirFormulaEmpirica(elementos);
+
+    return {
+        tipo: tipo,
+        elementos: elementos,
+        multiplicador: multiplicador,
+        formula: formula,
+        masaFormula: calcularMasaMolar(formula),
+        advertencia: advertencia
+    };
+}
+
+function calcularFormulaMolecular(empirica, masaMolar) {
+    // n = masa molar / masa de la fórmula empírica
+    const razon = masaMolar / empirica.masaFormula;
+    const n = Math.max(Math.round(razon), 1);
+
+    const elementos = empirica.elementos.map(e => ({ elemento: e.elemento, subindice: e.subindice * n }));
+    const formula = construirFormulaEmpirica(elementos);
+
+    return {
+        masaMolar: masaMolar,
+        razon: razon,
+        n: n,
+        formula: formula,
+        masaFormula: calcularMasaMolar(formula),
+        advertencia: Math.abs(razon - n) > TOLERANCIA_SUBINDICE
+            ? `La masa molar no es múltiplo entero de la fórmula empírica (${razon.toFixed(2)}).`
+            : null
+    };
+}
+
+function masaDeElementoEn(masaCompuesto, elemento, formula) {
+    // Fracción en masa del elemento dentro del compuesto recogido
+    const atomos = parsearFormula(formula)[elemento];
+    return masaCompuesto * atomos * masaAtomicaDe(elemento) / calcularMasaMolar(formula);
+}
+
+function analizarCombustion(datos) {
+    // datos: { masaMuestra, masaCO2, masaH2O, nitrogeno?: { tipo: 'N2'|'NH3'|'porcentaje', valor },
+    //          azufre?: { tipo: 'SO2'|'porcentaje', valor } }
+    if (!(datos.masaMuestra > 0)) {
+        throw new Error('Ingresa la masa de la muestra quemada.');
+    }
+    if (!(datos.masaCO2 > 0) || !(datos.masaH2O >= 0)) {
+        throw new Error('Ingresa las masas de CO2 y H2O obtenidas.');
+    }
+
+    const masas = [
+        { elemento: 'C', masa: masaDeElementoEn(datos.masaCO2, 'C', 'CO2'), origen: 'CO2' },
+        { elemento: 'H', masa: masaDeElementoEn(datos.masaH2O, 'H', 'H2O'), origen: 'H2O' }
+    ];
+
+    if (datos.nitrogeno && datos.nitrogeno.valor > 0) {
+        const { tipo, valor } = datos.nitrogeno;
+        masas.push({
+            elemento: 'N',
+            masa: tipo === 'porcentaje' ? valor / 100 * datos.masaMuestra : masaDeElementoEn(valor, 'N', tipo),
+            origen: tipo === 'porcentaje' ? '%' : tipo
+        });
+    }
+
+    if (datos.azufre && datos.azufre.valor > 0) {
+        const { tipo, valor } = datos.azufre;
+        masas.push({
+            elemento: 'S',
+            masa: tipo === 'porcentaje' ? valor / 100 * datos.masaMuestra : masaDeElementoEn(valor, 'S', tipo),
+            origen: tipo === 'porcentaje' ? '%' : tipo
+        });
+    }
+
+    // El oxígeno se obtiene por diferencia con la masa de la muestra
+    const masaSinOxigeno = masas.reduce((suma, m) => suma + m.masa, 0);
+    const masaOxigeno = datos.masaMuestra - masaSinOxigeno;
+    if (masaOxigeno < -0.01 * datos.masaMuestra) {
+        throw new Error('Las masas de los elementos superan la masa de la muestra; revisa los datos.');
+    }
+    if (masaOxigeno > 0.005 * datos.masaMuestra) {
+        masas.push({ elemento: 'O', masa: masaOxigeno, origen: 'diferencia' });
+    }
+
+    const empirica = calcularFormulaEmpirica(
+        masas.filter(m => m.masa > 0).map(m => ({ elemento: m.elemento, valor: m.masa })),
+        'masa'
+    );
+
+    return { ...empirica, tipo: 'combustion', masas: masas };
+}
+
+// ============================================================
+// SECCIÓN 12: DISTRIBUCIÓN ISOTÓPICA
+// ============================================================
+// Los picos menos probables que esta fracción se descartan durante la convolución
+const PROBABILIDAD_MINIMA = 1e-10;
+
+function isotoposDeClave(clave) {
+    // Un isótopo indicado en la fórmula (D, [13C]) aporta un solo pico; un elemento, sus isótopos naturales
+    const isotopo = datosDeIsotopo(clave);
+    if (isotopo) {
+        return [{ nominal: isotopo.numeroMasico, masa: isotopo.masa, abundancia: 1 }];
+    }
+    const naturales = (ISOTOPOS[clave] || []).filter(([, , abundancia]) => abundancia > 0);
+    if (naturales.length === 0) {
+        return null;
+    }
+    return naturales.map(([numero, masa, abundancia]) => ({ nominal: numero, masa: masa, abundancia: abundancia }));
+}
+
+function convolucionarPicos(a, b) {
+    // Combina dos distribuciones agrupando por masa nominal; la masa de cada grupo es el promedio ponderado
+    const grupos = new Map();
+    for (const x of a) {
+        for (const y of b) {
+            const abundancia = x.abundancia * y.abundancia;
+            if (abundancia < PROBABILIDAD_MINIMA) continue;
+            const nominal = x.nominal + y.nominal;
+            const grupo = grupos.get(nominal) || { nominal: nominal, sumaMasas: 0, abundancia: 0 };
+            grupo.sumaMasas += (x.masa + y.masa) * abundancia;
+            grupo.abundancia += abundancia;
+            grupos.set(nominal, grupo);
+        }
+    }
+    return [...grupos.values()].map(g => ({ nominal: g.nominal, masa: g.sumaMasas / g.abundancia, abundancia: g.abundancia }));
+}
+
+function calcularDistribucionIsotopica(formula) {
+    const elementos = parsearFormula(formula);
+    let picos = [{ nominal: 0, masa: 0, abundancia: 1 }];
+    let masaMonoisotopica = 0;
+    const sinDatos = [];
+
+    for (const clave in elementos) {
+        let isotopos = isotoposDeClave(clave);
+        if (!isotopos) {
+            // Sin abundancias conocidas se usa la masa atómica promedio como un único pico
+            sinDatos.push(clave);
+            const masa = ELEMENTOS[clave].masaAtomica;
+            isotopos = [{ nominal: Math.round(masa), masa: masa, abundancia: 1 }];
+        }
+
+        // La masa monoisotópica usa el isótopo más abundante de cada elemento
+        const principal = isotopos.reduce((a, b) => (b.abundancia > a.abundancia ? b : a));
+        masaMonoisotopica += principal.masa * elementos[clave];
+
+        for (let i = 0; i < elementos[clave]; i++) {
+            picos = convolucionarPicos(picos, isotopos);
+        }
+    }
+
+    picos.sort((a, b) => a.nominal - b.nominal);
+    const maxima = Math.max(...picos.map(p => p.abundancia));
+    const nominalMonoisotopico = Math.round(masaMonoisotopica);
+
+    return {
+        formula: formula,
+        masaMonoisotopica: masaMonoisotopica,
+        masaPromedio: calcularMasaMolar(formula),
+        elementosSinDatos: sinDatos,
+        picos: picos.map(p => {
+            const diferencia = p.nominal - nominalMonoisotopico;
+            return {
+                masa: p.masa,
+                nominal: p.nominal,
+                abundancia: p.abundancia,
+                intensidad: p.abundancia / maxima * 100,
+                etiqueta: diferencia === 0 ? 'M' : `M${diferencia > 0 ? '+' : '−'}${Math.abs(diferencia)}`
+            };
+        })
+    };
+}
+
+// ============================================================
+// SECCIÓN 13: EQUILIBRIO QUÍMICO
+// ============================================================
+const ITERACIONES_EQUILIBRIO = 200;
+
+function especiesDelEquilibrio(parseada, tipo) {
+    // Sólidos y líquidos puros no aparecen en la expresión de K; con Kp solo cuentan los gases
+    const especies = [];
+    const excluidas = [];
+    const lados = [[parseada.reactivos, -1], [parseada.productos, 1]];
+    for (const [lado, signo] of lados) {
+        for (const c of lado) {
+            if (c.estado === 's' || c.estado === 'l') {
+                excluidas.push(c);
+                continue;
+            }
+            // Kp usa el mismo criterio de gas que Δn (esGaseoso)
+            if (tipo === 'Kp' && !esGaseoso(c)) {
+                throw new Error(c.estado
+                    ? `${c.formula}(${c.estado}) no tiene presión parcial: usa Kc para equilibrios en disolución`
+                    : `No se sabe si ${c.formula} es un gas: escribe (g), (aq), (s) o (l) después de la fórmula`);
+            }
+            especies.push({ formula: c.formula, estado: c.estado, coeficiente: signo * c.coeficiente });
+        }
+    }
+    if (especies.length === 0) {
+        throw new Error('Ninguna especie de la ecuación interviene en la expresión de la constante de equilibrio');
+    }
+    return { especies: especies, excluidas: excluidas };
+}
+
+function calcularCocienteReaccion(especies, valores) {
+    // Q = Π[productos]^ν / Π[reactivos]^ν; sin productos Q = 0 y sin reactivos Q = ∞
+    let numerador = 1;
+    let denominador = 1;
+    especies.forEach((e, i) => {
+        if (e.coeficiente > 0) {
+            numerador *= Math.pow(valores[i], e.coeficiente);
+        } else {
+            denominador *= Math.pow(valores[i], -e.coeficiente);
+        }
+    });
+    if (denominador === 0) {
+        return numerador === 0 ? NaN : Infinity;
+    }
+    return numerador / denominador;
+}
+
+function logaritmoCociente(especies, iniciales, x) {
+    // ln Q(x) crece de forma monótona con el avance x, por eso basta con bisecar ln Q − ln K
+    let suma = 0;
+    especies.forEach((e, i) => {
+        suma += e.coeficiente * Math.log(iniciales[i] + e.coeficiente * x);
+    });
+    return suma;
+}
+
+function limitesDelAvance(especies, iniciales) {
+    // El avance por unidad de volumen no puede dejar ninguna concentración negativa
+    let minimo = -Infinity;
+    let maximo = Infinity;
+    especies.forEach((e, i) => {
+        const limite = -iniciales[i] / e.coeficiente;
+        if (e.coeficiente < 0) {
+            maximo = Math.min(maximo, limite);
+        } else {
+            minimo = Math.max(minimo, limite);
+        }
+    });
+    return { minimo: minimo, maximo: maximo };
+}
+
+function resolverAvanceEquilibrio(especies, iniciales, K) {
+    let { minimo, maximo } = limitesDelAvance(especies, iniciales);
+    if (!(maximo > minimo)) {
+        throw new Error('La reacción no puede avanzar en ningún sentido: falta al menos un reactivo y un producto');
+    }
+    const objetivo = Math.log(K);
+    const f = (x) => logaritmoCociente(especies, iniciales, x) - objetivo;
+
+    // Si un lado no limita el avance, se amplía el intervalo hasta encerrar la raíz
+    let paso = Math.max(1, ...iniciales);
+    if (minimo === -Infinity) {
+        minimo = Math.min(0, maximo) - paso;
+        while (f(minimo) > 0) { paso *= 2; minimo -= paso; }
+    }
+    if (maximo === Infinity) {
+        maximo = Math.max(0, minimo) + paso;
+        while (f(maximo) < 0) { paso *= 2; maximo += paso; }
+    }
+
+    for (let i = 0; i < ITERACIONES_EQUILIBRIO; i++) {
+        const medio = (minimo + maximo) / 2;
+        if (medio === minimo || medio === maximo) break;
+        if (f(medio) < 0) {
+            minimo = medio;
+        } else {
+            maximo = medio;
+        }
+    }
+    return (minimo + maximo) / 2;
+}
+
+function diferenciaMolesGaseosos(parseada) {
+    const gases = (lado) => lado.filter(esGaseoso).reduce((s, c) => s + c.coeficiente, 0);
+    return gases(parseada.productos) - gases(parseada.reactivos);
+}
+
+function calcularEquilibrio(ecuacion, datos) {
+    // datos: { tipo: 'Kc' | 'Kp', constante, iniciales: { formula: valor }, temperatura (K, opcional) }
+    const parseada = parsearEcuacion(ecuacion);
+    if (!parseada.flecha.reversible) {
+        throw new Error('El cálculo de equilibrio requiere una ecuación con flecha de equilibrio (<=> o ⇌)');
+    }
+    const tipo = datos.tipo === 'Kp' ? 'Kp' : 'Kc';
+    const K = datos.constante;
+    if (!(K > 0) || !isFinite(K)) {
+        throw new Error(`${tipo} debe ser un número positivo`);
+    }
+
+    const { especies, excluidas } = especiesDelEquilibrio(parseada, tipo);
+    const iniciales = especies.map(e => {
+        const valor = datos.iniciales[e.formula] || 0;
+        if (valor < 0) {
+            throw new Error(`La cantidad inicial de ${e.formula} no puede ser negativa`);
+        }
+        return valor;
+    });
+
+    const cociente = calcularCocienteReaccion(especies, iniciales);
+    let sentido;
+    if (isNaN(cociente)) {
+        throw new Error('La reacción no puede avanzar en ningún sentido: falta al menos un reactivo y un producto');
+    } else if (Math.abs(Math.log(cociente / K)) < 1e-9) {
+        sentido = 'equilibrio';
+    } else {
+        sentido = cociente < K ? 'productos' : 'reactivos';
+    }
+
+    const avance = sentido === 'equilibrio' ? 0 : resolverAvanceEquilibrio(especies, iniciales, K);
+    const finales = especies.map((e, i) => Math.max(0, iniciales[i] + e.coeficiente * avance));
+
+    // Kp = Kc·(RT)^Δn, con Δn contando solo los gases
+    const deltaN = diferenciaMolesGaseosos(parseada);
+    let equivalente = null;
+    if (datos.temperatura > 0) {
+        const factor = Math.pow(CONSTANTE_GASES * datos.temperatura, deltaN);
+        equivalente = {
+            tipo: tipo === 'Kc' ? 'Kp' : 'Kc',
+            valor: tipo === 'Kc' ? K * factor : K / factor,
+            temperatura: datos.temperatura
+        };
+    }
+
+    return {
+        tipo: tipo,
+        constante: K,
+        unidad: tipo === 'Kc' ? 'mol/L' : 'atm',
+        especies: especies.map((e, i) => ({
+            ...e,
+            inicial: iniciales[i],
+            cambio: e.coeficiente * avance,
+            equilibrio: finales[i]
+        })),
+        excluidas: excluidas.map(c => ({ formula: c.formula, estado: c.estado })),
+        avance: avance,
+        cociente: cociente,
+        sentido: sentido,
+        cocienteFinal: calcularCocienteReaccion(especies, finales),
+        deltaN: deltaN,
+        equivalente: equivalente
+    };
+}
+
+// ============================================================
+// SECCIÓN 14: AVANCE DE REACCIÓN
+// ============================================================
+function prepararAvanceReaccion(ecuacion, reactivosConMoles) {
+    // ξmax es la menor proporción moles/coeficiente: la del reactivo limitante
+    const parseada = parsearEcuacion(ecuacion);
+    const limitante = encontrarReactivoLimitante(ecuacion, reactivosConMoles);
+
+    const especies = [
+        ...parseada.reactivos.map(r => {
+            const dato = reactivosConMoles.find(d => d.formula === r.formula);
+            return {
+                formula: r.formula,
+                estado: r.estado,
+                rol: 'reactivo',
+                coeficiente: -r.coeficiente,
+                molesIniciales: dato ? dato.moles * (dato.pureza / 100) : 0
+            };
+        }),
+        ...parseada.productos.map(p => ({
+            formula: p.formula,
+            estado: p.estado,
+            rol: 'producto',
+            coeficiente: p.coeficiente,
+            molesIniciales: 0
+        }))
+    ];
+    especies.forEach(e => { e.masaMolar = calcularMasaMolar(e.formula); });
+
+    return {
+        avanceMaximo: limitante.proporcion,
+        limitante: limitante.formula,
+        especies: especies
+    };
+}
+
+function composicionEnAvance(avance, xi) {
+    // n_i(ξ) = n_i,0 + ν_i·ξ, con ν negativo para los reactivos
+    const especies = avance.especies.map(e => {
+        const moles = Math.max(0, e.molesIniciales + e.coeficiente * xi);
+        return { ...e, moles: moles, masa: moles * e.masaMolar };
+    });
+    return {
+        avance: xi,
+        fraccion: avance.avanceMaximo > 0 ? xi / avance.avanceMaximo : 0,
+        especies: especies,
+        molesTotales: especies.reduce((s, e) => s + e.moles, 0),
+        masaTotal: especies.reduce((s, e) => s + e.masa, 0)
+    };
 }
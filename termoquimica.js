@@ -0,0 +1,206 @@
+// ============================================================
+// SECCIÓN 1: DATOS TERMODINÁMICOS ESTÁNDAR (298.15 K, 1 bar)
+// ============================================================
+const TEMPERATURA_ESTANDAR = 298.15;
+
+// [fórmula, estado, ΔH°f (kJ/mol), S° (J/(mol·K)), ΔG°f (kJ/mol)]
+// Cuando un compuesto aparece en varios estados, el primero es el habitual a 25 °C
+const TABLA_TERMODINAMICA = [
+    // Elementos en su estado estándar
+    ['H2', 'g', 0, 130.68, 0], ['O2', 'g', 0, 205.14, 0], ['N2', 'g', 0, 191.61, 0],
+    ['F2', 'g', 0, 202.78, 0], ['Cl2', 'g', 0, 223.07, 0], ['Br2', 'l', 0, 152.23, 0],
+    ['I2', 's', 0, 116.14, 0], ['C', 's', 0, 5.74, 0], ['S', 's', 0, 31.80, 0],
+    ['P', 's', 0, 41.09, 0], ['Si', 's', 0, 18.83, 0], ['Li', 's', 0, 29.12, 0],
+    ['Na', 's', 0, 51.21, 0], ['K', 's', 0, 64.18, 0], ['Mg', 's', 0, 32.68, 0],
+    ['Ca', 's', 0, 41.42, 0], ['Ba', 's', 0, 62.8, 0], ['Al', 's', 0, 28.33, 0],
+    ['Fe', 's', 0, 27.28, 0], ['Cu', 's', 0, 33.15, 0], ['Zn', 's', 0, 41.63, 0],
+    ['Ag', 's', 0, 42.55, 0], ['Ni', 's', 0, 29.87, 0], ['Mn', 's', 0, 32.01, 0],
+    ['Cr', 's', 0, 23.77, 0], ['Pb', 's', 0, 64.81, 0], ['Sn', 's', 0, 51.55, 0],
+    ['Hg', 'l', 0, 76.02, 0],
+    // Elementos fuera de su estado estándar
+    ['Br2', 'g', 30.91, 245.46, 3.11], ['I2', 'g', 62.44, 260.69, 19.33], ['O3', 'g', 142.7, 238.93, 163.2],
+
+    // Compuestos inorgánicos
+    ['H2O', 'l', -285.83, 69.91, -237.13], ['H2O', 'g', -241.82, 188.83, -228.57],
+    ['H2O2', 'l', -187.78, 109.6, -120.35],
+    ['CO2', 'g', -393.51, 213.74, -394.36], ['CO', 'g', -110.53, 197.67, -137.17],
+    ['NH3', 'g', -46.11, 192.45, -16.45], ['NH3', 'aq', -80.29, 111.3, -26.50],
+    ['NO', 'g', 90.25, 210.76, 86.55], ['NO2', 'g', 33.18, 240.06, 51.31],
+    ['N2O', 'g', 82.05, 219.85, 104.20], ['N2O4', 'g', 9.16, 304.29, 97.89],
+    ['HNO3', 'l', -174.10, 155.60, -80.71],
+    ['SO2', 'g', -296.83, 248.22, -300.19], ['SO3', 'g', -395.72, 256.76, -371.06],
+    ['H2S', 'g', -20.63, 205.79, -33.56], ['H2SO4', 'l', -813.99, 156.90, -690.00],
+    ['HF', 'g', -271.1, 173.78, -273.2], ['HCl', 'g', -92.31, 186.91, -95.30],
+    ['HCl', 'aq', -167.16, 56.5, -131.23], ['HBr', 'g', -36.40, 198.70, -53.45],
+    ['HI', 'g', 26.48, 206.59, 1.70], ['HCN', 'g', 135.1, 201.78, 124.7],
+    ['PCl3', 'g', -287.0, 311.78, -267.8], ['PCl5', 'g', -374.9, 364.58, -305.0],
+    ['SiO2', 's', -910.94, 41.84, -856.64],
+    ['NaCl', 's', -411.15, 72.13, -384.14], ['NaOH', 's', -425.61, 64.46, -379.49],
+    ['NaOH', 'aq', -470.11, 48.1, -419.15], ['Na2CO3', 's', -1130.68, 134.98, -1044.44],
+    ['NaHCO3', 's', -950.81, 101.7, -851.0],
+    ['KCl', 's', -436.75, 82.59, -409.14], ['KClO3', 's', -397.73, 143.1, -296.25],
+    ['KNO3', 's', -494.63, 133.05, -394.86],
+    ['NH4Cl', 's', -314.43, 94.6, -202.87], ['NH4NO3', 's', -365.56, 151.08, -183.87],
+    ['MgO', 's', -601.70, 26.94, -569.43],
+    ['CaO', 's', -635.09, 39.75, -604.03], ['CaCO3', 's', -1206.92, 92.9, -1128.79],
+    ['Ca(OH)2', 's', -986.09, 83.39, -898.49], ['CaCl2', 's', -795.8, 104.6, -748.1],
+    ['CaSO4', 's', -1434.11, 106.7, -1321.79], ['BaSO4', 's', -1473.2, 132.2, -1362.2],
+    ['Al2O3', 's', -1675.7, 50.92, -1582.3],
+    ['Fe2O3', 's', -824.2, 87.40, -742.2], ['Fe3O4', 's', -1118.4, 146.4, -1015.4],
+    ['CuO', 's', -157.3, 42.63, -129.7], ['ZnO', 's', -348.28, 43.64, -318.30],
+    ['AgCl', 's', -127.07, 96.2, -109.79],
+
+    // Compuestos orgánicos
+    ['CH4', 'g', -74.81, 186.26, -50.72], ['C2H6', 'g', -84.68, 229.60, -32.82],
+    ['C3H8', 'g', -103.85, 269.91, -23.49], ['C4H10', 'g', -126.15, 310.23, -17.03],
+    ['C2H4', 'g', 52.26, 219.56, 68.15], ['C2H2', 'g', 226.73, 200.94, 209.20],
+    ['C6H6', 'l', 49.0, 173.3, 124.3], ['CH3OH', 'l', -238.66, 126.8, -166.27],
+    ['C2H5OH', 'l', -277.69, 160.7, -174.78], ['CH3COOH', 'l', -484.5, 159.8, -389.9],
+    ['CCl4', 'l', -135.44, 216.40, -65.21], ['CS2', 'l', 89.70, 151.34, 65.27],
+    ['C6H12O6', 's', -1273.3, 212.1, -910.4], ['C12H22O11', 's', -2226.1, 360.2, -1544.6],
+
+    // Iones en disolución acuosa (convención: H+(aq) = 0)
+    ['H+', 'aq', 0, 0, 0], ['OH-', 'aq', -229.99, -10.75, -157.24],
+    ['Na+', 'aq', -240.12, 59.0, -261.91], ['K+', 'aq', -252.38, 102.5, -283.27],
+    ['NH4+', 'aq', -132.51, 113.4, -79.31], ['Ag+', 'aq', 105.58, 72.68, 77.11],
+    ['Ca2+', 'aq', -542.83, -53.1, -553.58], ['Mg2+', 'aq', -466.85, -138.1, -454.8],
+    ['Cu2+', 'aq', 64.77, -99.6, 65.49], ['Zn2+', 'aq', -153.89, -112.1, -147.06],
+    ['Fe2+', 'aq', -89.1, -137.7, -78.9], ['Fe3+', 'aq', -48.5, -315.9, -4.7],
+    ['Cl-', 'aq', -167.16, 56.5, -131.23], ['NO3-', 'aq', -205.0, 146.4, -108.74],
+    ['SO4^2-', 'aq', -909.27, 20.1, -744.53], ['CO3^2-', 'aq', -677.14, -56.9, -527.81]
+];
+
+// Valores ingresados por el usuario para especies que faltan en la tabla (o para corregirlas)
+const datosTermodinamicosPersonalizados = new Map();
+
+// ============================================================
+// SECCIÓN 2: BÚSQUEDA DE DATOS
+// ============================================================
+// Otras formas de escribir una especie de la tabla. Solo fórmulas que no admiten isómeros
+// con otros datos: C2H6O puede ser etanol o dimetil éter y no se traduce
+const ALIAS_TERMODINAMICOS = {
+    'CH3CH2OH': 'C2H5OH', 'CH3CH3': 'C2H6', 'CH3CH2CH3': 'C3H8', 'CH3CH2CH2CH3': 'C4H10',
+    'CH3CO2H': 'CH3COOH', 'HC2H3O2': 'CH3COOH', 'CH4O': 'CH3OH', 'HOOH': 'H2O2'
+};
+
+function claveTermodinamica(formula, estado) {
+    // Se compara la fórmula escrita (sin espacios, con la carga normalizada) y no la
+    // composición, para que los isómeros no compartan datos
+    const { nucleo, carga } = separarCarga(formula);
+    const escrita = nucleo.replace(/\s+/g, '');
+    return `${ALIAS_TERMODINAMICOS[escrita] || escrita}|${carga}|${estado}`;
+}
+
+const INDICE_TERMODINAMICO = new Map(TABLA_TERMODINAMICA.map(([formula, estado, entalpia, entropia, energiaLibre]) => [
+    claveTermodinamica(formula, estado),
+    { formula: formula, estado: estado, entalpia: entalpia, entropia: entropia, energiaLibre: energiaLibre }
+]));
+
+function estadoHabitual(formula) {
+    // Sin estado escrito: el de la primera entrada de la tabla, o el del elemento a 25 °C
+    const prefijo = claveTermodinamica(formula, '');
+    const clave = [...INDICE_TERMODINAMICO.keys(), ...datosTermodinamicosPersonalizados.keys()]
+        .find(c => c.startsWith(prefijo));
+    if (clave) return clave.slice(prefijo.length);
+
+    const elementos = Object.keys(parsearFormula(formula));
+    if (elementos.length === 1 && ELEMENTOS[elementos[0]] && ELEMENTOS[elementos[0]].estado) {
+        return { 'sólido': 's', 'líquido': 'l', 'gas': 'g' }[ELEMENTOS[elementos[0]].estado];
+    }
+    return separarCarga(formula).carga !== 0 ? 'aq' : null;
+}
+
+function buscarDatosTermodinamicos(formula, estado = null) {
+    // Devuelve { entalpia, entropia, energiaLibre, estado, estadoSupuesto, origen } o null
+    const estadoUsado = estado || estadoHabitual(formula);
+    if (estadoUsado === null) return null;
+
+    const clave = claveTermodinamica(formula, estadoUsado);
+    const personalizado = datosTermodinamicosPersonalizados.get(clave);
+    const datos = personalizado || INDICE_TERMODINAMICO.get(clave);
+    if (!datos) return null;
+
+    return {
+        entalpia: datos.entalpia,
+        entropia: datos.entropia,
+        energiaLibre: datos.energiaLibre,
+        estado: estadoUsado || null,
+        estadoSupuesto: !estado && Boolean(estadoUsado),
+        origen: personalizado ? 'usuario' : 'tabla'
+    };
+}
+
+function definirDatosTermodinamicos(formula, estado, datos) {
+    // datos: { entalpia, entropia, energiaLibre }; los valores que falten quedan en null.
+    // Una especie escrita sin estado se guarda con estado vacío
+    const clave = claveTermodinamica(formula, estado || '');
+    const valor = campo => (Number.isFinite(datos[campo]) ? datos[campo] : null);
+    const entrada = { entalpia: valor('entalpia'), entropia: valor('entropia'), energiaLibre: valor('energiaLibre') };
+
+    if (entrada.entalpia === null && entrada.entropia === null && entrada.energiaLibre === null) {
+        datosTermodinamicosPersonalizados.delete(clave);
+        return;
+    }
+    datosTermodinamicosPersonalizados.set(clave, entrada);
+}
+
+// ============================================================
+// SECCIÓN 3: ΔH°, ΔS° Y ΔG° DE REACCIÓN
+// ============================================================
+function sumarPorCoeficiente(especies, campo) {
+    // Σ ν·X(productos) − Σ ν·X(reactivos); null si a alguna especie le falta el dato
+    if (especies.some(e => !e.datos || e.datos[campo] === null)) return null;
+    return especies.reduce((total, e) =>
+        total + (e.lado === 'productos' ? 1 : -1) * e.coeficiente * e.datos[campo], 0);
+}
+
+function calcularTermoquimica(ecuacion, temperatura = TEMPERATURA_ESTANDAR) {
+    const parseada = parsearEcuacion(ecuacion);
+    const especies = [
+        ...parseada.reactivos.map(c => ({ ...c, lado: 'reactivos' })),
+        ...parseada.productos.map(c => ({ ...c, lado: 'productos' }))
+    ].map(c => ({
+        formula: c.formula,
+        estado: c.estado,
+        coeficiente: c.coeficiente,
+        lado: c.lado,
+        datos: buscarDatosTermodinamicos(c.formula, c.estado)
+    }));
+
+    const entalpia = sumarPorCoeficiente(especies, 'entalpia');
+    const entropia = sumarPorCoeficiente(especies, 'entropia');
+
+    // A 298.15 K se prefiere ΔG° de los ΔG°f; a otra temperatura, o si faltan, ΔG = ΔH − TΔS
+    let energiaLibre = temperatura === TEMPERATURA_ESTANDAR ? sumarPorCoeficiente(especies, 'energiaLibre') : null;
+    let metodoEnergiaLibre = 'formacion';
+    if (energiaLibre === null && entalpia !== null && entropia !== null) {
+        energiaLibre = entalpia - temperatura * entropia / 1000;
+        metodoEnergiaLibre = 'gibbs-helmholtz';
+    }
+
+    return {
+        especies: especies,
+        temperatura: temperatura,
+        entalpia: entalpia,
+        entropia: entropia,
+        energiaLibre: energiaLibre,
+        metodoEnergiaLibre: energiaLibre === null ? null : metodoEnergiaLibre,
+        faltantes: especies.filter(e => !e.datos || e.datos.entalpia === null),
+        tipo: entalpia === null ? null : entalpia < 0 ? 'exotérmica' : entalpia > 0 ? 'endotérmica' : 'atérmica',
+        espontanea: energiaLibre === null ? null : energiaLibre < 0
+    };
+}
+
+function calcularCalorDeReaccion(termoquimica, limitante) {
+    // q = ξ·ΔH°rxn, con ξ = moles del limitante / su coeficiente; q < 0 es calor liberado
+    if (termoquimica.entalpia === null) return null;
+    const especie = termoquimica.especies.find(e => e.lado === 'reactivos' && e.formula === limitante.formula);
+    const avance = limitante.moles / especie.coeficiente;
+    const calor = avance * termoquimica.entalpia;
+
+    return {
+        avance: avance,
+        calor: calor,
+        sentido: calor < 0 ? 'liberado' : calor > 0 ? 'absorbido' : 'nulo'
+    };
+}